@@ -0,0 +1,473 @@
+const CodeParser = require("./parser");
+
+/**
+ * The algorithms Visual Debug can generate operations for without any user
+ * code. Each one is described by:
+ *
+ *   id          unique key, e.g. "bubbleSort"
+ *   name        label shown in the quick pick
+ *   category    "sorting", "searching", "graph" or any other group name
+ *   complexity  { time, space }, e.g. { time: "O(n²)", space: "O(1)" }
+ *   pseudocode  lines of pseudocode
+ *   input       what to ask the user for:
+ *                 { type: "array", sorted?, numeric?, target? }
+ *                 { type: "graph", directed?, start? }
+ *   generate    ({ array, target, graph, start }) => operations
+ *
+ * Workspace modules and other extensions add to the same registry, so a
+ * course can ship its own set of algorithms
+ */
+
+const CATEGORIES = ["sorting", "searching", "graph"];
+
+const BUILT_IN_ALGORITHMS = [
+  {
+    id: "bubbleSort",
+    name: "Bubble Sort",
+    category: "sorting",
+    complexity: { time: "O(n²)", space: "O(1)" },
+    pseudocode: [
+      "for i from 0 to n - 1",
+      "  for j from 0 to n - i - 2",
+      "    if a[j] > a[j + 1]",
+      "      swap a[j] and a[j + 1]",
+    ],
+    input: { type: "array" },
+    generate: ({ array }) => new CodeParser().generateBubbleSort(array),
+  },
+  {
+    id: "selectionSort",
+    name: "Selection Sort",
+    category: "sorting",
+    complexity: { time: "O(n²)", space: "O(1)" },
+    pseudocode: [
+      "for i from 0 to n - 2",
+      "  min = i",
+      "  for j from i + 1 to n - 1",
+      "    if a[j] < a[min]: min = j",
+      "  swap a[i] and a[min]",
+    ],
+    input: { type: "array" },
+    generate: ({ array }) => new CodeParser().generateSelectionSort(array),
+  },
+  {
+    id: "insertionSort",
+    name: "Insertion Sort",
+    category: "sorting",
+    complexity: { time: "O(n²)", space: "O(1)" },
+    pseudocode: [
+      "for i from 1 to n - 1",
+      "  key = a[i], j = i - 1",
+      "  while j >= 0 and a[j] > key",
+      "    a[j + 1] = a[j], j = j - 1",
+      "  a[j + 1] = key",
+    ],
+    input: { type: "array" },
+    generate: ({ array }) => new CodeParser().generateInsertionSort(array),
+  },
+  {
+    id: "mergeSort",
+    name: "Merge Sort (top-down)",
+    category: "sorting",
+    complexity: { time: "O(n log n)", space: "O(n)" },
+    pseudocode: [
+      "mergeSort(lo, hi)",
+      "  if lo < hi",
+      "    mid = (lo + hi) / 2",
+      "    mergeSort(lo, mid), mergeSort(mid + 1, hi)",
+      "    merge a[lo..mid] and a[mid + 1..hi] through a copy",
+    ],
+    input: { type: "array" },
+    generate: ({ array }) => new CodeParser().generateMergeSort(array),
+  },
+  {
+    id: "bottomUpMergeSort",
+    name: "Merge Sort (bottom-up)",
+    category: "sorting",
+    complexity: { time: "O(n log n)", space: "O(n)" },
+    pseudocode: [
+      "for width = 1, 2, 4, ... while width < n",
+      "  for lo = 0, 2 width, 4 width, ...",
+      "    merge a[lo..lo + width - 1] and a[lo + width..lo + 2 width - 1]",
+    ],
+    input: { type: "array" },
+    generate: ({ array }) => new CodeParser().generateBottomUpMergeSort(array),
+  },
+  {
+    id: "quickSort",
+    name: "Quicksort (Lomuto)",
+    category: "sorting",
+    complexity: { time: "O(n log n) average, O(n²) worst", space: "O(log n)" },
+    pseudocode: [
+      "quickSort(lo, hi)",
+      "  if lo < hi",
+      "    pivot = a[hi], i = lo",
+      "    for j from lo to hi - 1",
+      "      if a[j] < pivot: swap a[i] and a[j], i = i + 1",
+      "    swap a[i] and a[hi]",
+      "    quickSort(lo, i - 1), quickSort(i + 1, hi)",
+    ],
+    input: { type: "array" },
+    generate: ({ array }) => new CodeParser().generateQuickSort(array),
+  },
+  {
+    id: "hoareQuickSort",
+    name: "Quicksort (Hoare)",
+    category: "sorting",
+    complexity: { time: "O(n log n) average, O(n²) worst", space: "O(log n)" },
+    pseudocode: [
+      "quickSort(lo, hi)",
+      "  if lo < hi",
+      "    pivot = a[(lo + hi) / 2], i = lo - 1, j = hi + 1",
+      "    loop",
+      "      do i = i + 1 while a[i] < pivot",
+      "      do j = j - 1 while a[j] > pivot",
+      "      if i >= j: break",
+      "      swap a[i] and a[j]",
+      "    quickSort(lo, j), quickSort(j + 1, hi)",
+    ],
+    input: { type: "array" },
+    generate: ({ array }) => new CodeParser().generateHoareQuickSort(array),
+  },
+  {
+    id: "heapSort",
+    name: "Heap Sort",
+    category: "sorting",
+    complexity: { time: "O(n log n)", space: "O(1)" },
+    pseudocode: [
+      "for i from n / 2 - 1 down to 0: siftDown(i, n)",
+      "for end from n - 1 down to 1",
+      "  swap a[0] and a[end]",
+      "  siftDown(0, end)",
+      "siftDown(i, size): swap a[i] with its larger child",
+      "  while that child is larger, then continue from the child",
+    ],
+    input: { type: "array" },
+    generate: ({ array }) => new CodeParser().generateHeapSort(array),
+  },
+  {
+    id: "shellSort",
+    name: "Shell Sort",
+    category: "sorting",
+    complexity: { time: "O(n²) worst with halving gaps", space: "O(1)" },
+    pseudocode: [
+      "for gap = n / 2, n / 4, ..., 1",
+      "  for i from gap to n - 1",
+      "    key = a[i], j = i",
+      "    while j >= gap and a[j - gap] > key",
+      "      a[j] = a[j - gap], j = j - gap",
+      "    a[j] = key",
+    ],
+    input: { type: "array" },
+    generate: ({ array }) => new CodeParser().generateShellSort(array),
+  },
+  {
+    id: "countingSort",
+    name: "Counting Sort",
+    category: "sorting",
+    complexity: { time: "O(n + k)", space: "O(n + k)" },
+    pseudocode: [
+      "for each x in a: count[x] = count[x] + 1",
+      "for v from 1 to k - 1: count[v] = count[v] + count[v - 1]",
+      "for i from n - 1 down to 0",
+      "  count[a[i]] = count[a[i]] - 1",
+      "  output[count[a[i]]] = a[i]",
+      "copy output into a",
+    ],
+    input: { type: "array", numeric: true },
+    generate: ({ array }) => new CodeParser().generateCountingSort(array),
+  },
+  {
+    id: "radixSort",
+    name: "Radix Sort (LSD)",
+    category: "sorting",
+    complexity: { time: "O(d · (n + 10))", space: "O(n + 10)" },
+    pseudocode: [
+      "for place = 1, 10, 100, ... up to the largest value",
+      "  for each x in a: append x to bucket[(x / place) mod 10]",
+      "  write the buckets back into a, bucket 0 first",
+    ],
+    input: { type: "array", numeric: true },
+    generate: ({ array }) => new CodeParser().generateRadixSort(array),
+  },
+  {
+    id: "linearSearch",
+    name: "Linear Search",
+    category: "searching",
+    complexity: { time: "O(n)", space: "O(1)" },
+    pseudocode: [
+      "for i from 0 to n - 1",
+      "  if a[i] = target: return i",
+      "return not found",
+    ],
+    input: { type: "array", target: true },
+    generate: ({ array, target }) =>
+      new CodeParser().generateLinearSearch(array, target),
+  },
+  {
+    id: "binarySearch",
+    name: "Binary Search",
+    category: "searching",
+    complexity: { time: "O(log n)", space: "O(1)" },
+    pseudocode: [
+      "low = 0, high = n - 1",
+      "while low <= high",
+      "  mid = (low + high) / 2",
+      "  if a[mid] = target: return mid",
+      "  if a[mid] < target: low = mid + 1",
+      "  else: high = mid - 1",
+      "return not found",
+    ],
+    input: { type: "array", sorted: true, target: true },
+    generate: ({ array, target }) =>
+      new CodeParser().generateBinarySearch(array, target),
+  },
+  {
+    id: "interpolationSearch",
+    name: "Interpolation Search",
+    category: "searching",
+    complexity: { time: "O(log log n) average, O(n) worst", space: "O(1)" },
+    pseudocode: [
+      "low = 0, high = n - 1",
+      "while low <= high and a[low] <= target <= a[high]",
+      "  pos = low + (target - a[low]) * (high - low) / (a[high] - a[low])",
+      "  if a[pos] = target: return pos",
+      "  if a[pos] < target: low = pos + 1",
+      "  else: high = pos - 1",
+      "return not found",
+    ],
+    input: { type: "array", sorted: true, numeric: true, target: true },
+    generate: ({ array, target }) =>
+      new CodeParser().generateInterpolationSearch(array, target),
+  },
+  {
+    id: "exponentialSearch",
+    name: "Exponential Search",
+    category: "searching",
+    complexity: { time: "O(log n)", space: "O(1)" },
+    pseudocode: [
+      "if a[0] = target: return 0",
+      "bound = 1",
+      "while bound < n and a[bound] <= target",
+      "  bound = bound * 2",
+      "binary search between bound / 2 and min(bound, n - 1)",
+    ],
+    input: { type: "array", sorted: true, target: true },
+    generate: ({ array, target }) =>
+      new CodeParser().generateExponentialSearch(array, target),
+  },
+  {
+    id: "bfs",
+    name: "Breadth-First Search",
+    category: "graph",
+    complexity: { time: "O(V + E)", space: "O(V)" },
+    pseudocode: [
+      "queue = [start], distance[start] = 0",
+      "while queue is not empty",
+      "  node = dequeue",
+      "  for each neighbor not yet seen",
+      "    distance[neighbor] = distance[node] + 1",
+      "    enqueue neighbor",
+    ],
+    input: { type: "graph", start: true },
+    generate: ({ graph, start }) => new CodeParser().generateBFS(graph, start),
+  },
+  {
+    id: "dfs",
+    name: "Depth-First Search",
+    category: "graph",
+    complexity: { time: "O(V + E)", space: "O(V)" },
+    pseudocode: [
+      "stack = [start]",
+      "while stack is not empty",
+      "  node = pop",
+      "  if node was visited: continue",
+      "  visit node",
+      "  push its unvisited neighbors",
+    ],
+    input: { type: "graph", start: true },
+    generate: ({ graph, start }) => new CodeParser().generateDFS(graph, start),
+  },
+  {
+    id: "dijkstra",
+    name: "Dijkstra's Shortest Paths",
+    category: "graph",
+    complexity: { time: "O((V + E) log V)", space: "O(V)" },
+    pseudocode: [
+      "distance[start] = 0, all others ∞",
+      "while some node is unvisited",
+      "  node = unvisited node with the smallest distance",
+      "  for each edge node → next with weight w",
+      "    if distance[node] + w < distance[next]",
+      "      distance[next] = distance[node] + w",
+    ],
+    input: { type: "graph", start: true },
+    generate: ({ graph, start }) =>
+      new CodeParser().generateDijkstra(graph, start),
+  },
+  {
+    id: "topologicalSort",
+    name: "Topological Sort",
+    category: "graph",
+    complexity: { time: "O(V + E)", space: "O(V)" },
+    pseudocode: [
+      "queue = nodes with no incoming edges",
+      "while queue is not empty",
+      "  node = dequeue, append it to the order",
+      "  for each edge node → next",
+      "    remove the edge",
+      "    if next has no incoming edges left: enqueue next",
+    ],
+    input: { type: "graph", directed: true },
+    generate: ({ graph }) => new CodeParser().generateTopologicalSort(graph),
+  },
+];
+
+/**
+ * Algorithms by id, in the order they were registered
+ */
+class AlgorithmRegistry {
+  /**
+   * @param {Array<object>} [algorithms] - Algorithms to start with, the
+   *   built-in ones by default
+   */
+  constructor(algorithms = BUILT_IN_ALGORITHMS) {
+    this.algorithms = new Map();
+    algorithms.forEach((algorithm) => this.register(algorithm));
+  }
+
+  /**
+   * Add an algorithm, replacing any registered with the same id
+   * @param {object} algorithm - See the top of this file
+   * @returns {() => void} - Removes the algorithm again, bringing back the
+   *   one it replaced. Does nothing if it has been replaced since
+   */
+  register(algorithm) {
+    const definition = validateAlgorithm(algorithm);
+    const replaced = this.algorithms.get(definition.id);
+    this.algorithms.set(definition.id, definition);
+    return () => {
+      if (this.algorithms.get(definition.id) !== definition) return;
+      if (replaced) {
+        this.algorithms.set(definition.id, replaced);
+      } else {
+        this.algorithms.delete(definition.id);
+      }
+    };
+  }
+
+  get(id) {
+    return this.algorithms.get(id) || null;
+  }
+
+  /**
+   * Registered algorithms grouped by category: the built-in categories
+   * first, then the others in the order they first appear
+   * @returns {Array<object>}
+   */
+  list() {
+    const algorithms = [...this.algorithms.values()];
+    const order = [
+      ...new Set([...CATEGORIES, ...algorithms.map((a) => a.category)]),
+    ];
+    return algorithms.sort(
+      (a, b) => order.indexOf(a.category) - order.indexOf(b.category)
+    );
+  }
+
+  /**
+   * Check the input against what the algorithm needs and generate its
+   * operations
+   * @param {string} id
+   * @param {{array?: Array, target?: *, graph?: object|Array,
+   *   start?: string}} input
+   * @returns {Array} - Array of visualization operations
+   */
+  run(id, input) {
+    const algorithm = this.get(id);
+    if (!algorithm) {
+      throw new Error(`Unknown algorithm "${id}"`);
+    }
+
+    const needs = algorithm.input;
+    if (needs.type === "array") {
+      const { array } = input;
+      if (!Array.isArray(array) || array.length === 0) {
+        throw new Error(`${algorithm.name} needs a non-empty array`);
+      }
+      if (needs.numeric && !array.every((v) => typeof v === "number")) {
+        throw new Error(`${algorithm.name} needs an array of numbers`);
+      }
+      const sorted = array.every((v, i) => i === 0 || array[i - 1] <= v);
+      if (needs.sorted && !sorted) {
+        throw new Error(
+          `${algorithm.name} needs an array sorted in ascending order`
+        );
+      }
+      if (needs.target && input.target === undefined) {
+        throw new Error(`${algorithm.name} needs a value to search for`);
+      }
+    } else if (needs.type === "graph") {
+      if (input.graph === null || typeof input.graph !== "object") {
+        throw new Error(`${algorithm.name} needs a graph`);
+      }
+    }
+
+    const operations = algorithm.generate(input);
+    if (!Array.isArray(operations)) {
+      throw new Error(`${algorithm.name} did not return a list of operations`);
+    }
+    return operations;
+  }
+}
+
+/**
+ * Check an algorithm definition and fill in the optional fields
+ */
+function validateAlgorithm(algorithm) {
+  if (algorithm === null || typeof algorithm !== "object") {
+    throw new Error("An algorithm must be an object");
+  }
+  const { id, name, generate } = algorithm;
+  if (typeof id !== "string" || id === "") {
+    throw new Error("An algorithm needs a string id");
+  }
+  if (typeof generate !== "function") {
+    throw new Error(`Algorithm "${id}" needs a generate function`);
+  }
+
+  const input = algorithm.input || { type: "array" };
+  if (input.type !== "array" && input.type !== "graph") {
+    throw new Error(
+      `Algorithm "${id}" has input type "${input.type}", expected "array" or "graph"`
+    );
+  }
+
+  return {
+    ...algorithm,
+    name: typeof name === "string" && name !== "" ? name : id,
+    category: algorithm.category || "other",
+    complexity: algorithm.complexity || {},
+    pseudocode: algorithm.pseudocode || [],
+    input,
+  };
+}
+
+/**
+ * Read the algorithms a workspace module exports: one definition or an
+ * array of them. The module is loaded fresh, so edits to it are picked up
+ * @param {string} file - Absolute path of the module
+ * @returns {Array<object>}
+ */
+function loadAlgorithmModule(file) {
+  delete require.cache[require.resolve(file)];
+  const exported = require(file);
+  const algorithms = Array.isArray(exported) ? exported : [exported];
+  return algorithms.map((algorithm) => ({ ...algorithm, source: file }));
+}
+
+module.exports = {
+  AlgorithmRegistry,
+  BUILT_IN_ALGORITHMS,
+  loadAlgorithmModule,
+};
@@ -0,0 +1,150 @@
+const { generateInput } = require("./web/inputs");
+const { COUNTERS, countOperations } = require("./web/counters");
+
+/**
+ * Complexity runs: an algorithm is run on generated inputs of growing size
+ * and what it does is counted, so its growth can be set against the n,
+ * n log n and n² curves rather than taken on faith
+ */
+
+const DEFAULT_SIZES = [8, 16, 32, 64, 128];
+
+const REFERENCE_CURVES = [
+  { id: "n", label: "n", at: (n) => n },
+  { id: "nLogN", label: "n log n", at: (n) => n * Math.log2(n) },
+  { id: "nSquared", label: "n²", at: (n) => n * n },
+];
+
+const COUNTER_COLORS = {
+  comparisons: "#dcdcaa",
+  swaps: "#f48771",
+  writes: "#4ec9b0",
+  accesses: "#9cdcfe",
+};
+
+const REFERENCE_DASHES = { n: "2 4", nLogN: "6 4", nSquared: "12 4" };
+
+/**
+ * Count the operations an algorithm performs on inputs of each size
+ * @param {(array: number[]) => Array} run - Operations for an input array
+ * @param {object} [options]
+ * @param {number[]} [options.sizes] - Input sizes, DEFAULT_SIZES by default
+ * @param {string} [options.shape] - Input shape, see web/inputs.js
+ * @param {number} [options.seed] - Seed for every input
+ * @returns {{shape: string, seed: number, points: Array<{n: number,
+ *   counts: object}>, references: object}}
+ */
+function measureComplexity(run, options = {}) {
+  const sizes = [...new Set(options.sizes || DEFAULT_SIZES)].sort(
+    (a, b) => a - b
+  );
+  const shape = options.shape || "random";
+  const seed = options.seed === undefined ? 1 : options.seed;
+  if (sizes.length < 2) {
+    throw new Error("A complexity run needs at least two input sizes");
+  }
+
+  const points = sizes.map((n) => {
+    const array = generateInput(shape, n, seed);
+    try {
+      return { n, counts: countOperations(run(array)) };
+    } catch (error) {
+      throw new Error(`Failed for n = ${n}: ${error.message}`);
+    }
+  });
+  return { shape, seed, points, references: referenceCurves(points) };
+}
+
+/**
+ * The reference curves at each measured size, scaled to meet the largest
+ * count at the largest size
+ * @returns {object} - Values keyed by curve id
+ */
+function referenceCurves(points) {
+  const last = points[points.length - 1];
+  const top = Math.max(...COUNTERS.map(({ id }) => last.counts[id]));
+  const references = {};
+  REFERENCE_CURVES.forEach((curve) => {
+    const scale = curve.at(last.n) > 0 ? top / curve.at(last.n) : 0;
+    references[curve.id] = points.map(({ n }) => scale * curve.at(n));
+  });
+  return references;
+}
+
+/**
+ * Plot a complexity run: a line per counter, and the reference curves
+ * dashed
+ * @param {object} result - As returned by measureComplexity
+ * @returns {string} - SVG markup
+ */
+function complexityChart(result) {
+  const width = 640;
+  const height = 400;
+  const margin = { top: 20, right: 140, bottom: 40, left: 60 };
+  const { points, references } = result;
+  const maxN = points[points.length - 1].n;
+  const maxCount = Math.max(
+    1,
+    ...points.flatMap(({ counts }) => COUNTERS.map(({ id }) => counts[id]))
+  );
+  const x = (n) =>
+    margin.left + (n / maxN) * (width - margin.left - margin.right);
+  const y = (count) =>
+    height -
+    margin.bottom -
+    (count / maxCount) * (height - margin.top - margin.bottom);
+  const line = (values, attributes) =>
+    `<polyline fill="none" stroke-width="2" ${attributes} points="${values
+      .map((value, i) => `${x(points[i].n).toFixed(1)},${y(value).toFixed(1)}`)
+      .join(" ")}"/>`;
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" font-family="sans-serif" font-size="12" fill="#cccccc">`,
+    `<line x1="${margin.left}" y1="${y(0)}" x2="${x(maxN)}" y2="${y(0)}" stroke="#666"/>`,
+    `<line x1="${margin.left}" y1="${y(0)}" x2="${margin.left}" y2="${margin.top}" stroke="#666"/>`,
+    `<text x="${x(maxN)}" y="${height - 8}" text-anchor="end">n</text>`,
+    `<text x="${margin.left - 8}" y="${y(maxCount)}" text-anchor="end">${maxCount}</text>`,
+    `<text x="${margin.left - 8}" y="${y(0)}" text-anchor="end">0</text>`,
+  ];
+  points.forEach(({ n }) =>
+    parts.push(
+      `<text x="${x(n)}" y="${y(0) + 16}" text-anchor="middle">${n}</text>`
+    )
+  );
+
+  let legendY = margin.top;
+  const legend = (label, attributes) => {
+    const lx = width - margin.right + 16;
+    parts.push(
+      `<line x1="${lx}" y1="${legendY}" x2="${lx + 24}" y2="${legendY}" stroke-width="2" ${attributes}/>`,
+      `<text x="${lx + 30}" y="${legendY + 4}">${label}</text>`
+    );
+    legendY += 18;
+  };
+
+  REFERENCE_CURVES.forEach((curve) => {
+    const attributes = `stroke="#888888" stroke-dasharray="${REFERENCE_DASHES[curve.id]}"`;
+    parts.push(line(references[curve.id], attributes));
+    legend(curve.label, attributes);
+  });
+  COUNTERS.forEach((counter) => {
+    const attributes = `stroke="${COUNTER_COLORS[counter.id]}"`;
+    parts.push(
+      line(
+        points.map(({ counts }) => counts[counter.id]),
+        attributes
+      )
+    );
+    legend(counter.label, attributes);
+  });
+
+  parts.push("</svg>");
+  return parts.join("\n");
+}
+
+module.exports = {
+  DEFAULT_SIZES,
+  REFERENCE_CURVES,
+  measureComplexity,
+  complexityChart,
+};
@@ -0,0 +1,248 @@
+/**
+ * Work out the operations that turn one snapshot of an array into the next.
+ * Arrays of the same length differ by a swap or by element writes; otherwise
+ * the changed middle is removed and the new elements inserted, the way
+ * splice would
+ * @param {Array} before - Previous snapshot
+ * @param {Array} after - Current snapshot
+ * @param {string} arrayId - Id the operations refer to
+ * @returns {Array} - Visualization operations
+ */
+function diffSnapshots(before, after, arrayId) {
+  if (before.length === after.length) {
+    const changed = [];
+    for (let index = 0; index < before.length; index++) {
+      if (!Object.is(before[index], after[index])) changed.push(index);
+    }
+
+    const [a, b] = changed;
+    if (
+      changed.length === 2 &&
+      Object.is(before[a], after[b]) &&
+      Object.is(before[b], after[a])
+    ) {
+      return [
+        {
+          type: "swap",
+          arrayId,
+          indices: [a, b],
+          values: [before[a], before[b]],
+        },
+      ];
+    }
+
+    return changed.map((index) => ({
+      type: "set",
+      arrayId,
+      index,
+      oldValue: before[index],
+      value: after[index],
+    }));
+  }
+
+  // Elements shared at both ends stay where they are
+  let start = 0;
+  while (
+    start < before.length &&
+    start < after.length &&
+    Object.is(before[start], after[start])
+  ) {
+    start++;
+  }
+  let end = 0;
+  while (
+    end < before.length - start &&
+    end < after.length - start &&
+    Object.is(before[before.length - 1 - end], after[after.length - 1 - end])
+  ) {
+    end++;
+  }
+
+  const operations = [];
+  for (let k = start; k < before.length - end; k++) {
+    operations.push({
+      type: "remove",
+      arrayId,
+      index: start,
+      value: before[k],
+    });
+  }
+  for (let k = start; k < after.length - end; k++) {
+    operations.push({ type: "insert", arrayId, index: k, value: after[k] });
+  }
+  return operations;
+}
+
+/**
+ * Parse a value as the debug adapter displays it, keeping only numbers
+ */
+function parseNumber(text) {
+  if (typeof text !== "string" || text.trim() === "") return undefined;
+  const value = Number(text);
+  return Number.isFinite(value) ? value : undefined;
+}
+
+/**
+ * Follows an array expression while a program runs under the VS Code
+ * debugger. Every time the program stops, the array is read through the
+ * debug adapter's evaluate and variables requests, and the differences from
+ * the previous stop are reported as operations. Implements the
+ * vscode.DebugAdapterTracker interface
+ */
+class DebugArrayTracker {
+  /**
+   * @param {object} session - The vscode.DebugSession being tracked
+   * @param {() => (string|null)} getExpression - The array expression the
+   *   user chose, e.g. "arr", read again at every stop
+   * @param {(operations: Array, reset: boolean) => void} onOperations -
+   *   Receives the operations inferred at each stop. `reset` is true when
+   *   they start a new trace with an init operation
+   */
+  constructor(session, getExpression, onOperations) {
+    this.session = session;
+    this.getExpression = getExpression;
+    this.onOperations = onOperations;
+    this.expression = null;
+    this.previous = null;
+
+    // Stops are handled one at a time so snapshots are compared in order
+    this.queue = Promise.resolve();
+  }
+
+  onDidSendMessage(message) {
+    if (message.type !== "event" || message.event !== "stopped") return;
+
+    const threadId = message.body ? message.body.threadId : undefined;
+    this.queue = this.queue
+      .then(() => this.capture(threadId))
+      .catch((error) => {
+        console.log("Visual Debug could not read the array:", error.message);
+      });
+  }
+
+  /**
+   * Read the array at the current stop and report what changed
+   * @param {number} [threadId] - Thread that stopped
+   */
+  async capture(threadId) {
+    const expression = this.getExpression();
+    if (!expression) return;
+    if (expression !== this.expression) {
+      this.expression = expression;
+      this.previous = null;
+    }
+
+    const frame = await this.getTopFrame(threadId);
+    if (!frame) return;
+
+    // Not in scope at this stop, e.g. inside a helper that doesn't see it
+    const array = await this.readArray(frame.id);
+    if (!array) return;
+
+    const source = {
+      loc: frame.source && frame.source.path
+        ? {
+            file: frame.source.path,
+            line: frame.line,
+            column: Math.max(frame.column - 1, 0),
+          }
+        : null,
+      vars: await this.readLocals(frame.id),
+    };
+
+    const reset = this.previous === null;
+    const operations = reset
+      ? [{ type: "init", arrayId: expression, array: [...array] }]
+      : diffSnapshots(this.previous, array, expression);
+    this.previous = array;
+
+    if (operations.length > 0) {
+      this.onOperations(
+        operations.map((op) => ({ ...op, ...source })),
+        reset
+      );
+    }
+  }
+
+  async getTopFrame(threadId) {
+    if (threadId === undefined) {
+      const { threads } = await this.session.customRequest("threads");
+      if (!threads || threads.length === 0) return null;
+      threadId = threads[0].id;
+    }
+
+    const { stackFrames } = await this.session.customRequest("stackTrace", {
+      threadId,
+      startFrame: 0,
+      levels: 1,
+    });
+    return stackFrames && stackFrames.length > 0 ? stackFrames[0] : null;
+  }
+
+  /**
+   * Evaluate the expression in a frame and read its indexed elements
+   * @returns {Promise<Array|null>} - The elements, with anything that isn't
+   *   a number left empty, or null if the expression isn't an array here
+   */
+  async readArray(frameId) {
+    let result;
+    try {
+      result = await this.session.customRequest("evaluate", {
+        expression: this.expression,
+        frameId,
+        context: "watch",
+      });
+    } catch {
+      return null;
+    }
+    if (!result.variablesReference) return null;
+
+    const { variables } = await this.session.customRequest("variables", {
+      variablesReference: result.variablesReference,
+      filter: "indexed",
+      start: 0,
+      count: result.indexedVariables,
+    });
+
+    // An empty array has no elements to tell it apart from other objects
+    const elements = (variables || []).filter((v) => /^\d+$/.test(v.name));
+    if (elements.length === 0 && !/^(Array\(0\)|\[\])/.test(result.result)) {
+      return null;
+    }
+
+    const length =
+      result.indexedVariables ||
+      Math.max(0, ...elements.map((v) => Number(v.name) + 1));
+    const array = new Array(length).fill(undefined);
+    elements.forEach((v) => {
+      array[Number(v.name)] = parseNumber(v.value);
+    });
+    return array;
+  }
+
+  /**
+   * Numeric local variables of a frame, for the watch table and pointers
+   */
+  async readLocals(frameId) {
+    const { scopes } = await this.session.customRequest("scopes", { frameId });
+    const locals =
+      (scopes || []).find((scope) => scope.presentationHint === "locals") ||
+      (scopes || [])[0];
+    if (!locals) return {};
+
+    const { variables } = await this.session.customRequest("variables", {
+      variablesReference: locals.variablesReference,
+    });
+    const vars = {};
+    (variables || []).forEach((v) => {
+      const value = parseNumber(v.value);
+      if (value !== undefined && v.name !== this.expression) {
+        vars[v.name] = value;
+      }
+    });
+    return vars;
+  }
+}
+
+module.exports = DebugArrayTracker;
+module.exports.diffSnapshots = diffSnapshots;
@@ -1,12 +1,73 @@
 const vscode = require("vscode");
 const VisualizationServer = require("./server");
 const CodeParser = require("./parser");
+const { AlgorithmRegistry, loadAlgorithmModule } = require("./algorithms");
+const DebugArrayTracker = require("./debugTracker");
+const { INPUT_SHAPES, generateInput, randomSeed } = require("./web/inputs");
+const { COUNTERS } = require("./web/counters");
+const { SYNC_MODES, laneOperations } = require("./web/race");
+const { validateOperations } = require("./web/schema");
+const {
+  TRACE_EXTENSION,
+  createTrace,
+  serializeTrace,
+  parseTrace,
+} = require("./traceFile");
+const {
+  DEFAULT_SIZES,
+  measureComplexity,
+  complexityChart,
+} = require("./complexity");
+const {
+  STANDALONE_STYLE,
+  inlineScript,
+  playerShim,
+  animatedBarSvg,
+} = require("./playerExport");
 const { exec } = require("child_process");
+const path = require("path");
 
 // Store webview panel and server globally
 let visualDebugPanel = null;
 let server = null;
 let parser = null;
+let algorithms = null;
+
+// Removes the algorithms registered from workspace modules, which are loaded
+// again each time one is picked
+let workspaceAlgorithms = [];
+
+// Operations currently loaded in the visualizers, and the decoration marking
+// the line the last played one came from
+let visualizedOperations = [];
+
+// Where the visualized operations came from, saved along with them when
+// they are exported: { source, input, metadata }, see traceFile.js
+let traceDetails = {};
+
+// Settles the animated SVG export waiting for the frames the webview
+// records: { resolve, reject }
+let barFramesRequest = null;
+
+// Max time in milliseconds the webview may take to record the frames
+const BAR_FRAMES_TIMEOUT = 30000;
+
+// Pending delivery of operations to a webview that was just created
+let operationsTimer = null;
+
+// Scripts from web/ that the webview shares with the browser
+const WEBVIEW_SCRIPTS = ["inputs.js", "counters.js", "schema.js"];
+let activeLineDecoration = null;
+
+// Array expression followed while a program runs under the debugger
+let debugExpression = null;
+
+// Complexity runs trace far larger inputs than are played back
+const COMPLEXITY_MAX_OPERATIONS = 200000;
+
+// Array algorithm last picked, which is run again on the inputs generated in
+// the browser
+let lastArrayAlgorithm = "bubbleSort";
 
 /**
  * @param {vscode.ExtensionContext} context
@@ -17,6 +78,59 @@ function activate(context) {
   // Initialize server and parser
   server = new VisualizationServer();
   parser = new CodeParser();
+  algorithms = new AlgorithmRegistry();
+
+  activeLineDecoration = vscode.window.createTextEditorDecorationType({
+    isWholeLine: true,
+    backgroundColor: new vscode.ThemeColor(
+      "editor.stackFrameHighlightBackground"
+    ),
+    overviewRulerColor: new vscode.ThemeColor(
+      "editorOverviewRuler.rangeHighlightForeground"
+    ),
+    overviewRulerLane: vscode.OverviewRulerLane.Full,
+  });
+
+  // Follow playback in the browser too
+  server.on("step", (step) => showOperationLocation(step));
+
+  server.on("input", ({ shape, size, seed }) => {
+    const algorithm =
+      algorithms.get(lastArrayAlgorithm) || algorithms.get("bubbleSort");
+    try {
+      const array = generateInput(shape, size, seed);
+      sendOperationsToVisualization(algorithms.run(algorithm.id, { array }), {
+        input: { array, shape, size, seed },
+        metadata: { title: algorithm.name, algorithm: algorithm.id },
+      });
+      vscode.window.showInformationMessage(
+        `Visualizing ${algorithm.name} on input ${shape}, size ${size}, seed ${seed}`
+      );
+    } catch (error) {
+      vscode.window.showErrorMessage(
+        `Failed to visualize ${algorithm.name}: ${error.message}`
+      );
+    }
+  });
+
+  // Clicking a line jumps playback to the first operation it produced
+  const selectionListener = vscode.window.onDidChangeTextEditorSelection(
+    (event) => {
+      if (event.kind !== vscode.TextEditorSelectionChangeKind.Mouse) return;
+
+      const file = event.textEditor.document.fileName;
+      const line = event.selections[0].active.line + 1;
+      const index = visualizedOperations.findIndex(
+        (op) => op.loc && op.loc.file === file && op.loc.line === line
+      );
+      if (index === -1) return;
+
+      if (visualDebugPanel) {
+        visualDebugPanel.webview.postMessage({ type: "seek", step: index + 1 });
+      }
+      server.sendSeek(index + 1);
+    }
+  );
 
   // Register command to start visual debugging in VS Code
   let startCommand = vscode.commands.registerCommand(
@@ -88,7 +202,22 @@ function activate(context) {
 
       try {
         // Parse the code
-        const operations = parser.parse(code);
+        const options = getParseOptions(document);
+        const operations = validateOperations(parser.parse(code, options));
+        visualizedOperations = operations;
+        traceDetails = {
+          source: {
+            code,
+            file: vscode.workspace.asRelativePath(document.uri),
+          },
+          metadata: {
+            title: path.basename(
+              document.fileName,
+              path.extname(document.fileName)
+            ),
+            tracingMode: options.mode,
+          },
+        };
 
         // Create webview if it doesn't exist
         if (!visualDebugPanel) {
@@ -97,7 +226,7 @@ function activate(context) {
 
         // Send operations to webview
         if (visualDebugPanel) {
-          visualDebugPanel.webview.postMessage({
+          postToWebview({
             type: "operations",
             operations: operations,
             code: code,
@@ -119,39 +248,86 @@ function activate(context) {
     }
   );
 
+  // Register command to follow an array while debugging
+  let watchArrayCommand = vscode.commands.registerCommand(
+    "visual-debug.watchArray",
+    async () => {
+      const editor = vscode.window.activeTextEditor;
+      const selected =
+        editor && !editor.selection.isEmpty
+          ? editor.document.getText(editor.selection).trim()
+          : "";
+
+      const expression = await vscode.window.showInputBox({
+        prompt: "Array expression to visualize each time the debugger stops",
+        placeHolder: "e.g., arr",
+        value: selected || debugExpression || "",
+      });
+      if (!expression) return;
+
+      debugExpression = expression.trim();
+      if (!visualDebugPanel) {
+        createWebviewPanel(context);
+      }
+      vscode.window.showInformationMessage(
+        `Visual Debug will show ${debugExpression} whenever the debugger stops`
+      );
+    }
+  );
+
+  // Read the watched array at every stop of any debug session
+  const trackerFactory = vscode.debug.registerDebugAdapterTrackerFactory("*", {
+    createDebugAdapterTracker: (session) =>
+      new DebugArrayTracker(
+        session,
+        () => debugExpression,
+        streamDebugOperations
+      ),
+  });
+
   // Register command to visualize algorithm
   let visualizeAlgorithmCommand = vscode.commands.registerCommand(
     "visual-debug.visualizeAlgorithm",
     async () => {
-      // Show quick pick for algorithm selection
-      const algorithmChoice = await vscode.window.showQuickPick(
-        [
-          { label: "Bubble Sort", value: "bubbleSort" },
-          { label: "Selection Sort", value: "selectionSort" },
-          { label: "Insertion Sort", value: "insertionSort" },
-          { label: "Custom Code", value: "custom" },
-        ],
-        {
-          placeHolder: "Select an algorithm to visualize",
+      await loadWorkspaceAlgorithms();
+
+      // Show quick pick for algorithm selection, grouped by category
+      const items = [];
+      algorithms.list().forEach((algorithm, k, list) => {
+        if (k === 0 || list[k - 1].category !== algorithm.category) {
+          items.push({
+            label: algorithm.category,
+            kind: vscode.QuickPickItemKind.Separator,
+          });
         }
+        items.push({
+          label: algorithm.name,
+          description: algorithm.complexity.time,
+          value: algorithm.id,
+        });
+      });
+      items.push(
+        { label: "", kind: vscode.QuickPickItemKind.Separator },
+        { label: "Custom Code", value: "custom" }
       );
 
+      const algorithmChoice = await vscode.window.showQuickPick(items, {
+        placeHolder: "Select an algorithm to visualize",
+      });
+
       if (!algorithmChoice) return;
 
       if (algorithmChoice.value === "custom") {
         // Prompt for custom array
         const arrayInput = await vscode.window.showInputBox({
-          prompt: "Enter array values (comma-separated numbers)",
+          prompt: "Enter array values (comma-separated numbers or words)",
           placeHolder: "e.g., 64, 34, 25, 12, 22, 11, 90",
           value: "64, 34, 25, 12, 22, 11, 90",
         });
 
         if (!arrayInput) return;
 
-        const array = arrayInput
-          .split(",")
-          .map((n) => parseInt(n.trim()))
-          .filter((n) => !isNaN(n));
+        const array = parseArrayInput(arrayInput);
 
         if (array.length === 0) {
           vscode.window.showErrorMessage("Invalid array input");
@@ -169,10 +345,15 @@ function activate(context) {
 
         try {
           // Replace placeholder with actual array
-          const fullCode = `let arr = [${array.join(", ")}];\n${code}`;
-          const operations = parser.parse(fullCode);
+          const fullCode = `let arr = ${JSON.stringify(array)};\n${code}`;
+          const options = getParseOptions();
+          const operations = parser.parse(fullCode, options);
 
-          sendOperationsToVisualization(operations);
+          sendOperationsToVisualization(operations, {
+            source: { code: fullCode },
+            input: { array },
+            metadata: { title: "Custom Code", tracingMode: options.mode },
+          });
           vscode.window.showInformationMessage(
             `Visualizing custom code with ${operations.length} operations`
           );
@@ -182,59 +363,395 @@ function activate(context) {
           );
         }
       } else {
-        // Generate operations for selected algorithm
-        const arrayInput = await vscode.window.showInputBox({
-          prompt: "Enter array values (comma-separated numbers)",
-          placeHolder: "e.g., 64, 34, 25, 12, 22, 11, 90",
-          value: "64, 34, 25, 12, 22, 11, 90",
+        const algorithm = algorithms.get(algorithmChoice.value);
+        const input = await promptAlgorithmInput(algorithm);
+        if (!input) return;
+
+        try {
+          const operations = algorithms.run(algorithm.id, input);
+          sendOperationsToVisualization(operations, {
+            input,
+            metadata: { title: algorithm.name, algorithm: algorithm.id },
+          });
+          const needs = algorithm.input;
+          if (needs.type === "array" && !needs.sorted && !needs.target) {
+            lastArrayAlgorithm = algorithm.id;
+          }
+          vscode.window.showInformationMessage(
+            `Visualizing ${algorithm.name} with ${operations.length} operations`
+          );
+        } catch (error) {
+          vscode.window.showErrorMessage(
+            `Failed to visualize ${algorithm.name}: ${error.message}`
+          );
+        }
+      }
+    }
+  );
+
+  // Register command to count operations over growing input sizes
+  let complexityRunCommand = vscode.commands.registerCommand(
+    "visual-debug.complexityRun",
+    async () => {
+      await loadWorkspaceAlgorithms();
+      const editor = vscode.window.activeTextEditor;
+      const choice = await vscode.window.showQuickPick(
+        arrayAlgorithmItems(editor),
+        { placeHolder: "Select an algorithm to measure" }
+      );
+      if (!choice) return;
+
+      const sizesInput = await vscode.window.showInputBox({
+        prompt: "Enter the input sizes (comma-separated)",
+        value: DEFAULT_SIZES.join(", "),
+      });
+      if (!sizesInput) return;
+      const sizes = sizesInput.split(",").map((size) => Number(size.trim()));
+
+      const runner = createRunner(
+        choice.value,
+        editor,
+        COMPLEXITY_MAX_OPERATIONS
+      );
+      const shape = runner.needsSorted ? "sorted" : await pickInputShape();
+      if (!shape) return;
+
+      try {
+        const result = measureComplexity(runner.run, {
+          sizes,
+          shape,
+          seed: randomSeed(),
         });
+        const panel = vscode.window.createWebviewPanel(
+          "visualDebugComplexity",
+          `Complexity: ${runner.name}`,
+          vscode.ViewColumn.Two,
+          {}
+        );
+        panel.webview.html = getComplexityContent(runner.name, result);
+      } catch (error) {
+        vscode.window.showErrorMessage(
+          `Complexity run failed: ${error.message}`
+        );
+      }
+    }
+  );
 
-        if (!arrayInput) return;
+  // Register command to race algorithms side by side in the browser
+  let raceCommand = vscode.commands.registerCommand(
+    "visual-debug.race",
+    async () => {
+      await loadWorkspaceAlgorithms();
+      const editor = vscode.window.activeTextEditor;
+      const choices = await vscode.window.showQuickPick(
+        arrayAlgorithmItems(editor),
+        { placeHolder: "Select the algorithms to race", canPickMany: true }
+      );
+      if (!choices) return;
+      if (choices.length < 2) {
+        vscode.window.showErrorMessage("Pick at least two algorithms to race");
+        return;
+      }
 
-        const array = arrayInput
-          .split(",")
-          .map((n) => parseInt(n.trim()))
-          .filter((n) => !isNaN(n));
+      const runners = choices.map((choice) =>
+        createRunner(choice.value, editor)
+      );
+      const shape = runners.some((runner) => runner.needsSorted)
+        ? "sorted"
+        : await pickInputShape();
+      if (!shape) return;
+      const input = await promptGeneratedInput(
+        shape,
+        INPUT_SHAPES.find((inputShape) => inputShape.id === shape).label
+      );
+      if (!input) return;
+      const array = input.array;
 
-        if (array.length === 0) {
-          vscode.window.showErrorMessage("Invalid array input");
-          return;
-        }
+      const sync = await vscode.window.showQuickPick(
+        SYNC_MODES.map((mode) => ({ label: mode.label, value: mode.id })),
+        { placeHolder: "Keep the lanes in step by" }
+      );
+      if (!sync) return;
+
+      try {
+        // Lanes are named after their algorithm, numbered if one runs twice
+        const seen = new Map();
+        const lanes = runners.map((runner) => {
+          const count = (seen.get(runner.name) || 0) + 1;
+          seen.set(runner.name, count);
+          const id = count > 1 ? `${runner.name} #${count}` : runner.name;
+          return { id, operations: laneOperations(runner.run(array), id) };
+        });
 
-        let operations = [];
-        switch (algorithmChoice.value) {
-          case "bubbleSort":
-            operations = parser.generateBubbleSort(array);
-            break;
-          case "selectionSort":
-            operations = parser.generateSelectionSort(array);
-            break;
-          case "insertionSort":
-            operations = parser.generateInsertionSort(array);
-            break;
+        // Race steps don't map back to one source file, and races aren't
+        // exported
+        visualizedOperations = [];
+        traceDetails = {};
+        server.sendRace({ array, sync: sync.value, lanes });
+        if (server.connectedSockets.length === 0) {
+          await vscode.commands.executeCommand("visual-debug.openInBrowser");
         }
+      } catch (error) {
+        vscode.window.showErrorMessage(
+          `Failed to start the race: ${error.message}`
+        );
+      }
+    }
+  );
+
+  // Register command to save the visualized operations as a trace file
+  let exportTraceCommand = vscode.commands.registerCommand(
+    "visual-debug.exportTrace",
+    async () => {
+      if (!canExport()) return;
+      const uri = await pickExportFile(TRACE_EXTENSION, {
+        "Visual Debug Trace": ["vdtrace.json"],
+      });
+      if (!uri) return;
 
-        sendOperationsToVisualization(operations);
+      const trace = exportedTrace();
+      try {
+        await vscode.workspace.fs.writeFile(
+          uri,
+          Buffer.from(serializeTrace(trace), "utf8")
+        );
         vscode.window.showInformationMessage(
-          `Visualizing ${algorithmChoice.label} with ${operations.length} operations`
+          `Exported ${visualizedOperations.length} operations to ${vscode.workspace.asRelativePath(uri)}`
+        );
+      } catch (error) {
+        vscode.window.showErrorMessage(
+          `Failed to export trace: ${error.message}`
         );
       }
     }
   );
 
-  function sendOperationsToVisualization(operations) {
-    // Create webview if it doesn't exist
-    if (!visualDebugPanel) {
-      createWebviewPanel(context);
+  // Register command to save the visualized operations with the webview's
+  // player as one HTML page that plays offline
+  let exportHtmlCommand = vscode.commands.registerCommand(
+    "visual-debug.exportHtml",
+    async () => {
+      if (!canExport()) return;
+      const uri = await pickExportFile(".html", { HTML: ["html"] });
+      if (!uri) return;
+
+      try {
+        const sources = await Promise.all(
+          WEBVIEW_SCRIPTS.map(async (file) =>
+            Buffer.from(
+              await vscode.workspace.fs.readFile(
+                vscode.Uri.joinPath(context.extensionUri, "web", file)
+              )
+            ).toString("utf8")
+          )
+        );
+        // The shim comes first, so the player finds the VS Code API it expects
+        const scripts = [playerShim(exportedTrace()), ...sources].map(
+          inlineScript
+        );
+        await vscode.workspace.fs.writeFile(
+          uri,
+          Buffer.from(getWebviewContent(scripts, STANDALONE_STYLE), "utf8")
+        );
+        vscode.window.showInformationMessage(
+          `Exported a player for ${visualizedOperations.length} operations to ${vscode.workspace.asRelativePath(uri)}`
+        );
+      } catch (error) {
+        vscode.window.showErrorMessage(
+          `Failed to export player: ${error.message}`
+        );
+      }
     }
+  );
 
-    // Send to webview with a slight delay to ensure it's ready
-    if (visualDebugPanel) {
-      setTimeout(() => {
-        visualDebugPanel.webview.postMessage({
-          type: "operations",
-          operations: operations,
+  // Register command to save the 2D bar view as an animated SVG. The webview
+  // replays the operations to record the bars, so they match what it shows
+  let exportSvgCommand = vscode.commands.registerCommand(
+    "visual-debug.exportSvg",
+    async () => {
+      if (!canExport()) return;
+      if (!visualizedOperations[0].array) {
+        vscode.window.showErrorMessage(
+          "Only visualizations of an array can be exported as SVG"
+        );
+        return;
+      }
+      const uri = await pickExportFile(".svg", { SVG: ["svg"] });
+      if (!uri) return;
+
+      try {
+        const frames = await new Promise((resolve, reject) => {
+          const timer = setTimeout(() => {
+            if (barFramesRequest !== request) return;
+            barFramesRequest = null;
+            reject(
+              new Error(
+                `the visualizer sent no frames within ${BAR_FRAMES_TIMEOUT / 1000} seconds`
+              )
+            );
+          }, BAR_FRAMES_TIMEOUT);
+          const request = {
+            resolve: (frames) => {
+              clearTimeout(timer);
+              resolve(frames);
+            },
+            reject: (error) => {
+              clearTimeout(timer);
+              reject(error);
+            },
+          };
+          barFramesRequest = request;
+          // A new panel asks for the frames once it's ready
+          if (visualDebugPanel) {
+            postToWebview({
+              type: "recordBars",
+              operations: visualizedOperations,
+            });
+          } else {
+            createWebviewPanel(context);
+          }
+        });
+        const svg = animatedBarSvg(frames, {
+          title: (traceDetails.metadata || {}).title,
         });
+        await vscode.workspace.fs.writeFile(uri, Buffer.from(svg, "utf8"));
+        vscode.window.showInformationMessage(
+          `Exported ${frames.length} frames to ${vscode.workspace.asRelativePath(uri)}`
+        );
+      } catch (error) {
+        vscode.window.showErrorMessage(
+          `Failed to export SVG: ${error.message}`
+        );
+      }
+    }
+  );
+
+  function canExport() {
+    if (visualizedOperations.length === 0) {
+      vscode.window.showErrorMessage(
+        "Nothing to export yet. Visualize some code or an algorithm first"
+      );
+      return false;
+    }
+    return true;
+  }
+
+  // Ask where to save an export, named after what is visualized
+  function pickExportFile(extension, filters) {
+    const metadata = traceDetails.metadata || {};
+    const name = String(metadata.title || "trace")
+      .toLowerCase()
+      .replace(/[^\w.-]+/g, "-");
+    const folder = (vscode.workspace.workspaceFolders || [])[0];
+    return vscode.window.showSaveDialog({
+      defaultUri: folder
+        ? vscode.Uri.joinPath(folder.uri, name + extension)
+        : undefined,
+      filters,
+    });
+  }
+
+  function exportedTrace() {
+    return createTrace(visualizedOperations, {
+      ...traceDetails,
+      metadata: {
+        ...traceDetails.metadata,
+        extensionVersion: context.extension.packageJSON.version,
+      },
+    });
+  }
+
+  // Register command to play a trace file
+  let importTraceCommand = vscode.commands.registerCommand(
+    "visual-debug.importTrace",
+    async () => {
+      const uris = await vscode.window.showOpenDialog({
+        canSelectMany: false,
+        filters: { "Visual Debug Trace": ["vdtrace.json"] },
+      });
+      if (!uris || uris.length === 0) return;
+
+      try {
+        const bytes = await vscode.workspace.fs.readFile(uris[0]);
+        loadTrace(
+          Buffer.from(bytes).toString("utf8"),
+          vscode.workspace.asRelativePath(uris[0])
+        );
+      } catch (error) {
+        vscode.window.showErrorMessage(
+          `Failed to load trace: ${error.message}`
+        );
+      }
+    }
+  );
+
+  // Opening a trace file in the editor plays it too
+  const isTraceFile = (document) =>
+    document.uri.scheme === "file" &&
+    document.fileName.endsWith(TRACE_EXTENSION);
+  const openTraceFile = (document) => {
+    try {
+      loadTrace(
+        document.getText(),
+        vscode.workspace.asRelativePath(document.uri)
+      );
+    } catch (error) {
+      vscode.window.showErrorMessage(`Failed to load trace: ${error.message}`);
+    }
+  };
+  const traceFileListener = vscode.workspace.onDidOpenTextDocument(
+    (document) => {
+      if (isTraceFile(document)) openTraceFile(document);
+    }
+  );
+  // A trace file may already be open when the extension activates
+  const activeEditor = vscode.window.activeTextEditor;
+  if (activeEditor && isTraceFile(activeEditor.document)) {
+    openTraceFile(activeEditor.document);
+  }
+
+  function loadTrace(text, name) {
+    const trace = parseTrace(text);
+    sendOperationsToVisualization(trace.operations, {
+      source: trace.source,
+      input: trace.input,
+      metadata: trace.metadata,
+    });
+    vscode.window.showInformationMessage(
+      `Loaded trace ${name} with ${trace.operations.length} operations`
+    );
+  }
+
+  /**
+   * @param {Array} operations
+   * @param {object} [details] - Where the operations came from, for exported
+   *   traces: { source, input, metadata }
+   */
+  function sendOperationsToVisualization(operations, details = {}) {
+    // Checked here, as the webview may be sent them later
+    validateOperations(operations);
+    visualizedOperations = operations;
+    traceDetails = details;
+    clearTimeout(operationsTimer);
+    operationsTimer = null;
+
+    if (visualDebugPanel) {
+      visualDebugPanel.webview.postMessage({
+        type: "operations",
+        operations: operations,
+      });
+    } else {
+      // A new webview is sent them with a slight delay, to ensure it's
+      // ready. Operations appended meanwhile go along with them
+      createWebviewPanel(context);
+      operationsTimer = setTimeout(() => {
+        operationsTimer = null;
+        if (visualDebugPanel) {
+          visualDebugPanel.webview.postMessage({
+            type: "operations",
+            operations: visualizedOperations,
+          });
+        }
       }, 100);
     }
 
@@ -242,11 +759,43 @@ function activate(context) {
     server.sendOperations(operations);
   }
 
+  // The first stop starts a new visualization; later ones extend it. While a
+  // new webview waits for its operations, appended ones are sent with them
+  function streamDebugOperations(operations, reset) {
+    if (reset) {
+      sendOperationsToVisualization(operations, {
+        metadata: { title: debugExpression, debugExpression },
+      });
+      return;
+    }
+
+    validateOperations(operations, visualizedOperations.length);
+    visualizedOperations.push(...operations);
+    if (visualDebugPanel && !operationsTimer) {
+      postToWebview(
+        { type: "appendOperations", operations: operations },
+        visualizedOperations.length - operations.length
+      );
+    }
+    operations.forEach((op) => server.sendOperation(op));
+  }
+
   context.subscriptions.push(
     startCommand,
     openInBrowserCommand,
     debugFileCommand,
-    visualizeAlgorithmCommand
+    visualizeAlgorithmCommand,
+    complexityRunCommand,
+    raceCommand,
+    exportTraceCommand,
+    exportHtmlCommand,
+    exportSvgCommand,
+    importTraceCommand,
+    traceFileListener,
+    watchArrayCommand,
+    trackerFactory,
+    selectionListener,
+    activeLineDecoration
   );
 
   // Clean up when extension is deactivated
@@ -260,76 +809,483 @@ function activate(context) {
       }
     },
   });
+
+  // API for other extensions, e.g. to add a course's algorithms
+  return {
+    /**
+     * @param {object} algorithm - See algorithms.js
+     * @returns {vscode.Disposable} - Removes the algorithm again
+     */
+    registerAlgorithm: (algorithm) =>
+      new vscode.Disposable(algorithms.register(algorithm)),
+    getAlgorithms: () => algorithms.list(),
+  };
 }
 
-function createWebviewPanel(context) {
-  // Create webview panel
-  visualDebugPanel = vscode.window.createWebviewPanel(
-    "visualDebug",
-    "Visual Debug",
-    vscode.ViewColumn.Two, // Opens beside the editor
-    {
-      enableScripts: true,
-      retainContextWhenHidden: true,
+/**
+ * Read comma-separated array values: numbers if they all are, otherwise
+ * words, which are sorted lexicographically
+ * @param {string} input
+ * @returns {Array<number|string>}
+ */
+function parseArrayInput(input) {
+  const items = input
+    .split(",")
+    .map((item) => item.trim())
+    .filter((item) => item !== "");
+  if (items.every((item) => !isNaN(parseInt(item)))) {
+    return items.map((item) => parseInt(item));
+  }
+  return items.map((item) => item.replace(/^(["'])(.*)\1$/, "$2"));
+}
+
+/**
+ * Ask for the input an algorithm needs: an array, plus a value to search for,
+ * or a graph, plus a start node
+ * @returns {Promise<object|null>} - null if the user cancelled or the input
+ *   doesn't parse
+ */
+async function promptAlgorithmInput(algorithm) {
+  const needs = algorithm.input;
+
+  if (needs.type === "graph") {
+    const graphInput = await vscode.window.showInputBox({
+      prompt: "Enter the graph as a JSON adjacency list or matrix",
+      placeHolder: 'e.g., {"A": {"B": 4, "C": 1}, "B": {"D": 1}, "C": {"B": 2}, "D": {}}',
+      value: '{"A": {"B": 4, "C": 1}, "B": {"D": 1}, "C": {"B": 2, "D": 5}, "D": {}}',
+    });
+    if (!graphInput) return null;
+
+    let graph;
+    try {
+      graph = JSON.parse(graphInput);
+    } catch (error) {
+      vscode.window.showErrorMessage(`Invalid graph input: ${error.message}`);
+      return null;
     }
-  );
 
-  // Load the webview content
-  visualDebugPanel.webview.html = getWebviewContent();
+    let start;
+    if (needs.start) {
+      start = await vscode.window.showInputBox({
+        prompt: "Enter the start node",
+        value: Array.isArray(graph) ? "0" : Object.keys(graph)[0] || "",
+      });
+      if (start === undefined) return null;
+    }
+    return { graph, start };
+  }
 
-  // Handle messages from the webview
-  visualDebugPanel.webview.onDidReceiveMessage(
-    (message) => {
-      switch (message.type) {
-        case "ready":
-          console.log("Webview is ready");
-          // Don't send test data automatically anymore
-          // Wait for user to trigger visualization
-          break;
-        case "openInBrowser":
-          vscode.commands.executeCommand("visual-debug.openInBrowser");
-          break;
-        case "log":
-          console.log("Webview:", message.data);
-          break;
-        case "error":
-          vscode.window.showErrorMessage(`Visual Debug Error: ${message.data}`);
-          break;
-        case "visualizeCode":
-          // User entered code in webview
-          try {
-            const operations = parser.parse(message.code);
-            visualDebugPanel.webview.postMessage({
-              type: "operations",
-              operations: operations,
-            });
-            server.sendOperations(operations);
-          } catch (error) {
-            visualDebugPanel.webview.postMessage({
-              type: "error",
-              message: error.message,
-            });
-          }
-          break;
-      }
-    },
-    undefined,
-    context.subscriptions
-  );
+  // Searches need sorted input, so only typed values make sense there
+  const shapes = needs.sorted
+    ? []
+    : INPUT_SHAPES.map((shape) => ({
+        label: shape.label,
+        description: "generated from a seed",
+        value: shape.id,
+      }));
+  const source = shapes.length
+    ? await vscode.window.showQuickPick(
+        [{ label: "Type values...", value: null }, ...shapes],
+        { placeHolder: "Choose the input array" }
+      )
+    : { value: null };
+  if (!source) return null;
 
-  // Clean up when panel is closed
-  visualDebugPanel.onDidDispose(
-    () => {
-      visualDebugPanel = null;
-    },
-    null,
-    context.subscriptions
-  );
+  let array;
+  let generated = {};
+  if (source.value) {
+    generated = await promptGeneratedInput(source.value, source.label);
+    if (!generated) return null;
+    array = generated.array;
+  } else {
+    const arrayInput = await vscode.window.showInputBox({
+      prompt: "Enter array values (comma-separated numbers or words)",
+      placeHolder: "e.g., 64, 34, 25, 12, 22, 11, 90",
+      value: needs.sorted
+        ? "11, 12, 22, 25, 34, 64, 90"
+        : "64, 34, 25, 12, 22, 11, 90",
+    });
+    if (!arrayInput) return null;
+
+    array = parseArrayInput(arrayInput);
+    if (array.length === 0) {
+      vscode.window.showErrorMessage("Invalid array input");
+      return null;
+    }
+  }
+
+  let target;
+  if (needs.target) {
+    const targetInput = await vscode.window.showInputBox({
+      prompt: "Enter the value to search for",
+      value: String(array[Math.floor(array.length / 2)]),
+    });
+    if (!targetInput) return null;
+
+    // Words are searched for as words, even ones that look like numbers
+    const [value] = parseArrayInput(targetInput);
+    target = typeof array[0] === "string" ? String(value) : value;
+  }
+  return { ...generated, array, target };
 }
 
-function getWebviewContent() {
-  return `<!DOCTYPE html>
-    <html lang="en">
+/**
+ * Quick pick items for the algorithms that work on an array, and for the
+ * code in the active editor if there is one
+ * @param {vscode.TextEditor} [editor]
+ */
+function arrayAlgorithmItems(editor) {
+  const items = algorithms
+    .list()
+    .filter((algorithm) => algorithm.input.type === "array")
+    .map((algorithm) => ({
+      label: algorithm.name,
+      description: algorithm.complexity.time,
+      value: algorithm.id,
+    }));
+  if (editor) {
+    items.push(
+      { label: "", kind: vscode.QuickPickItemKind.Separator },
+      { label: "Code in Active Editor", value: "editor" }
+    );
+  }
+  return items;
+}
+
+/**
+ * How to run an algorithm picked from arrayAlgorithmItems on an array
+ * @param {string} value - Algorithm id, or "editor" for the editor's code,
+ *   which is run with its array literal replaced
+ * @param {vscode.TextEditor} [editor]
+ * @param {number} [maxOperations] - Most operations to trace the code for
+ * @returns {{name: string, needsSorted: boolean,
+ *   run: (array: number[]) => Array}}
+ */
+function createRunner(value, editor, maxOperations) {
+  if (value === "editor") {
+    const code = editor.document.getText();
+    const codeParser = new CodeParser({ maxOperations });
+    return {
+      name: vscode.workspace.asRelativePath(editor.document.uri),
+      needsSorted: false,
+      run: (array) =>
+        codeParser.parse(
+          codeParser.replaceArray(code, array),
+          getParseOptions()
+        ),
+    };
+  }
+
+  const algorithm = algorithms.get(value);
+  return {
+    name: algorithm.name,
+    needsSorted: Boolean(algorithm.input.sorted),
+    // Searches look for a value a third of the way along
+    run: (array) =>
+      algorithms.run(algorithm.id, {
+        array,
+        target: array[Math.floor(array.length / 3)],
+      }),
+  };
+}
+
+/**
+ * @returns {Promise<string|undefined>} - An INPUT_SHAPES id
+ */
+async function pickInputShape() {
+  const choice = await vscode.window.showQuickPick(
+    INPUT_SHAPES.map((shape) => ({ label: shape.label, value: shape.id })),
+    { placeHolder: "Choose the shape of the input" }
+  );
+  return choice && choice.value;
+}
+
+/**
+ * Ask for the size and seed of a generated input array. The seed is shown
+ * afterwards so the run can be repeated
+ * @param {string} shape - One of the INPUT_SHAPES ids
+ * @param {string} label - Name of the shape, for messages
+ * @returns {Promise<{array: number[], shape: string, size: number,
+ *   seed: number}|null>}
+ */
+async function promptGeneratedInput(shape, label) {
+  const sizeInput = await vscode.window.showInputBox({
+    prompt: "Enter the number of elements",
+    value: "16",
+  });
+  if (!sizeInput) return null;
+
+  const seedInput = await vscode.window.showInputBox({
+    prompt: "Enter the seed (the same seed gives the same array)",
+    value: String(randomSeed()),
+  });
+  if (!seedInput) return null;
+
+  const size = Number(sizeInput);
+  const seed = Number(seedInput);
+  try {
+    const array = generateInput(shape, size, seed);
+    vscode.window.showInformationMessage(
+      `Input: ${label}, size ${size}, seed ${seed}`
+    );
+    return { array, shape, size, seed };
+  } catch (error) {
+    vscode.window.showErrorMessage(`Invalid input: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Register the algorithms exported by the modules matching the
+ * visualDebug.algorithmModules patterns, in place of the ones loaded last
+ * time. Workspace code is only loaded in trusted workspaces
+ */
+async function loadWorkspaceAlgorithms() {
+  workspaceAlgorithms.forEach((unregister) => unregister());
+  workspaceAlgorithms = [];
+  if (!vscode.workspace.isTrusted) return;
+
+  const patterns = vscode.workspace
+    .getConfiguration("visualDebug")
+    .get("algorithmModules", []);
+  for (const folder of vscode.workspace.workspaceFolders || []) {
+    for (const pattern of patterns) {
+      const files = await vscode.workspace.findFiles(
+        new vscode.RelativePattern(folder, pattern)
+      );
+      files.forEach((file) => {
+        try {
+          loadAlgorithmModule(file.fsPath).forEach((algorithm) =>
+            workspaceAlgorithms.push(algorithms.register(algorithm))
+          );
+        } catch (error) {
+          vscode.window.showErrorMessage(
+            `Failed to load algorithms from ${vscode.workspace.asRelativePath(file)}: ${error.message}`
+          );
+        }
+      });
+    }
+  }
+}
+
+/**
+ * A page with the chart of a complexity run and a table of its counts
+ * @param {string} name - What was measured
+ * @param {object} result - As returned by measureComplexity
+ */
+function getComplexityContent(name, result) {
+  const escape = (text) =>
+    String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;");
+  const rows = result.points
+    .map(
+      ({ n, counts }) =>
+        `<tr><td>${n}</td>${COUNTERS.map(
+          ({ id }) => `<td>${counts[id]}</td>`
+        ).join("")}</tr>`
+    )
+    .join("\n");
+
+  return `<!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <title>Complexity: ${escape(name)}</title>
+        <style>
+            body {
+                padding: 20px;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+                background: #1e1e1e;
+                color: #cccccc;
+            }
+
+            table {
+                margin-top: 20px;
+                border-collapse: collapse;
+                font-family: 'Consolas', 'Courier New', monospace;
+            }
+
+            th, td {
+                padding: 4px 16px 4px 0;
+                text-align: right;
+            }
+        </style>
+    </head>
+    <body>
+        <h2>${escape(name)}</h2>
+        <p>Inputs: ${escape(result.shape)}, seed ${result.seed}. The dashed reference curves are scaled to meet the largest count at the largest n.</p>
+        ${complexityChart(result)}
+        <table>
+            <tr><th>n</th>${COUNTERS.map(({ label }) => `<th>${label}</th>`).join("")}</tr>
+            ${rows}
+        </table>
+    </body>
+    </html>`;
+}
+
+/**
+ * Read parser options from the user's settings
+ * @param {vscode.TextDocument} [document] - Document the code comes from, so
+ *   operations can point back into it
+ */
+function getParseOptions(document) {
+  const config = vscode.workspace.getConfiguration("visualDebug");
+  // Running the code is no safer in the tracer's vm context than anywhere
+  // else, so untrusted workspaces only get what the loop patterns can infer
+  const trusted = vscode.workspace.isTrusted;
+  return {
+    mode: trusted ? config.get("tracingMode", "execution") : "pattern",
+    runCode: trusted,
+    file: document ? document.fileName : undefined,
+  };
+}
+
+/**
+ * Highlight the source line of the operation playback has just run, or of
+ * the nearest one before it that has a location
+ * @param {number} step - Number of operations played so far
+ */
+function showOperationLocation(step) {
+  const op = visualizedOperations
+    .slice(0, step)
+    .reverse()
+    .find((operation) => operation.loc && operation.loc.file);
+  const loc = op ? op.loc : null;
+
+  vscode.window.visibleTextEditors.forEach((editor) => {
+    if (!loc || editor.document.fileName !== loc.file) {
+      editor.setDecorations(activeLineDecoration, []);
+      return;
+    }
+
+    const position = new vscode.Position(loc.line - 1, loc.column);
+    const range = new vscode.Range(position, position);
+    editor.setDecorations(activeLineDecoration, [range]);
+    editor.revealRange(
+      range,
+      vscode.TextEditorRevealType.InCenterIfOutsideViewport
+    );
+  });
+}
+
+/**
+ * Post a message to the webview, refusing operations it carries that don't
+ * follow the schema in web/schema.js
+ * @param {{type: string, operations?: Array}} message
+ * @param {number} [start] - Index of the first operation in the trace
+ *   shown, when they continue it
+ */
+function postToWebview(message, start = 0) {
+  if (message.operations) {
+    validateOperations(message.operations, start);
+  }
+  visualDebugPanel.webview.postMessage(message);
+}
+
+function createWebviewPanel(context) {
+  // Create webview panel
+  visualDebugPanel = vscode.window.createWebviewPanel(
+    "visualDebug",
+    "Visual Debug",
+    vscode.ViewColumn.Two, // Opens beside the editor
+    {
+      enableScripts: true,
+      retainContextWhenHidden: true,
+      localResourceRoots: [vscode.Uri.joinPath(context.extensionUri, "web")],
+    }
+  );
+
+  // Load the webview content, with the scripts it shares with the browser
+  const scripts = WEBVIEW_SCRIPTS.map((file) => {
+    const uri = visualDebugPanel.webview.asWebviewUri(
+      vscode.Uri.joinPath(context.extensionUri, "web", file)
+    );
+    return `<script src="${uri}"></script>`;
+  });
+  visualDebugPanel.webview.html = getWebviewContent(scripts);
+
+  // Handle messages from the webview
+  visualDebugPanel.webview.onDidReceiveMessage(
+    (message) => {
+      switch (message.type) {
+        case "ready":
+          console.log("Webview is ready");
+          // Don't send test data automatically anymore
+          // Wait for user to trigger visualization
+          if (barFramesRequest) {
+            postToWebview({
+              type: "recordBars",
+              operations: visualizedOperations,
+            });
+          }
+          break;
+        case "barFrames":
+          if (barFramesRequest) {
+            barFramesRequest.resolve(message.frames);
+            barFramesRequest = null;
+          }
+          break;
+        case "openInBrowser":
+          vscode.commands.executeCommand("visual-debug.openInBrowser");
+          break;
+        case "log":
+          console.log("Webview:", message.data);
+          break;
+        case "step":
+          showOperationLocation(message.step);
+          break;
+        case "error":
+          vscode.window.showErrorMessage(`Visual Debug Error: ${message.data}`);
+          break;
+        case "visualizeCode":
+          // User entered code in webview
+          try {
+            const options = getParseOptions();
+            const operations = parser.parse(message.code, options);
+            postToWebview({ type: "operations", operations: operations });
+            visualizedOperations = operations;
+            traceDetails = {
+              source: { code: message.code },
+              metadata: { title: "Webview Code", tracingMode: options.mode },
+            };
+            server.sendOperations(operations);
+          } catch (error) {
+            visualDebugPanel.webview.postMessage({
+              type: "error",
+              message: error.message,
+            });
+          }
+          break;
+      }
+    },
+    undefined,
+    context.subscriptions
+  );
+
+  // Clean up when panel is closed
+  visualDebugPanel.onDidDispose(
+    () => {
+      visualDebugPanel = null;
+      if (barFramesRequest) {
+        barFramesRequest.reject(
+          new Error("the visualizer was closed before it recorded the frames")
+        );
+        barFramesRequest = null;
+      }
+    },
+    null,
+    context.subscriptions
+  );
+}
+
+/**
+ * @param {string[]} scripts - Script elements for the scripts from web/, as
+ *   the page loads them
+ * @param {string} [head] - More for the head, e.g. styles for a standalone
+ *   page
+ */
+function getWebviewContent(scripts, head = "") {
+  return `<!DOCTYPE html>
+    <html lang="en">
     <head>
         <meta charset="UTF-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -410,6 +1366,31 @@ function getWebviewContent() {
                 background: #5ed9c0;
             }
 
+            #input-generator {
+                display: flex;
+                gap: 8px;
+                align-items: center;
+                margin-top: 10px;
+                font-size: 12px;
+            }
+
+            #input-generator select,
+            #input-generator input {
+                padding: 4px;
+                background: #1e1e1e;
+                color: #cccccc;
+                border: 1px solid #3e3e42;
+                border-radius: 4px;
+            }
+
+            #input-size {
+                width: 50px;
+            }
+
+            #input-seed {
+                width: 100px;
+            }
+
             .code-example {
                 font-size: 12px;
                 color: #888;
@@ -471,6 +1452,27 @@ function getWebviewContent() {
                 width: 100px;
             }
             
+            #array-info {
+                white-space: pre-line;
+            }
+            
+            #watch {
+                margin-top: 8px;
+                border-collapse: collapse;
+            }
+            
+            #watch td {
+                padding: 2px 16px 2px 0;
+            }
+            
+            #watch .name {
+                color: #9cdcfe;
+            }
+            
+            #watch .pointer .name {
+                color: #dcdcaa;
+            }
+            
             #info {
                 margin-top: 20px;
                 padding: 15px;
@@ -478,6 +1480,14 @@ function getWebviewContent() {
                 border-radius: 8px;
                 font-family: 'Consolas', 'Courier New', monospace;
             }
+
+            #counters {
+                display: flex;
+                gap: 20px;
+                margin-top: 10px;
+                font-size: 13px;
+                color: #9cdcfe;
+            }
             
             .notice {
                 background: linear-gradient(135deg, #667eea22 0%, #764ba222 100%);
@@ -496,6 +1506,7 @@ function getWebviewContent() {
                 color: #ff9999;
             }
         </style>
+        ${head}
     </head>
     <body>
         <div id="header">
@@ -522,6 +1533,15 @@ for (let i = 0; i < arr.length; i++) {
         }
     }
 }"></textarea>
+            <div id="input-generator">
+                <label for="input-shape">Input:</label>
+                <select id="input-shape"></select>
+                <label for="input-size">Size</label>
+                <input type="number" id="input-size" min="1" value="16">
+                <label for="input-seed">Seed</label>
+                <input type="number" id="input-seed" min="0" placeholder="random">
+                <button id="generate-input-btn">🎲 Generate</button>
+            </div>
             <div class="code-example">
                 Example: Initialize an array and write sorting logic. Use array operations like comparisons and swaps.
             </div>
@@ -549,19 +1569,54 @@ for (let i = 0; i < arr.length; i++) {
         <div id="info">
             <div id="operation-info">Ready to visualize...</div>
             <div id="array-info"></div>
+            <div id="counters"></div>
+            <table id="watch"></table>
         </div>
         
+        ${scripts.join("\n")}
         <script>
             const vscode = acquireVsCodeApi();
             const canvas = document.getElementById('visualizer');
             const ctx = canvas.getContext('2d');
             
             // State
-            let array = [];
+            let arrays = {};
+            let rows = [];
+            let mainId = null;
+            let records = null;
             let currentStep = 0;
             let isPlaying = false;
             let animationSpeed = 1;
             let operations = [];
+            let frames = [];
+            let baseRange = null;
+            let searchResult = null;
+            let moveAnimation = null;
+            let watch = {};
+            let watchId = null;
+            let pointerNames = null;
+            let nodes = {};
+            let links = [];
+            let refs = {};
+            let graphOp = null;
+            let nodePositions = {};
+            let graphFrom = {};
+            let graphProgress = 1;
+            let graph = null;
+            let graphState = {};
+            let grids = {};
+            let structures = {};
+            let counts = VisualDebugCounters.emptyCounts();
+            // Bars lit by the operation being recorded for an SVG export
+            let recording = null;
+            
+            // Width reserved on the right of the canvas for the call stack
+            const STACK_WIDTH = 180;
+            // Width reserved on the left for row labels when there are several arrays
+            const LABEL_WIDTH = 70;
+            // Link fields that decide where nodes are laid out; others, such as
+            // prev, are drawn dashed
+            const LAYOUT_FIELDS = ['next', 'left', 'right'];
             
             // Open in browser button
             document.getElementById('open-browser-btn').addEventListener('click', () => {
@@ -581,6 +1636,44 @@ for (let i = 0; i < arr.length; i++) {
 
                 vscode.postMessage({ type: 'visualizeCode', code: code });
             });
+
+            // Input generator: replaces the first array literal in the code
+            // with a generated array, or starts the code with one
+            const { INPUT_SHAPES, MAX_INPUT_SIZE, generateInput, randomSeed } = VisualDebugInputs;
+            const shapeSelect = document.getElementById('input-shape');
+            INPUT_SHAPES.forEach(shape => shapeSelect.add(new Option(shape.label, shape.id)));
+            document.getElementById('input-size').max = MAX_INPUT_SIZE;
+
+            document.getElementById('generate-input-btn').addEventListener('click', () => {
+                const textarea = document.getElementById('code-textarea');
+                const seedInput = document.getElementById('input-seed');
+                const errorDisplay = document.getElementById('error-display');
+                errorDisplay.innerHTML = '';
+
+                // A blank seed picks one and shows it, so the run can be repeated
+                if (seedInput.value === '') {
+                    seedInput.value = randomSeed();
+                }
+
+                let array;
+                try {
+                    array = generateInput(
+                        shapeSelect.value,
+                        Number(document.getElementById('input-size').value),
+                        Number(seedInput.value)
+                    );
+                } catch (error) {
+                    errorDisplay.innerHTML = \`<div class="error-message">\${error.message}</div>\`;
+                    return;
+                }
+
+                const literal = '[' + array.join(', ') + ']';
+                const code = textarea.value.trim() ? textarea.value : textarea.placeholder;
+                const arrayLiteral = /=\\s*\\[[^\\]]*\\]/;
+                textarea.value = arrayLiteral.test(code)
+                    ? code.replace(arrayLiteral, '= ' + literal)
+                    : \`let arr = \${literal};\\n\${code}\`;
+            });
             
             // Set canvas size
             function resizeCanvas() {
@@ -593,122 +1686,1039 @@ for (let i = 0; i < arr.length; i++) {
             window.addEventListener('resize', resizeCanvas);
             resizeCanvas();
             
-            // Drawing functions
-            function draw() {
-                ctx.clearRect(0, 0, canvas.width, canvas.height);
-                
-                if (array.length === 0) return;
-                
-                const barWidth = (canvas.width - 20) / array.length - 2;
-                const maxValue = Math.max(...array);
-                
-                array.forEach((value, index) => {
-                    const barHeight = (value / maxValue) * (canvas.height - 40);
-                    const x = 10 + index * (barWidth + 2);
-                    const y = canvas.height - barHeight - 20;
-                    
-                    // Default color
-                    ctx.fillStyle = '#4ec9b0';
-                    
-                    // Draw bar
-                    ctx.fillRect(x, y, barWidth, barHeight);
-                    
-                    // Draw value on top if bar is wide enough
-                    if (barWidth > 20) {
-                        ctx.fillStyle = '#cccccc';
-                        ctx.font = '12px monospace';
-                        ctx.textAlign = 'center';
-                        ctx.fillText(value, x + barWidth / 2, y - 5);
-                    }
-                });
+            // Arrays
+            function resetArrays(initOp) {
+                arrays = {};
+                rows = [];
+                mainId = null;
+                records = initOp && initOp.sortKey
+                    ? { sortKey: initOp.sortKey, labelKey: initOp.labelKey }
+                    : null;
+                if (initOp && initOp.array) {
+                    mainId = initOp.arrayId || 'array';
+                    addArray(mainId, mainId, initOp.array);
+                }
             }
             
-            // Animation functions
-            function highlightBars(indices, color) {
-                const barWidth = (canvas.width - 20) / array.length - 2;
-                const maxValue = Math.max(...array);
-                
-                indices.forEach(index => {
-                    if (index >= 0 && index < array.length) {
-                        const value = array[index];
-                        const barHeight = (value / maxValue) * (canvas.height - 40);
-                        const x = 10 + index * (barWidth + 2);
-                        const y = canvas.height - barHeight - 20;
-                        
-                        ctx.fillStyle = color;
-                        ctx.fillRect(x, y, barWidth, barHeight);
-                    }
-                });
+            function addArray(id, label, values) {
+                arrays[id] = { label, values: [...values] };
+                showArrays([id]);
             }
             
-            function animateSwap(i, j) {
-                if (i >= 0 && i < array.length && j >= 0 && j < array.length) {
-                    [array[i], array[j]] = [array[j], array[i]];
-                    draw();
-                    highlightBars([i, j], '#f48771');
-                }
+            // Operations without an array id come from generators that only
+            // know about one array
+            function idOf(op) {
+                return op.arrayId || mainId;
             }
             
-            function animateCompare(i, j) {
-                draw();
-                highlightBars([i, j], '#ffcc00');
+            function valuesOf(id) {
+                return arrays[id] ? arrays[id].values : [];
             }
             
-            // Control handlers
-            document.getElementById('play-pause').addEventListener('click', () => {
-                isPlaying = !isPlaying;
-                document.getElementById('play-pause').textContent = isPlaying ? 'Pause' : 'Play';
-                if (isPlaying) {
-                    playAnimation();
-                }
-            });
+            // Records (objects) are ordered by a sort key and named by a
+            // label field, both given by the init operation
+            function sortKeyOf(record) {
+                if (records) return records.sortKey;
+                const fields = Object.keys(record);
+                return fields.find(field => typeof record[field] === 'number') || fields[0];
+            }
             
-            document.getElementById('step-forward').addEventListener('click', () => {
-                stepForward();
-            });
+            function keyOfValue(value) {
+                return value !== null && typeof value === 'object' ? value[sortKeyOf(value)] : value;
+            }
             
-            document.getElementById('step-backward').addEventListener('click', () => {
-                stepBackward();
-            });
+            function formatValue(value) {
+                if (value === null || typeof value !== 'object') return String(value);
+                const key = sortKeyOf(value);
+                const label = records && records.labelKey ? value[records.labelKey] : undefined;
+                return label !== undefined ? label + ' (' + value[key] + ')' : key + ': ' + value[key];
+            }
             
-            document.getElementById('reset').addEventListener('click', () => {
-                reset();
-            });
+            // Empty slots stay blank
+            function formatValues(values) {
+                return values.map(value => value === undefined ? '' : formatValue(value)).join(', ');
+            }
             
-            document.getElementById('speed-slider').addEventListener('input', (e) => {
-                animationSpeed = parseFloat(e.target.value);
-                document.getElementById('speed-value').textContent = animationSpeed + 'x';
-            });
+            // Strings stand as tall as their place in lexicographic order
+            function getStringRanks(keys) {
+                const strings = [...new Set(keys.filter(key => typeof key === 'string'))].sort();
+                return new Map(strings.map((key, k) => [key, k + 1]));
+            }
             
-            function stepForward() {
-                if (currentStep < operations.length) {
-                    executeOperation(operations[currentStep]);
-                    currentStep++;
-                    updateInfo();
-                }
+            // How tall an element is drawn, negative below the baseline, or
+            // null for an empty slot
+            function barValue(value, ranks) {
+                const key = keyOfValue(value);
+                if (typeof key === 'number') return isFinite(key) ? key : null;
+                if (typeof key === 'string') return ranks.get(key) || 0;
+                if (typeof key === 'boolean') return Number(key);
+                return null;
             }
             
-            function stepBackward() {
-                if (currentStep > 0) {
-                    const targetStep = currentStep - 1;
-                    reset();
-                    for (let i = 0; i < targetStep; i++) {
-                        executeOperation(operations[i]);
+            function getRowIndex(id) {
+                return rows.findIndex(row => row.arrayId === id);
+            }
+            
+            // Each label gets a row that shows the array it last held, e.g. the
+            // current left half in merge sort. The main array keeps its own row,
+            // and arrays used together in one operation never share a row
+            function showArrays(ids) {
+                ids.forEach(id => {
+                    if (!arrays[id] || getRowIndex(id) !== -1) return;
+                    const label = arrays[id].label;
+                    const row = rows.find(row =>
+                        row.label === label && row.arrayId !== mainId && !ids.includes(row.arrayId));
+                    if (row) {
+                        row.arrayId = id;
+                    } else {
+                        rows.push({ label, arrayId: id });
+                    }
+                });
+            }
+            
+            // Linked lists and trees
+            function resetNodes() {
+                nodes = {};
+                links = [];
+                refs = {};
+                graphOp = null;
+                nodePositions = {};
+                graphFrom = {};
+                graphProgress = 1;
+            }
+            
+            // Graphs from adjacency lists and matrices
+            function resetGraph() {
+                graph = null;
+                graphState = { frontier: [], visited: {}, distances: {}, path: [], current: null };
+            }
+            
+            // Stacks, queues and hash tables
+            function resetStructures() {
+                structures = {};
+            }
+            
+            function formatItem(value) {
+                return value === undefined ? 'undefined' : JSON.stringify(value);
+            }
+            
+            // Hash tables and radix sort's buckets hold entries by bucket
+            function hasBuckets(kind) {
+                return kind === 'hash' || kind === 'buckets';
+            }
+            
+            function applyStructureOp(op) {
+                const structure = structures[op.structureId];
+                if (!structure) return;
+                const sameKey = entry => formatItem(entry.key) === formatItem(op.key);
+                switch (op.type) {
+                    case 'pushItem':
+                        if (op.end === 'front') {
+                            structure.items.unshift(op.value);
+                        } else {
+                            structure.items.push(op.value);
+                        }
+                        break;
+                    case 'popItem':
+                        if (op.end === 'front') {
+                            structure.items.shift();
+                        } else {
+                            structure.items.pop();
+                        }
+                        break;
+                    case 'hashPut': {
+                        const entry = structure.entries.find(sameKey);
+                        if (entry) {
+                            entry.value = op.value;
+                        } else {
+                            structure.entries.push({ key: op.key, value: op.value, bucket: op.bucket });
+                        }
+                        break;
+                    }
+                    case 'hashDelete':
+                        structure.entries = structure.entries.filter(entry => !sameKey(entry));
+                        break;
+                    case 'toBucket':
+                        structure.entries.push({ key: op.value, bucket: op.bucket });
+                        break;
+                    case 'fromBucket': {
+                        const k = structure.entries.findIndex(entry => entry.bucket === op.bucket);
+                        if (k !== -1) structure.entries.splice(k, 1);
+                        break;
+                    }
+                }
+            }
+            
+            // Structures get the whole graph area on their own, and a strip on
+            // its right next to nodes, graphs and 2D arrays
+            function getStructureWidth(areaWidth) {
+                const count = Object.keys(structures).length;
+                if (count === 0) return 0;
+                const others = Object.keys(nodes).length > 0 || graph || Object.keys(grids).length > 0;
+                return others ? Math.min(areaWidth / 2, 200 * count) : areaWidth;
+            }
+            
+            // A stack is a column growing upwards, a queue a row running from
+            // front to back, and a hash table a row of entries per bucket. The
+            // item or entry the last operation touched is highlighted
+            function drawStructures(left, width) {
+                const ids = Object.keys(structures);
+                if (ids.length === 0) return;
+                
+                const height = getGraphHeight();
+                const top = canvas.height - height + 30;
+                const bottom = canvas.height - 20;
+                const columnWidth = width / ids.length;
+                const op = graphOp && structures[graphOp.structureId] ? graphOp : null;
+                const box = (x, y, w, h, text, color) => {
+                    ctx.fillStyle = color;
+                    ctx.fillRect(x, y, w, h);
+                    ctx.strokeStyle = '#3e3e42';
+                    ctx.strokeRect(x, y, w, h);
+                    ctx.fillStyle = '#ffffff';
+                    ctx.font = '12px monospace';
+                    ctx.textAlign = 'center';
+                    ctx.textBaseline = 'middle';
+                    ctx.fillText(text, x + w / 2, y + h / 2, w - 4);
+                    ctx.textBaseline = 'alphabetic';
+                };
+                
+                ids.forEach((id, k) => {
+                    const structure = structures[id];
+                    const x0 = left + k * columnWidth;
+                    const active = op && op.structureId === id ? op : null;
+                    
+                    ctx.fillStyle = '#888888';
+                    ctx.font = '12px monospace';
+                    ctx.textAlign = 'center';
+                    ctx.fillText(structure.label + ' (' + (structure.kind === 'hash' ? 'hash table' : structure.kind) + ')',
+                        x0 + columnWidth / 2, top - 10);
+                    
+                    const endColor = () => active.type === 'pushItem' ? '#40ff40'
+                        : active.type === 'popItem' ? '#f48771' : '#dcdcaa';
+                    
+                    if (structure.kind === 'stack') {
+                        const items = structure.items;
+                        const w = Math.min(columnWidth - 40, 120);
+                        const h = Math.min(28, (bottom - top) / Math.max(items.length, 1));
+                        const x = x0 + (columnWidth - w) / 2;
+                        items.forEach((value, i) => {
+                            const isTop = i === items.length - 1;
+                            const color = active && isTop ? endColor() : '#4ec9b0';
+                            box(x, bottom - (i + 1) * h, w, h, formatItem(value), color);
+                        });
+                        ctx.fillStyle = '#888888';
+                        ctx.textAlign = 'left';
+                        if (items.length > 0) {
+                            ctx.fillText('← top', x + w + 6, bottom - items.length * h + h / 2 + 4);
+                        }
+                    } else if (structure.kind === 'queue') {
+                        const items = structure.items;
+                        const w = Math.min(60, (columnWidth - 20) / Math.max(items.length, 1));
+                        const y = top + (bottom - top) / 2 - 15;
+                        const x = x0 + (columnWidth - w * items.length) / 2;
+                        items.forEach((value, i) => {
+                            const atEnd = active && (active.end === 'front' ? i === 0 : i === items.length - 1);
+                            box(x + i * w, y, w, 30, formatItem(value), atEnd ? endColor() : '#4ec9b0');
+                        });
+                        ctx.fillStyle = '#888888';
+                        ctx.textAlign = 'center';
+                        if (items.length > 0) {
+                            ctx.fillText('front', x + w / 2, y + 48);
+                            ctx.fillText('back', x + w * (items.length - 0.5), y - 8);
+                        }
+                    } else {
+                        const rowHeight = Math.min(26, (bottom - top) / structure.buckets);
+                        const chipWidth = Math.min(90, (columnWidth - 50) / 3);
+                        for (let b = 0; b < structure.buckets; b++) {
+                            const y = top + b * rowHeight;
+                            const probed = active && active.bucket === b;
+                            ctx.fillStyle = probed ? '#3a3a1e' : '#252526';
+                            ctx.fillRect(x0 + 10, y, columnWidth - 20, rowHeight - 2);
+                            ctx.fillStyle = '#888888';
+                            ctx.textAlign = 'left';
+                            ctx.fillText(String(b), x0 + 14, y + rowHeight / 2 + 4);
+                            structure.entries.filter(entry => entry.bucket === b).forEach((entry, i) => {
+                                const hit = probed && formatItem(entry.key) === formatItem(active.key);
+                                const color = !hit ? '#4ec9b0'
+                                    : active.type === 'hashPut' ? '#f48771' : '#dcdcaa';
+                                const text = 'value' in entry
+                                    ? formatItem(entry.key) + ': ' + formatItem(entry.value)
+                                    : formatItem(entry.key);
+                                box(x0 + 34 + i * (chipWidth + 4), y + 2, chipWidth, rowHeight - 6, text, color);
+                            });
+                        }
+                    }
+                });
+            }
+            
+            // 2D arrays such as DP tables
+            function formatCell(gridId, cell) {
+                return gridId + '[' + cell[0] + '][' + cell[1] + ']';
+            }
+            
+            // Each 2D array is a table of cells shaded by value. The cell being
+            // written is orange and the cells its value came from blue
+            function drawGrids(areaWidth) {
+                const ids = Object.keys(grids);
+                if (ids.length === 0) return;
+                
+                const height = getGraphHeight();
+                const top = canvas.height - height;
+                const width = areaWidth / ids.length;
+                const same = (a, b) => a[0] === b[0] && a[1] === b[1];
+                
+                ids.forEach((id, k) => {
+                    const cells = grids[id];
+                    const colCount = Math.max(1, ...cells.map(row => row.length));
+                    const size = Math.min((width - 40) / colCount, (height - 40) / Math.max(cells.length, 1), 40);
+                    const left = k * width + (width - size * colCount) / 2;
+                    const y0 = top + 30;
+                    const numbers = [].concat(...cells).filter(value => typeof value === 'number' && isFinite(value));
+                    const max = Math.max(1, ...numbers.map(Math.abs));
+                    
+                    ctx.fillStyle = '#888888';
+                    ctx.font = '12px monospace';
+                    ctx.textAlign = 'center';
+                    ctx.fillText(id, left + size * colCount / 2, y0 - 10);
+                    
+                    const op = graphOp && graphOp.gridId === id ? graphOp : null;
+                    cells.forEach((row, r) => {
+                        row.forEach((value, c) => {
+                            const x = left + c * size;
+                            const y = y0 + r * size;
+                            if (op && op.type === 'writeCell' && same(op.cell, [r, c])) {
+                                ctx.fillStyle = '#f48771';
+                            } else if (op && op.type === 'writeCell' && op.deps.some(dep => same(dep, [r, c]))) {
+                                ctx.fillStyle = '#569cd6';
+                            } else if (op && op.type === 'readCell' && same(op.cell, [r, c])) {
+                                ctx.fillStyle = '#dcdcaa';
+                            } else if (typeof value === 'number') {
+                                const shade = isFinite(value) ? Math.abs(value) / max : 1;
+                                ctx.fillStyle = 'rgba(78, 201, 176, ' + (0.1 + 0.6 * shade) + ')';
+                            } else {
+                                ctx.fillStyle = '#252526';
+                            }
+                            ctx.fillRect(x, y, size, size);
+                            ctx.strokeStyle = '#3e3e42';
+                            ctx.strokeRect(x, y, size, size);
+                            
+                            if (size > 14 && value !== undefined) {
+                                ctx.fillStyle = '#ffffff';
+                                ctx.font = Math.min(12, Math.floor(size * 0.4)) + 'px monospace';
+                                ctx.textBaseline = 'middle';
+                                ctx.fillText(value === Infinity ? '∞' : value, x + size / 2, y + size / 2, size - 2);
+                                ctx.textBaseline = 'alphabetic';
+                            }
+                        });
+                    });
+                });
+            }
+            
+            function formatDistance(distance) {
+                return distance === null || distance === Infinity ? '∞' : String(distance);
+            }
+            
+            function formatNode(id) {
+                const node = nodes[id];
+                return node && node.value !== undefined ? String(node.value) : id;
+            }
+            
+            // Nodes, graphs, 2D arrays and stacks, queues and hash tables take
+            // the whole canvas when there is
+            // no array to draw, and share it with the arrays otherwise
+            function getGraphHeight() {
+                if (Object.keys(nodes).length === 0 && !graph && Object.keys(grids).length === 0 &&
+                    Object.keys(structures).length === 0) return 0;
+                const hasArrays = rows.some(row => valuesOf(row.arrayId).length > 0);
+                return hasArrays ? canvas.height / 2 : canvas.height;
+            }
+            
+            // Lists run left to right along next; tree children hang a level
+            // lower, left before right. Each separate structure gets its own band
+            function layoutNodes() {
+                const positions = {};
+                const childOf = (id, field) => {
+                    const link = links.find(link => link.from === id && link.field === field);
+                    return link ? link.to : null;
+                };
+                const linked = new Set(links
+                    .filter(link => LAYOUT_FIELDS.includes(link.field))
+                    .map(link => link.to));
+                let rowCount = 0;
+                let colCount = 0;
+                
+                const place = (id, depth, band) => {
+                    if (!id || !nodes[id] || positions[id]) return;
+                    positions[id] = {};
+                    place(childOf(id, 'left'), depth + 1, band);
+                    positions[id] = { col: band.col++, row: rowCount + depth };
+                    band.depth = Math.max(band.depth, depth);
+                    place(childOf(id, 'right'), depth + 1, band);
+                    place(childOf(id, 'next'), depth, band);
+                };
+                
+                // Unlinked nodes first, then whatever is left on a cycle
+                const ids = Object.keys(nodes);
+                ids.filter(id => !linked.has(id)).concat(ids).forEach(id => {
+                    if (positions[id]) return;
+                    const band = { col: 0, depth: 0 };
+                    place(id, 0, band);
+                    rowCount += band.depth + 1;
+                    colCount = Math.max(colCount, band.col);
+                });
+                return { positions, cols: colCount, rows: rowCount };
+            }
+            
+            function getNodeTargets(areaWidth) {
+                const height = getGraphHeight();
+                const top = canvas.height - height;
+                const { positions, cols, rows: rowCount } = layoutNodes();
+                const cellWidth = (areaWidth - 20) / Math.max(cols, 1);
+                const rowHeight = Math.min(height / Math.max(rowCount, 1), 80);
+                const radius = Math.max(4, Math.min(18, cellWidth * 0.3, rowHeight * 0.3));
+                const targets = {};
+                Object.entries(positions).forEach(([id, pos]) => {
+                    targets[id] = {
+                        x: 10 + (pos.col + 0.5) * cellWidth,
+                        y: top + (pos.row + 0.5) * rowHeight,
+                    };
+                });
+                return { targets, radius };
+            }
+            
+            // Slide nodes from where they were drawn to their new layout
+            function animateGraph() {
+                graphFrom = { ...nodePositions };
+                graphProgress = 0;
+                const start = performance.now();
+                const duration = 300 / animationSpeed;
+                const frame = (now) => {
+                    graphProgress = Math.min((now - start) / duration, 1);
+                    draw();
+                    if (graphProgress < 1) {
+                        moveAnimation = requestAnimationFrame(frame);
+                    }
+                };
+                moveAnimation = requestAnimationFrame(frame);
+            }
+            
+            function drawArrow(from, to, radius, color, dashed) {
+                const angle = Math.atan2(to.y - from.y, to.x - from.x);
+                const startX = from.x + Math.cos(angle) * radius;
+                const startY = from.y + Math.sin(angle) * radius;
+                const endX = to.x - Math.cos(angle) * radius;
+                const endY = to.y - Math.sin(angle) * radius;
+                
+                ctx.strokeStyle = color;
+                ctx.fillStyle = color;
+                ctx.setLineDash(dashed ? [4, 3] : []);
+                ctx.beginPath();
+                ctx.moveTo(startX, startY);
+                ctx.lineTo(endX, endY);
+                ctx.stroke();
+                ctx.setLineDash([]);
+                
+                ctx.beginPath();
+                ctx.moveTo(endX, endY);
+                ctx.lineTo(endX - 8 * Math.cos(angle - 0.4), endY - 8 * Math.sin(angle - 0.4));
+                ctx.lineTo(endX - 8 * Math.cos(angle + 0.4), endY - 8 * Math.sin(angle + 0.4));
+                ctx.closePath();
+                ctx.fill();
+            }
+            
+            function drawGraph(areaWidth) {
+                if (Object.keys(nodes).length === 0) return;
+                
+                const { targets, radius } = getNodeTargets(areaWidth);
+                const t = graphProgress;
+                nodePositions = {};
+                Object.entries(targets).forEach(([id, target]) => {
+                    const from = graphFrom[id] || target;
+                    nodePositions[id] = {
+                        x: from.x + (target.x - from.x) * t,
+                        y: from.y + (target.y - from.y) * t,
+                    };
+                });
+                
+                const isActiveLink = link => graphOp && graphOp.type === 'link' &&
+                    link.from === graphOp.from && link.to === graphOp.to && link.field === graphOp.field;
+                
+                ctx.lineWidth = 2;
+                links.forEach(link => {
+                    const from = nodePositions[link.from];
+                    const to = nodePositions[link.to];
+                    if (!from || !to) return;
+                    const color = isActiveLink(link) ? '#f48771' : '#888888';
+                    drawArrow(from, to, radius, color, !LAYOUT_FIELDS.includes(link.field));
+                });
+                
+                // The link just removed, fading out
+                if (graphOp && graphOp.type === 'unlink' && t < 1) {
+                    const from = nodePositions[graphOp.from];
+                    const to = nodePositions[graphOp.to];
+                    if (from && to) {
+                        ctx.globalAlpha = 1 - t;
+                        drawArrow(from, to, radius, '#f48771', true);
+                        ctx.globalAlpha = 1;
+                    }
+                }
+                ctx.lineWidth = 1;
+                
+                const highlighted = {};
+                if (graphOp) {
+                    const colors = { createNode: '#c586c0', visit: '#ffcc00', rotate: '#f48771' };
+                    if (colors[graphOp.type]) highlighted[graphOp.nodeId] = colors[graphOp.type];
+                }
+                
+                const names = {};
+                Object.entries(refs).forEach(([name, id]) => {
+                    (names[id] = names[id] || []).push(name);
+                });
+                
+                Object.entries(nodePositions).forEach(([id, pos]) => {
+                    // New nodes grow in place
+                    const r = graphFrom[id] ? radius : radius * Math.max(t, 0.2);
+                    ctx.fillStyle = highlighted[id] || '#4ec9b0';
+                    ctx.beginPath();
+                    ctx.arc(pos.x, pos.y, r, 0, Math.PI * 2);
+                    ctx.fill();
+                    
+                    ctx.fillStyle = '#1e1e1e';
+                    ctx.font = '12px monospace';
+                    ctx.textAlign = 'center';
+                    ctx.textBaseline = 'middle';
+                    ctx.fillText(formatNode(id), pos.x, pos.y, r * 2);
+                    ctx.textBaseline = 'alphabetic';
+                    
+                    if (names[id]) {
+                        ctx.fillStyle = '#dcdcaa';
+                        ctx.font = '11px monospace';
+                        ctx.fillText(names[id].join(','), pos.x, pos.y - r - 6);
+                    }
+                });
+            }
+            
+            // Nodes sit on a circle. Colors show the node being expanded, the
+            // frontier, visited nodes and the final path; distances go below
+            function drawAdjacencyGraph(areaWidth) {
+                if (!graph) return;
+                
+                const height = getGraphHeight();
+                const center = { x: areaWidth / 2, y: canvas.height - height / 2 };
+                const ring = Math.max(Math.min(areaWidth, height) / 2 - 40, 10);
+                const radius = Math.max(6, Math.min(18, ring * Math.PI / graph.nodes.length * 0.4));
+                const positions = {};
+                graph.nodes.forEach((id, k) => {
+                    const angle = -Math.PI / 2 + (k / graph.nodes.length) * Math.PI * 2;
+                    positions[id] = {
+                        x: center.x + Math.cos(angle) * ring,
+                        y: center.y + Math.sin(angle) * ring,
+                    };
+                });
+                
+                const { path } = graphState;
+                const joins = (edge, from, to) => (edge.from === from && edge.to === to) ||
+                    (!graph.directed && edge.from === to && edge.to === from);
+                const onPath = edge => path.some((id, k) => k > 0 && joins(edge, path[k - 1], id));
+                const relaxed = edge => graphOp && graphOp.type === 'relaxEdge' &&
+                    joins(edge, graphOp.from, graphOp.to);
+                
+                graph.edges.forEach(edge => {
+                    const from = positions[edge.from];
+                    const to = positions[edge.to];
+                    let color = '#555555';
+                    if (relaxed(edge)) {
+                        color = graphOp.improved ? '#ffaa00' : '#888888';
+                    } else if (onPath(edge)) {
+                        color = '#40ff40';
+                    }
+                    ctx.lineWidth = color === '#555555' ? 1.5 : 3;
+                    if (graph.directed) {
+                        drawArrow(from, to, radius, color, false);
+                    } else {
+                        ctx.strokeStyle = color;
+                        ctx.beginPath();
+                        ctx.moveTo(from.x, from.y);
+                        ctx.lineTo(to.x, to.y);
+                        ctx.stroke();
+                    }
+                    
+                    if (edge.weight !== undefined) {
+                        ctx.fillStyle = '#cccccc';
+                        ctx.font = '11px monospace';
+                        ctx.textAlign = 'center';
+                        ctx.fillText(edge.weight, (from.x + to.x) / 2, (from.y + to.y) / 2 - 4);
+                    }
+                });
+                ctx.lineWidth = 1;
+                
+                graph.nodes.forEach(id => {
+                    const pos = positions[id];
+                    let color = '#4ec9b0';
+                    if (id === graphState.current) {
+                        color = '#f48771';
+                    } else if (path.includes(id)) {
+                        color = '#40ff40';
+                    } else if (graphState.frontier.includes(id)) {
+                        color = '#dcdcaa';
+                    } else if (graphState.visited[id]) {
+                        color = '#569cd6';
+                    }
+                    ctx.fillStyle = color;
+                    ctx.beginPath();
+                    ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+                    ctx.fill();
+                    
+                    ctx.fillStyle = '#1e1e1e';
+                    ctx.font = '12px monospace';
+                    ctx.textAlign = 'center';
+                    ctx.textBaseline = 'middle';
+                    ctx.fillText(id, pos.x, pos.y, radius * 2);
+                    ctx.textBaseline = 'alphabetic';
+                    
+                    if (id in graphState.distances) {
+                        const changed = graphOp && graphOp.type === 'setDistance' && graphOp.node === id;
+                        ctx.fillStyle = changed ? '#ffaa00' : '#cccccc';
+                        ctx.font = '11px monospace';
+                        ctx.fillText(formatDistance(graphState.distances[id]), pos.x, pos.y + radius + 12);
+                    }
+                });
+            }
+            
+            // Layout helpers
+            function getBarLayout() {
+                const areaWidth = canvas.width - (frames.length > 0 ? STACK_WIDTH : 0);
+                const labelWidth = rows.length > 1 ? LABEL_WIDTH : 0;
+                const shown = rows.map(row => valuesOf(row.arrayId));
+                const slots = Math.max(1, ...shown.map(values => values.length));
+                const all = [].concat(...shown);
+                const ranks = getStringRanks(all.map(keyOfValue));
+                const heights = all.map(value => barValue(value, ranks)).filter(height => height !== null);
+                return {
+                    areaWidth,
+                    labelWidth,
+                    rowHeight: (canvas.height - getGraphHeight()) / Math.max(rows.length, 1),
+                    barWidth: (areaWidth - labelWidth - 20) / slots - 2,
+                    maxValue: Math.max(0, ...heights),
+                    minValue: Math.min(0, ...heights),
+                    ranks,
+                };
+            }
+            
+            // Bars grow up from the baseline, which rises off the bottom of
+            // the row when there are negative values to hang below it
+            function getBarRect(id, index, layout, value = valuesOf(id)[index]) {
+                const row = Math.max(getRowIndex(id), 0);
+                const bottom = (row + 1) * layout.rowHeight - 20;
+                const span = layout.maxValue - layout.minValue;
+                const scale = span > 0 ? (layout.rowHeight - 40) / span : 0;
+                const baseline = bottom + layout.minValue * scale;
+                const height = barValue(value, layout.ranks);
+                const barHeight = height === null ? 0 : Math.abs(height) * scale;
+                return {
+                    x: layout.labelWidth + 10 + index * (layout.barWidth + 2),
+                    y: height < 0 ? baseline : baseline - barHeight,
+                    width: layout.barWidth,
+                    height: barHeight,
+                    negative: height < 0,
+                    bottom,
+                    baseline,
+                };
+            }
+            
+            // The subarray the innermost call (or the last range op) works on
+            function getActiveRange() {
+                if (frames.length > 0) {
+                    const frame = frames[frames.length - 1];
+                    return { range: frame.range, arrayId: frame.arrayId || mainId };
+                }
+                return { range: baseRange, arrayId: mainId };
+            }
+            
+            function isInActiveRange(id, index) {
+                const { range, arrayId } = getActiveRange();
+                return !range || arrayId !== id || (index >= range[0] && index <= range[1]);
+            }
+            
+            function formatFrame(frame) {
+                const args = Object.entries(frame.args || {})
+                    .map(([name, value]) => name + '=' + value)
+                    .join(', ');
+                return frame.name + '(' + args + ')';
+            }
+            
+            // Forget the watched variables. The init operation lists which of
+            // them index arrays; without that list any integer may be a pointer
+            function resetWatch(initOp) {
+                watch = {};
+                watchId = null;
+                pointerNames = initOp && initOp.pointers ? initOp.pointers : null;
+            }
+            
+            function isPointer(name) {
+                return !pointerNames || pointerNames.includes(name);
+            }
+            
+            // Watched variables that currently index an element of the array
+            // the last operation worked on, grouped by index
+            function getPointers() {
+                const id = watchId && getRowIndex(watchId) !== -1 ? watchId : mainId;
+                const length = valuesOf(id).length;
+                const byIndex = {};
+                Object.entries(watch).forEach(([name, value]) => {
+                    if (isPointer(name) && Number.isInteger(value) && value >= 0 && value < length) {
+                        (byIndex[value] = byIndex[value] || []).push(name);
+                    }
+                });
+                return { id, byIndex };
+            }
+            
+            // Name an element for messages, e.g. "position 3" or "left[3]"
+            function formatElement(id, index) {
+                return id && id !== mainId ? id + '[' + index + ']' : 'position ' + index;
+            }
+            
+            // Drawing functions
+            function draw() {
+                ctx.clearRect(0, 0, canvas.width, canvas.height);
+                
+                if (rows.length === 0) return;
+                
+                const layout = getBarLayout();
+                
+                rows.forEach(row => {
+                    const values = valuesOf(row.arrayId);
+                    
+                    if (layout.labelWidth > 0) {
+                        const bottom = getBarRect(row.arrayId, 0, layout).bottom;
+                        ctx.fillStyle = '#888888';
+                        ctx.font = '12px monospace';
+                        ctx.textAlign = 'left';
+                        ctx.fillText(row.arrayId, 4, bottom - 4, layout.labelWidth - 8);
+                    }
+                    
+                    if (layout.minValue < 0 && values.length > 0) {
+                        const baseline = getBarRect(row.arrayId, 0, layout).baseline;
+                        ctx.strokeStyle = '#888888';
+                        ctx.beginPath();
+                        ctx.moveTo(layout.labelWidth + 6, baseline);
+                        ctx.lineTo(layout.areaWidth - 6, baseline);
+                        ctx.stroke();
+                    }
+                    
+                    values.forEach((value, index) => {
+                        const bar = getBarRect(row.arrayId, index, layout);
+                        
+                        // Dim elements outside the active range
+                        ctx.globalAlpha = isInActiveRange(row.arrayId, index) ? 1 : 0.25;
+                        
+                        // Empty slots, e.g. from new Array(n)
+                        if (barValue(value, layout.ranks) === null) {
+                            ctx.strokeStyle = '#3e3e42';
+                            ctx.strokeRect(bar.x, bar.baseline - 4, bar.width, 4);
+                            return;
+                        }
+                        
+                        // Default color
+                        ctx.fillStyle = '#4ec9b0';
+                        
+                        // Draw bar
+                        ctx.fillRect(bar.x, bar.y, bar.width, bar.height);
+                        
+                        // Draw value on top (or under a negative bar) if the
+                        // bar is wide enough
+                        if (layout.barWidth > 20) {
+                            ctx.fillStyle = '#cccccc';
+                            ctx.font = '12px monospace';
+                            ctx.textAlign = 'center';
+                            const y = bar.negative ? bar.y + bar.height + 14 : bar.y - 5;
+                            ctx.fillText(formatValue(value), bar.x + bar.width / 2, y, layout.barWidth + 2);
+                        }
+                    });
+                });
+                ctx.globalAlpha = 1;
+                
+                drawPointers(layout);
+                const structureWidth = getStructureWidth(layout.areaWidth);
+                const graphWidth = layout.areaWidth - structureWidth;
+                drawGraph(graphWidth);
+                drawAdjacencyGraph(graphWidth);
+                drawGrids(graphWidth);
+                drawStructures(graphWidth, structureWidth);
+                drawCallStack(layout);
+            }
+            
+            // Arrows labelled with the variable names under the elements they index
+            function drawPointers(layout) {
+                const { id, byIndex } = getPointers();
+                if (getRowIndex(id) === -1) return;
+                
+                ctx.fillStyle = '#dcdcaa';
+                ctx.font = '11px monospace';
+                ctx.textAlign = 'center';
+                Object.entries(byIndex).forEach(([index, names]) => {
+                    const bar = getBarRect(id, Number(index), layout);
+                    const x = bar.x + bar.width / 2;
+                    ctx.beginPath();
+                    ctx.moveTo(x, bar.bottom + 2);
+                    ctx.lineTo(x - 4, bar.bottom + 8);
+                    ctx.lineTo(x + 4, bar.bottom + 8);
+                    ctx.closePath();
+                    ctx.fill();
+                    ctx.fillText(names.join(','), x, bar.bottom + 18);
+                });
+            }
+            
+            function drawCallStack(layout) {
+                if (frames.length === 0) return;
+                
+                const x = layout.areaWidth + 10;
+                const width = STACK_WIDTH - 10;
+                const frameHeight = 26;
+                
+                ctx.font = '12px monospace';
+                ctx.textAlign = 'left';
+                ctx.fillStyle = '#888888';
+                ctx.fillText('Call stack', x, 12);
+                
+                // Innermost frame on top
+                frames.slice().reverse().forEach((frame, k) => {
+                    const y = 20 + k * (frameHeight + 4);
+                    if (y + frameHeight > canvas.height) return;
+                    
+                    ctx.fillStyle = k === 0 ? '#264f78' : '#3e3e42';
+                    ctx.fillRect(x, y, width, frameHeight);
+                    ctx.fillStyle = '#cccccc';
+                    ctx.fillText(formatFrame(frame), x + 6, y + 17, width - 12);
+                });
+            }
+            
+            // Animation functions
+            function highlightBars(indices, color, id = mainId) {
+                const layout = getBarLayout();
+                const values = valuesOf(id);
+                if (getRowIndex(id) === -1) return;
+                if (recording) recording.push({ id, indices, color });
+                
+                indices.forEach(index => {
+                    if (index >= 0 && index < values.length) {
+                        const bar = getBarRect(id, index, layout);
+                        
+                        ctx.globalAlpha = isInActiveRange(id, index) ? 1 : 0.25;
+                        ctx.fillStyle = color;
+                        ctx.fillRect(bar.x, bar.y, bar.width, bar.height);
+                    }
+                });
+                ctx.globalAlpha = 1;
+            }
+            
+            function animateSwap(op) {
+                const id = idOf(op);
+                const values = valuesOf(id);
+                const [i, j] = op.indices;
+                if (i >= 0 && i < values.length && j >= 0 && j < values.length) {
+                    [values[i], values[j]] = [values[j], values[i]];
+                    draw();
+                    highlightBars([i, j], '#f48771', id);
+                }
+            }
+            
+            function animateCompare(op) {
+                draw();
+                const ids = op.arrayIds || op.indices.map(() => idOf(op));
+                op.indices.forEach((index, k) => highlightBars([index], '#ffcc00', ids[k]));
+            }
+            
+            // Handles both set and insert, which differ only in whether the
+            // elements after the target shift along
+            function animateSet(op) {
+                const values = valuesOf(idOf(op));
+                const oldValue = op.type === 'set' ? values[op.index] : undefined;
+                if (op.type === 'insert') {
+                    values.splice(op.index, 0, op.value);
+                } else {
+                    values[op.index] = op.value;
+                }
+                
+                if (op.from === undefined || recording) {
+                    drawSet(op, oldValue, 1);
+                    return;
+                }
+                
+                // Slide a copy of the value from its source slot into the target,
+                // which may be in another array's row
+                const start = performance.now();
+                const duration = 300 / animationSpeed;
+                const frame = (now) => {
+                    const t = Math.min((now - start) / duration, 1);
+                    drawSet(op, oldValue, t);
+                    if (t < 1) {
+                        moveAnimation = requestAnimationFrame(frame);
+                    }
+                };
+                moveAnimation = requestAnimationFrame(frame);
+            }
+            
+            function drawSet(op, oldValue, t) {
+                draw();
+                const layout = getBarLayout();
+                const id = idOf(op);
+                const sourceId = op.fromArrayId || id;
+                const target = getBarRect(id, op.index, layout);
+                
+                if (t < 1) {
+                    const source = getBarRect(sourceId, op.from, layout, op.value);
+                    const x = source.x + (target.x - source.x) * t;
+                    const lift = Math.sin(Math.PI * t) * 30;
+                    const baseline = source.baseline + (target.baseline - source.baseline) * t - lift;
+                    ctx.globalAlpha = 0.8;
+                    ctx.fillStyle = '#c586c0';
+                    ctx.fillRect(x, baseline + target.y - target.baseline, target.width, target.height);
+                    ctx.globalAlpha = 1;
+                    return;
+                }
+                
+                if (op.from !== undefined) {
+                    highlightBars([op.from], '#9cdcfe', sourceId);
+                }
+                highlightBars([op.index], '#c586c0', id);
+                
+                // Outline the value that was overwritten
+                if (barValue(oldValue, layout.ranks) !== null) {
+                    const old = getBarRect(id, op.index, layout, oldValue);
+                    ctx.setLineDash([4, 3]);
+                    ctx.strokeStyle = '#cccccc';
+                    ctx.strokeRect(old.x, old.y, old.width, old.height);
+                    ctx.setLineDash([]);
+                }
+            }
+            
+            // Lift the removed value out of its row and fade it away
+            function animateRemove(op) {
+                const id = idOf(op);
+                const removed = getBarRect(id, op.index, getBarLayout());
+                valuesOf(id).splice(op.index, 1);
+                
+                const start = performance.now();
+                const duration = 300 / animationSpeed;
+                const frame = (now) => {
+                    const t = Math.min((now - start) / duration, 1);
+                    draw();
+                    if (t < 1) {
+                        ctx.globalAlpha = 1 - t;
+                        ctx.fillStyle = '#f48771';
+                        ctx.fillRect(removed.x, removed.y - t * 30, removed.width, removed.height);
+                        ctx.globalAlpha = 1;
+                        moveAnimation = requestAnimationFrame(frame);
                     }
-                    currentStep = targetStep;
+                };
+                moveAnimation = requestAnimationFrame(frame);
+            }
+            
+            // Control handlers
+            document.getElementById('play-pause').addEventListener('click', () => {
+                isPlaying = !isPlaying;
+                document.getElementById('play-pause').textContent = isPlaying ? 'Pause' : 'Play';
+                if (isPlaying) {
+                    playAnimation();
+                }
+            });
+            
+            document.getElementById('step-forward').addEventListener('click', () => {
+                stepForward();
+            });
+            
+            document.getElementById('step-backward').addEventListener('click', () => {
+                stepBackward();
+            });
+            
+            document.getElementById('reset').addEventListener('click', () => {
+                reset();
+            });
+            
+            document.getElementById('speed-slider').addEventListener('input', (e) => {
+                animationSpeed = parseFloat(e.target.value);
+                document.getElementById('speed-value').textContent = animationSpeed + 'x';
+            });
+            
+            function stepForward() {
+                if (currentStep < operations.length) {
+                    executeOperation(operations[currentStep]);
+                    currentStep++;
                     updateInfo();
+                    notifyStep();
+                }
+            }
+            
+            function stepBackward() {
+                if (currentStep > 0) {
+                    goToStep(currentStep - 1);
+                }
+            }
+            
+            // Replay from the start so that targetStep operations have run
+            function goToStep(targetStep) {
+                reset();
+                const target = Math.min(targetStep, operations.length);
+                for (let i = 0; i < target; i++) {
+                    executeOperation(operations[i]);
                 }
+                currentStep = target;
+                updateInfo();
+                notifyStep();
+            }
+            
+            // Replay the operations without animating them, noting the main
+            // array's bars before the first and after each one
+            function recordBarFrames() {
+                const step = currentStep;
+                const capture = marks => {
+                    const { ranks } = getBarLayout();
+                    const values = valuesOf(mainId);
+                    return {
+                        heights: values.map(value => barValue(value, ranks)),
+                        dimmed: values.map((value, index) => !isInActiveRange(mainId, index)),
+                        marks: marks.filter(mark => mark.id === mainId),
+                    };
+                };
+                reset();
+                const barFrames = [capture([])];
+                operations.forEach(op => {
+                    recording = [];
+                    executeOperation(op);
+                    barFrames.push(capture(recording));
+                });
+                recording = null;
+                goToStep(step);
+                return barFrames;
+            }
+            
+            // Let the extension highlight the line the last operation came from
+            function notifyStep() {
+                vscode.postMessage({ type: 'step', step: currentStep });
             }
             
             function reset() {
                 currentStep = 0;
                 isPlaying = false;
                 document.getElementById('play-pause').textContent = 'Play';
+                cancelAnimationFrame(moveAnimation);
+                frames = [];
+                baseRange = null;
+                searchResult = null;
+                counts = VisualDebugCounters.emptyCounts();
+                resetWatch(operations[0]);
+                resetNodes();
+                resetGraph();
+                grids = {};
+                resetStructures();
                 if (operations.length > 0 && operations[0].array) {
-                    array = [...operations[0].array];
+                    resetArrays(operations[0]);
                     draw();
                 }
                 updateInfo();
+                notifyStep();
             }
             
             function playAnimation() {
@@ -723,27 +2733,214 @@ for (let i = 0; i < arr.length; i++) {
             }
             
             function executeOperation(op) {
+                cancelAnimationFrame(moveAnimation);
+                VisualDebugCounters.countOperation(counts, op);
+                if (op.type === 'init') {
+                    resetWatch(op);
+                }
+                if (op.vars) {
+                    watch = op.vars;
+                    watchId = idOf(op);
+                    refs = op.refs || {};
+                }
+                graphOp = null;
+                graphProgress = 1;
+                if (op.type !== 'init') {
+                    showArrays([op.arrayId, op.fromArrayId, ...(op.arrayIds || [])]);
+                }
                 switch (op.type) {
                     case 'compare':
-                        animateCompare(op.indices[0], op.indices[1]);
+                        animateCompare(op);
                         break;
                     case 'swap':
-                        animateSwap(op.indices[0], op.indices[1]);
+                        animateSwap(op);
+                        break;
+                    case 'set':
+                    case 'insert':
+                        animateSet(op);
+                        break;
+                    case 'remove':
+                        animateRemove(op);
                         break;
                     case 'highlight':
                         draw();
-                        highlightBars(op.indices, op.color || '#4ec9b0');
+                        highlightBars(op.indices, VisualDebugSchema.cssColor(op.color) || '#4ec9b0', idOf(op));
                         break;
                     case 'sorted':
                         draw();
-                        highlightBars(op.indices, '#40ff40');
+                        highlightBars(op.indices, '#40ff40', idOf(op));
+                        break;
+                    case 'createArray':
+                        addArray(op.arrayId, op.label, op.array);
+                        draw();
+                        break;
+                    case 'call':
+                        frames.push({ name: op.name, args: op.args, range: op.range, arrayId: op.arrayId });
+                        draw();
+                        break;
+                    case 'return':
+                        frames.pop();
+                        draw();
+                        break;
+                    case 'range':
+                        if (frames.length > 0) {
+                            frames[frames.length - 1].range = op.range;
+                        } else {
+                            baseRange = op.range;
+                        }
+                        draw();
+                        break;
+                    case 'partition':
+                        draw();
+                        highlightBars([op.pivot], '#c586c0', idOf(op));
+                        break;
+                    case 'probe':
+                        draw();
+                        highlightBars([op.index], '#ffaa00', idOf(op));
+                        break;
+                    case 'found':
+                        // Only the element found stays lit
+                        frames = [];
+                        baseRange = [op.index, op.index];
+                        searchResult = op;
+                        draw();
+                        highlightBars([op.index], '#40ff40', idOf(op));
+                        break;
+                    case 'notFound':
+                        // Nothing is left to search
+                        frames = [];
+                        baseRange = [0, -1];
+                        searchResult = op;
+                        draw();
+                        break;
+                    case 'createNode':
+                        nodes[op.nodeId] = { value: op.value };
+                        graphOp = op;
+                        animateGraph();
+                        break;
+                    case 'link':
+                        links.push({ from: op.from, to: op.to, field: op.field });
+                        graphOp = op;
+                        animateGraph();
+                        break;
+                    case 'unlink':
+                        links = links.filter(link =>
+                            !(link.from === op.from && link.to === op.to && link.field === op.field));
+                        graphOp = op;
+                        animateGraph();
+                        break;
+                    case 'visit':
+                    case 'rotate':
+                        graphOp = op;
+                        draw();
+                        break;
+                    case 'createGraph':
+                        graph = { nodes: op.nodes, edges: op.edges, directed: op.directed };
+                        draw();
+                        break;
+                    case 'enqueue':
+                        graphState.frontier.push(op.node);
+                        draw();
+                        break;
+                    case 'dequeue': {
+                        const k = graphState.frontier.indexOf(op.node);
+                        if (k !== -1) graphState.frontier.splice(k, 1);
+                        draw();
+                        break;
+                    }
+                    case 'visitNode':
+                        graphState.visited[op.node] = true;
+                        graphState.current = op.node;
+                        draw();
+                        break;
+                    case 'relaxEdge':
+                        graphOp = op;
+                        draw();
+                        break;
+                    case 'setDistance':
+                        graphState.distances[op.node] = op.distance;
+                        graphOp = op;
+                        draw();
+                        break;
+                    case 'markPath':
+                        graphState.path = op.nodes;
+                        graphState.current = null;
+                        draw();
+                        break;
+                    case 'createGrid':
+                        grids[op.gridId] = op.grid.map(row => [...row]);
+                        draw();
+                        break;
+                    case 'readCell':
+                        graphOp = op;
+                        draw();
+                        break;
+                    case 'writeCell':
+                        if (grids[op.gridId]) {
+                            grids[op.gridId][op.cell[0]][op.cell[1]] = op.value;
+                        }
+                        graphOp = op;
+                        draw();
+                        break;
+                    case 'createStructure':
+                        structures[op.structureId] = hasBuckets(op.kind)
+                            ? { kind: op.kind, label: op.label, buckets: op.buckets, entries: op.entries.map(entry => ({ ...entry })) }
+                            : { kind: op.kind, label: op.label, items: [...op.items] };
+                        draw();
+                        break;
+                    case 'pushItem':
+                    case 'popItem':
+                    case 'peekItem':
+                    case 'hashPut':
+                    case 'hashGet':
+                    case 'hashDelete':
+                        applyStructureOp(op);
+                        graphOp = op;
+                        draw();
+                        break;
+                    case 'toBucket':
+                    case 'fromBucket':
+                        applyStructureOp(op);
+                        graphOp = op;
+                        draw();
+                        highlightBars([op.index], '#ffaa00', idOf(op));
+                        break;
+                    case 'heapify': {
+                        // Positions past the heap are already sorted
+                        baseRange = [0, op.size - 1];
+                        const children = [2 * op.index + 1, 2 * op.index + 2].filter(child => child < op.size);
+                        draw();
+                        highlightBars([op.index], '#ffaa00', idOf(op));
+                        highlightBars(children, '#dcdcaa', idOf(op));
+                        break;
+                    }
+                    case 'gap':
+                    case 'radixPass':
+                        draw();
                         break;
                     case 'init':
-                        array = [...op.array];
+                        resetArrays(op);
+                        resetNodes();
+                        resetGraph();
+                        grids = {};
+                        resetStructures();
+                        frames = [];
+                        baseRange = null;
+                        searchResult = null;
                         draw();
                         break;
                     case 'complete':
-                        array.forEach((_, i) => highlightBars([i], '#40ff40'));
+                        frames = [];
+                        if (searchResult) {
+                            draw();
+                            if (searchResult.type === 'found') {
+                                highlightBars([searchResult.index], '#40ff40', idOf(searchResult));
+                            }
+                            break;
+                        }
+                        baseRange = null;
+                        draw();
+                        highlightBars(valuesOf(mainId).map((_, i) => i), '#40ff40');
                         break;
                 }
             }
@@ -753,30 +2950,238 @@ for (let i = 0; i < arr.length; i++) {
                 if (currentStep < operations.length) {
                     const op = operations[currentStep];
                     let message = '';
+                    const id = idOf(op);
+                    const source = op.fromArrayId || id;
+                    const where = id !== mainId ? \` of \${id}\` : '';
                     switch (op.type) {
                         case 'compare':
-                            message = \`Comparing elements at positions \${op.indices[0]} and \${op.indices[1]}\`;
+                            if (op.arrayIds) {
+                                message = \`Comparing \${formatElement(op.arrayIds[0], op.indices[0])} with \${formatElement(op.arrayIds[1], op.indices[1])}\`;
+                            } else {
+                                message = op.indices.length > 1
+                                    ? \`Comparing elements at positions \${op.indices[0]} and \${op.indices[1]}\${where}\`
+                                    : \`Comparing element at position \${op.indices[0]}\${where} with \${formatValue(op.values[1])}\`;
+                            }
+                            // Compares made by sort() carry what the comparator returned
+                            if (op.result !== undefined) {
+                                message += \`: comparator returned \${op.result}\${op.result > 0 ? ', out of order' : ''}\`;
+                            }
                             break;
                         case 'swap':
-                            message = \`Swapping elements at positions \${op.indices[0]} and \${op.indices[1]}\`;
+                            message = \`Swapping elements at positions \${op.indices[0]} and \${op.indices[1]}\${where}\`;
+                            break;
+                        case 'set':
+                            if (op.fromArrayId) {
+                                message = \`Copying \${formatValue(op.value)} from \${formatElement(source, op.from)} to \${formatElement(id, op.index)}\`;
+                            } else {
+                                message = op.from !== undefined
+                                    ? \`Moving \${formatValue(op.value)} from position \${op.from} to position \${op.index}\${where}\`
+                                    : \`Writing \${formatValue(op.value)} to position \${op.index}\${where} (was \${formatValue(op.oldValue)})\`;
+                            }
+                            break;
+                        case 'insert':
+                            message = op.from !== undefined
+                                ? \`Inserting \${formatValue(op.value)} from \${formatElement(source, op.from)} at \${formatElement(id, op.index)}\`
+                                : \`Inserting \${formatValue(op.value)} at \${formatElement(id, op.index)}\`;
+                            break;
+                        case 'remove':
+                            message = \`Removing \${formatValue(op.value)} from \${formatElement(id, op.index)}\`;
+                            break;
+                        case 'createArray':
+                            message = \`Created array \${op.arrayId} with \${op.array.length} elements\`;
                             break;
                         case 'sorted':
                             message = \`Element at position \${op.indices[0]} is sorted\`;
                             break;
+                        case 'call':
+                            message = \`Calling \${formatFrame(op)} at depth \${op.depth}\`;
+                            break;
+                        case 'return':
+                            message = op.value !== undefined
+                                ? \`\${op.name} returned \${op.value}\`
+                                : \`Returning from \${op.name}\`;
+                            break;
+                        case 'partition':
+                            message = \`Partitioned positions \${op.range[0]}-\${op.range[1]} around the pivot at position \${op.pivot}\`;
+                            break;
+                        case 'range':
+                            message = \`Narrowing to positions \${op.range[0]}-\${op.range[1]}\`;
+                            break;
+                        case 'probe': {
+                            const relation = op.value === op.target ? '=' : op.value < op.target ? '<' : '>';
+                            message = \`Probing position \${op.index}\${where}: \${formatValue(op.value)} \${relation} target \${formatValue(op.target)}\`;
+                            break;
+                        }
+                        case 'found':
+                            message = \`Found \${formatValue(op.value)} at position \${op.index}\${where}\`;
+                            break;
+                        case 'notFound':
+                            message = \`\${formatValue(op.target)} is not in the array\`;
+                            break;
+                        case 'createNode':
+                            message = \`Creating node \${op.value !== undefined ? op.value : op.nodeId}\`;
+                            break;
+                        case 'link':
+                            message = \`Pointing \${formatNode(op.from)}.\${op.field} at \${formatNode(op.to)}\`;
+                            break;
+                        case 'unlink':
+                            message = \`Unlinking \${formatNode(op.from)}.\${op.field} from \${formatNode(op.to)}\`;
+                            break;
+                        case 'visit':
+                            message = \`Visiting node \${op.value !== undefined ? op.value : formatNode(op.nodeId)}\`;
+                            break;
+                        case 'rotate':
+                            message = \`Rotating \${op.direction ? op.direction + ' ' : ''}at node \${formatNode(op.nodeId)}\`;
+                            break;
+                        case 'createGraph':
+                            message = \`Created a \${op.directed ? 'directed' : 'undirected'} graph with \${op.nodes.length} nodes and \${op.edges.length} edges\`;
+                            break;
+                        case 'enqueue':
+                            message = \`Adding \${op.node} to the frontier\`;
+                            break;
+                        case 'dequeue':
+                            message = \`Taking \${op.node} from the frontier\`;
+                            break;
+                        case 'visitNode':
+                            message = \`Visiting node \${op.node}\`;
+                            break;
+                        case 'relaxEdge': {
+                            const weight = op.weight !== undefined ? \` (weight \${op.weight})\` : '';
+                            message = \`Checking edge \${op.from} → \${op.to}\${weight}: \${op.improved ? 'improves ' + op.to : 'no improvement'}\`;
+                            break;
+                        }
+                        case 'setDistance':
+                            message = \`Distance of \${op.node} is now \${formatDistance(op.distance)}\`;
+                            break;
+                        case 'markPath':
+                            message = \`Path: \${op.nodes.join(' → ')}\`;
+                            break;
+                        case 'createGrid':
+                            message = \`Created \${op.gridId} with \${op.grid.length} rows and \${op.grid[0].length} columns\`;
+                            break;
+                        case 'readCell':
+                            message = \`Reading \${formatCell(op.gridId, op.cell)} = \${op.value}\`;
+                            break;
+                        case 'writeCell': {
+                            const from = op.deps.length > 0
+                                ? \` from \${op.deps.map(dep => formatCell(op.gridId, dep)).join(', ')}\`
+                                : '';
+                            message = \`Writing \${op.value} to \${formatCell(op.gridId, op.cell)}\${from}\`;
+                            break;
+                        }
+                        case 'createStructure':
+                            message = op.kind === 'hash'
+                                ? \`Created hash table \${op.label} with \${op.entries.length} entries in \${op.buckets} buckets\`
+                                : op.kind === 'buckets'
+                                ? \`Created \${op.buckets} \${op.label} buckets\`
+                                : \`Created \${op.kind} \${op.label} with \${op.items.length} items\`;
+                            break;
+                        case 'pushItem': {
+                            const kind = structures[op.structureId] ? structures[op.structureId].kind : 'stack';
+                            message = kind === 'stack'
+                                ? \`Pushing \${formatItem(op.value)} onto \${op.structureId}\`
+                                : \`Enqueuing \${formatItem(op.value)} at the \${op.end} of \${op.structureId}\`;
+                            break;
+                        }
+                        case 'popItem': {
+                            const kind = structures[op.structureId] ? structures[op.structureId].kind : 'stack';
+                            message = kind === 'stack'
+                                ? \`Popping \${formatItem(op.value)} off \${op.structureId}\`
+                                : \`Dequeuing \${formatItem(op.value)} from the \${op.end} of \${op.structureId}\`;
+                            break;
+                        }
+                        case 'peekItem':
+                            message = \`Peeking at \${formatItem(op.value)} at the \${op.end === 'back' ? 'top' : 'front'} of \${op.structureId}\`;
+                            break;
+                        case 'hashPut':
+                            message = 'value' in op
+                                ? \`Setting \${op.structureId}[\${formatItem(op.key)}] = \${formatItem(op.value)} in bucket \${op.bucket}\`
+                                : \`Adding \${formatItem(op.key)} to \${op.structureId} in bucket \${op.bucket}\`;
+                            break;
+                        case 'hashGet': {
+                            const result = !op.found ? 'not found'
+                                : 'value' in op ? \`found \${formatItem(op.value)}\` : 'found';
+                            message = \`Looking up \${formatItem(op.key)} in \${op.structureId}, bucket \${op.bucket}: \${result}\`;
+                            break;
+                        }
+                        case 'toBucket':
+                            message = \`Dropping \${formatItem(op.value)} from position \${op.index} into bucket \${op.bucket}\`;
+                            break;
+                        case 'fromBucket':
+                            message = \`Taking \${formatItem(op.value)} from bucket \${op.bucket} back to position \${op.index}\`;
+                            break;
+                        case 'heapify':
+                            message = \`Sifting down from position \${op.index} in a heap of \${op.size} elements\`;
+                            break;
+                        case 'gap':
+                            message = \`Insertion sorting elements \${op.gap} apart\`;
+                            break;
+                        case 'radixPass':
+                            message = \`Distributing by the \${op.place}s digit\`;
+                            break;
+                        case 'hashDelete':
+                            message = \`Deleting \${formatItem(op.key)} from \${op.structureId}\${op.found ? '' : ' (not found)'}\`;
+                            break;
                         case 'complete':
-                            message = 'Sorting complete! ✨';
+                            message = graph ? 'Traversal complete! ✨'
+                                : searchResult ? 'Search complete! ✨'
+                                : 'Sorting complete! ✨';
                             break;
                         default:
                             message = \`Operation: \${op.type}\`;
                     }
-                    infoDiv.textContent = \`Step \${currentStep + 1}/\${operations.length}: \${message}\`;
+                    const line = op.loc ? \` (line \${op.loc.line})\` : '';
+                    infoDiv.textContent = \`Step \${currentStep + 1}/\${operations.length}: \${message}\${line}\`;
                 } else if (operations.length > 0) {
                     infoDiv.textContent = 'Visualization complete!';
                 } else {
                     infoDiv.textContent = 'Ready to visualize...';
                 }
                 
-                document.getElementById('array-info').textContent = \`Array: [\${array.join(', ')}]\`;
+                const nodeCount = Object.keys(nodes).length;
+                const hasArray = valuesOf(mainId).length > 0 || rows.length > 1;
+                const gridIds = Object.keys(grids);
+                const structureIds = Object.keys(structures);
+                const describe = id => hasBuckets(structures[id].kind)
+                    ? \`\${id}: \${structures[id].entries.length} entries\`
+                    : \`\${id}: [\${structures[id].items.map(formatItem).join(', ')}]\`;
+                document.getElementById('array-info').textContent = structureIds.length > 0 && !hasArray && !graph
+                    ? structureIds.map(describe).join('\\n')
+                    : gridIds.length > 0 && !hasArray
+                    ? gridIds.map(id => \`\${id}: \${grids[id].length} × \${grids[id][0].length}\`).join('\\n')
+                    : graph && !hasArray
+                    ? \`\${graph.nodes.length} nodes, \${graph.edges.length} edges, frontier: [\${graphState.frontier.join(', ')}]\`
+                    : nodeCount > 0 && !hasArray
+                    ? \`\${nodeCount} nodes, \${links.length} links\`
+                    : rows.length > 1
+                    ? rows.map(row => \`\${row.arrayId}: [\${formatValues(valuesOf(row.arrayId))}]\`).join('\\n')
+                    : \`Array: [\${formatValues(valuesOf(mainId))}]\`;
+                
+                updateCounters();
+                updateWatch();
+            }
+            
+            // Counts of the operations played so far
+            function updateCounters() {
+                document.getElementById('counters').innerHTML = VisualDebugCounters.COUNTERS
+                    .map(counter => \`<span>\${counter.label}: \${counts[counter.id]}</span>\`)
+                    .join('');
+            }
+            
+            // Table of the scalar variables in scope after the last operation
+            function updateWatch() {
+                const table = document.getElementById('watch');
+                table.innerHTML = '';
+                Object.entries(watch).forEach(([name, value]) => {
+                    const row = table.insertRow();
+                    if (isPointer(name) && Number.isInteger(value)) {
+                        row.className = 'pointer';
+                    }
+                    const nameCell = row.insertCell();
+                    nameCell.className = 'name';
+                    nameCell.textContent = name;
+                    row.insertCell().textContent = typeof value === 'string' ? JSON.stringify(value) : String(value);
+                });
             }
             
             // Message handling
@@ -788,14 +3193,32 @@ for (let i = 0; i < arr.length; i++) {
                     case 'operations':
                         operations = message.operations;
                         currentStep = 0;
-                        if (operations.length > 0 && operations[0].array) {
-                            array = [...operations[0].array];
-                        }
                         reset();
                         updateInfo();
                         errorDisplay.innerHTML = '';
                         vscode.postMessage({ type: 'log', data: 'Operations loaded: ' + operations.length });
                         break;
+                    case 'appendOperations': {
+                        // Keep playing into operations streamed from the debugger
+                        // when playback had caught up with the end (the init
+                        // operation is already on screen before it is played)
+                        const caughtUp = currentStep >= operations.length - 1;
+                        operations.push(...message.operations);
+                        updateInfo();
+                        if (caughtUp && !isPlaying) {
+                            isPlaying = true;
+                            document.getElementById('play-pause').textContent = 'Pause';
+                            playAnimation();
+                        }
+                        break;
+                    }
+                    case 'seek':
+                        goToStep(message.step);
+                        break;
+                    case 'recordBars':
+                        operations = message.operations;
+                        vscode.postMessage({ type: 'barFrames', frames: recordBarFrames() });
+                        break;
                     case 'error':
                         errorDisplay.innerHTML = '<div class="error-message">' + message.message + '</div>';
                         break;
@@ -0,0 +1,154 @@
+/**
+ * Helpers for the graphs visualized by graph algorithms. Graphs come as
+ * adjacency lists or adjacency matrices and are normalized into
+ * { nodes, edges, directed }, with node ids as strings:
+ *
+ *   { A: ["B", "C"], B: ["A"], C: ["A"] }   adjacency list keyed by node
+ *   { A: { B: 4 }, B: { A: 4 } }            weighted, also { A: [["B", 4]] }
+ *   [[1, 2], [0], [0]]                      adjacency list indexed by node
+ *   [[0, 4], [4, 0]]                        adjacency matrix, 0 = no edge
+ */
+
+// Variable names that suggest an array or object is a graph
+const GRAPH_NAME = /graph|adj|neighbo|^g$/i;
+
+function isNeighborList(value) {
+  return Array.isArray(value) || (value !== null && typeof value === "object");
+}
+
+/**
+ * Read one node's neighbors as [{to, weight}]
+ */
+function readNeighbors(neighbors) {
+  if (Array.isArray(neighbors)) {
+    return neighbors.map((entry) => {
+      if (Array.isArray(entry)) {
+        return { to: String(entry[0]), weight: entry[1] };
+      }
+      if (entry !== null && typeof entry === "object") {
+        const to = entry.node !== undefined ? entry.node : entry.to;
+        return { to: String(to), weight: entry.weight };
+      }
+      return { to: String(entry), weight: undefined };
+    });
+  }
+  return Object.entries(neighbors).map(([to, weight]) => ({
+    to,
+    weight: typeof weight === "number" ? weight : undefined,
+  }));
+}
+
+/**
+ * A square array of number rows reads as a matrix. A list of neighbor
+ * indices only looks like one if every node lists every node
+ */
+function isMatrix(adjacency) {
+  return (
+    adjacency.length > 0 &&
+    adjacency.every(
+      (row) =>
+        Array.isArray(row) &&
+        row.length === adjacency.length &&
+        row.every((cell) => typeof cell === "number" || cell === null)
+    )
+  );
+}
+
+/**
+ * Normalize an adjacency list or matrix
+ * @param {object|Array} adjacency
+ * @returns {{nodes: string[], edges: Array<{from: string, to: string,
+ *   weight?: number}>, directed: boolean}|null} - null if the value isn't
+ *   shaped like a graph
+ */
+function normalizeGraph(adjacency) {
+  if (adjacency === null || typeof adjacency !== "object") return null;
+
+  let nodes;
+  let edges = [];
+
+  if (Array.isArray(adjacency)) {
+    if (!adjacency.every(isNeighborList)) return null;
+    nodes = Array.from(adjacency, (_, index) => String(index));
+
+    if (isMatrix(adjacency)) {
+      const weighted = adjacency.some((row) =>
+        row.some((cell) => cell !== 0 && cell !== 1 && cell !== null)
+      );
+      adjacency.forEach((row, from) => {
+        row.forEach((cell, to) => {
+          if (!cell || cell === Infinity) return;
+          const edge = { from: String(from), to: String(to) };
+          if (weighted) edge.weight = cell;
+          edges.push(edge);
+        });
+      });
+    } else {
+      adjacency.forEach((neighbors, from) => {
+        readNeighbors(neighbors).forEach(({ to, weight }) => {
+          edges.push(makeEdge(String(from), to, weight));
+        });
+      });
+    }
+  } else {
+    const entries = Object.entries(adjacency);
+    if (entries.length === 0 || !entries.every(([, v]) => isNeighborList(v))) {
+      return null;
+    }
+    nodes = entries.map(([node]) => node);
+    entries.forEach(([from, neighbors]) => {
+      readNeighbors(neighbors).forEach(({ to, weight }) => {
+        edges.push(makeEdge(from, to, weight));
+      });
+    });
+  }
+
+  // Neighbors that have no entry of their own are still nodes
+  edges.forEach((edge) => {
+    if (!nodes.includes(edge.to)) nodes.push(edge.to);
+  });
+
+  // Graphs listing every edge both ways with the same weight are undirected,
+  // and each edge is kept once
+  const key = (from, to) => `${from}\u0000${to}`;
+  const weights = new Map(
+    edges.map((edge) => [key(edge.from, edge.to), edge.weight])
+  );
+  const directed = edges.some(
+    (edge) =>
+      !weights.has(key(edge.to, edge.from)) ||
+      weights.get(key(edge.to, edge.from)) !== edge.weight
+  );
+  if (!directed) {
+    const seen = new Set();
+    edges = edges.filter((edge) => {
+      if (seen.has(key(edge.to, edge.from))) return false;
+      seen.add(key(edge.from, edge.to));
+      return true;
+    });
+  }
+
+  return { nodes, edges, directed };
+}
+
+function makeEdge(from, to, weight) {
+  const edge = { from, to };
+  if (typeof weight === "number") edge.weight = weight;
+  return edge;
+}
+
+/**
+ * Neighbors of every node, following edges both ways in undirected graphs
+ * @returns {Map<string, Array<{to: string, weight: number}>>}
+ */
+function adjacencyOf(graph) {
+  const adjacency = new Map(graph.nodes.map((node) => [node, []]));
+  graph.edges.forEach(({ from, to, weight }) => {
+    const w = weight === undefined ? 1 : weight;
+    adjacency.get(from).push({ to, weight: w });
+    if (!graph.directed) adjacency.get(to).push({ to: from, weight: w });
+  });
+  return adjacency;
+}
+
+module.exports = { normalizeGraph, adjacencyOf, GRAPH_NAME };
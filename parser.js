@@ -1,23 +1,96 @@
 // @ts-nocheck
+const vm = require("vm");
 const parser = require("@babel/parser");
 const traverse = require("@babel/traverse").default;
+const t = require("@babel/types");
+const CodeTracer = require("./tracer");
+const { normalizeGraph, adjacencyOf, GRAPH_NAME } = require("./graph");
+const {
+  LOW_BOUND_PARAM,
+  HIGH_BOUND_PARAM,
+  ARRAY_MUTATORS,
+  LINK_FIELDS,
+  findStructures,
+  findSortKey,
+  findSearch,
+  recordKeys,
+  keyOf,
+} = CodeTracer;
+
+// Graph id used by the operations of the built-in graph algorithms
+const GRAPH_ID = "graph";
+
+// Max time in milliseconds one evaluation of a swap condition may take
+const CONDITION_TIMEOUT = 100;
+
+// Array id the renderers give the main array when operations name none
+const ARRAY_ID = "array";
+
+// Widest range of values counting sort keeps a count array for
+const MAX_COUNTING_RANGE = 1000;
+
+// Number of buckets radix sort distributes digits into
+const RADIX = 10;
 
 class CodeParser {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {"execution"|"pattern"} [options.mode] - "execution" runs the code
+   *   through the tracer and records what it does. "pattern" infers the
+   *   operations from the shape of the loops, running only the functions the
+   *   code declares at the top level, in a vm context of their own, to
+   *   evaluate swap conditions (see createConditionContext). Code the loop
+   *   patterns can't follow is still handed to traceExecution, as
+   *   executeCode decides
+   * @param {number} [options.maxOperations] - Max number of operations the
+   *   execution tracer records
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || "execution";
+    this.maxOperations = options.maxOperations;
     this.operations = [];
     this.currentArray = [];
     this.arrayName = null;
+    this.arrayStart = null;
+    this.arrayEnd = null;
+    this.callSites = [];
+    this.entryCall = "";
+    this.file = null;
+    this.arrayLoc = null;
+    this.recordKeys = null;
+    this.source = "";
+    this.conditionContext = null;
+    this.parseInContext = null;
+    this.runCode = true;
+    this.auxCount = 0;
   }
 
   /**
    * Parse JavaScript code and extract array operations
    * @param {string} code - The JavaScript code to parse
+   * @param {object} [options]
+   * @param {"execution"|"pattern"} [options.mode] - Overrides the parser mode
+   * @param {string} [options.file] - File the code came from. Operations
+   *   carry a `loc` of {file, line, column}, with 1-based lines and 0-based
+   *   columns
+   * @param {boolean} [options.runCode] - false to never run any of the code,
+   *   as for an untrusted workspace. Only code the loop patterns can follow
+   *   is visualized then
    * @returns {Array} - Array of visualization operations
    */
-  parse(code) {
+  parse(code, options = {}) {
+    const mode = options.mode || this.mode;
     this.operations = [];
     this.currentArray = [];
     this.arrayName = null;
+    this.arrayStart = null;
+    this.arrayEnd = null;
+    this.callSites = [];
+    this.entryCall = "";
+    this.file = options.file || null;
+    this.arrayLoc = null;
+    this.runCode = options.runCode !== false;
+    this.conditionContext = null;
 
     try {
       console.log("Parsing code:", code);
@@ -28,25 +101,61 @@ class CodeParser {
         plugins: ["jsx"],
       });
 
+      // Graphs are followed by running the code, before any array is looked
+      // for, as distance or queue arrays would be mistaken for the data
+      const graph = this.findGraphInitialization(ast);
+      if (graph) {
+        console.log("Found graph:", graph.name);
+        this.operations = this.traceExecution(code, graph);
+        return this.operations;
+      }
+
       // First pass: Find array initialization
-      this.findArrayInitialization(ast);
+      const functions = this.findUserFunctions(ast);
+      this.findArrayInitialization(ast, functions);
 
       if (!this.arrayName || this.currentArray.length === 0) {
+        if (
+          this.usesLinkedNodes(ast) ||
+          this.usesGrid(ast) ||
+          findStructures(ast).size > 0
+        ) {
+          // Linked lists, trees, tables such as dp[i][j], stacks, queues and
+          // hash tables have no flat array literal to start from, so they
+          // can only be followed by running the code
+          console.log("Other data structures found, tracing by execution");
+          this.operations = this.traceExecution(code);
+          return this.operations;
+        }
         throw new Error(
           "No array found. Please initialize an array like: let arr = [1, 2, 3]"
         );
       }
 
       console.log("Found array:", this.arrayName, "=", this.currentArray);
+      this.recordKeys = recordKeys(
+        this.currentArray,
+        findSortKey(ast, this.arrayName)
+      );
+
+      this.callSites = this.resolveCallSites(ast, functions);
+      this.entryCall = this.getEntryCall(functions);
+
+      if (mode === "execution") {
+        this.operations = this.traceExecution(code);
+        return this.operations;
+      }
 
       // Add initial state
       this.operations.push({
         type: "init",
         array: [...this.currentArray],
+        loc: this.arrayLoc,
+        ...this.recordKeys,
       });
 
       // Second pass: Execute the code logic
-      this.executeCode(ast);
+      this.executeCode(ast, code);
 
       console.log(`Generated ${this.operations.length} operations`);
       return this.operations;
@@ -56,35 +165,342 @@ class CodeParser {
     }
   }
 
-  findArrayInitialization(ast) {
+  findArrayInitialization(ast, functions = new Map()) {
+    let passedArray = null;
+    const structures = findStructures(ast);
+
+    const useArray = (name, init) => {
+      this.arrayName = name;
+      this.arrayStart = init.start;
+      this.arrayEnd = init.end;
+      this.arrayLoc = this.locOf(init);
+      this.currentArray = init.elements.map((el) => {
+        const value = literalValue(el);
+        return value === undefined ? 0 : value;
+      });
+    };
+
     traverse(ast, {
       VariableDeclarator: (path) => {
         const { id, init } = path.node;
 
-        // Look for array initialization: let arr = [...]
+        // Look for array initialization: let arr = [...]. Arrays of arrays
+        // are 2D tables, traced cell by cell rather than as the array, and
+        // stacks and queues get views of their own
         if (
           init &&
           init.type === "ArrayExpression" &&
-          id.type === "Identifier"
+          id.type === "Identifier" &&
+          !isGridLiteral(init) &&
+          !structures.has(id.name)
         ) {
-          this.arrayName = id.name;
-          this.currentArray = init.elements.map((el) => {
-            if (el && el.type === "NumericLiteral") {
-              return el.value;
-            }
-            return 0;
-          });
+          useArray(id.name, init);
+        }
+      },
+      CallExpression: (path) => {
+        // Look for an array passed straight to a function: sort([...])
+        const fn = functions.get(this.getCalleeName(path.node.callee));
+        if (!fn || passedArray) return;
+
+        const index = path.node.arguments.findIndex(
+          (arg) => arg.type === "ArrayExpression" && !isGridLiteral(arg)
+        );
+        if (index !== -1) {
+          passedArray = {
+            name: fn.params[index] || "arr",
+            init: path.node.arguments[index],
+          };
+        }
+      },
+    });
+
+    if (!this.arrayName && passedArray) {
+      useArray(passedArray.name, passedArray.init);
+    }
+  }
+
+  /**
+   * Put another array in place of the array literal the code works on, e.g.
+   * to run it on inputs of growing size
+   * @param {string} code
+   * @param {Array} array
+   * @returns {string} - The code with the new array literal
+   */
+  replaceArray(code, array) {
+    const ast = parser.parse(code, {
+      sourceType: "module",
+      plugins: ["jsx"],
+    });
+    this.arrayName = null;
+    this.findArrayInitialization(ast, this.findUserFunctions(ast));
+    if (!this.arrayName) {
+      throw new Error(
+        "No array found. Please initialize an array like: let arr = [1, 2, 3]"
+      );
+    }
+    return (
+      code.slice(0, this.arrayStart) +
+      JSON.stringify(array) +
+      code.slice(this.arrayEnd)
+    );
+  }
+
+  /**
+   * Collect user-defined functions, arrow functions and methods by name
+   * @returns {Map<string, object>} - Function info keyed by name
+   */
+  findUserFunctions(ast) {
+    const functions = new Map();
+
+    const addFunction = (name, fn, topLevel) => {
+      if (!name || functions.has(name)) return;
+      functions.set(name, {
+        name,
+        params: fn.params.map((param) => {
+          if (param.type === "Identifier") return param.name;
+          if (param.type === "AssignmentPattern" && param.left.type === "Identifier") {
+            return param.left.name;
+          }
+          return null;
+        }),
+        requiredParams: fn.params.filter(
+          (param) => param.type === "Identifier"
+        ).length,
+        node: fn,
+        topLevel,
+        called: false,
+      });
+    };
+
+    const isFunction = (node) =>
+      node &&
+      (node.type === "FunctionExpression" ||
+        node.type === "ArrowFunctionExpression");
+
+    traverse(ast, {
+      FunctionDeclaration: (path) => {
+        if (path.node.id) {
+          addFunction(path.node.id.name, path.node, !path.getFunctionParent());
+        }
+      },
+      VariableDeclarator: (path) => {
+        const { id, init } = path.node;
+        if (id.type === "Identifier" && isFunction(init)) {
+          addFunction(id.name, init, !path.getFunctionParent());
+        }
+      },
+      "ObjectMethod|ClassMethod": (path) => {
+        const { kind, key, computed } = path.node;
+        if (kind === "method" && !computed && key.type === "Identifier") {
+          addFunction(key.name, path.node, false);
+        }
+      },
+      "ObjectProperty|ClassProperty": (path) => {
+        const { key, value, computed } = path.node;
+        if (!computed && key.type === "Identifier" && isFunction(value)) {
+          addFunction(key.name, value, false);
+        }
+      },
+    });
+
+    return functions;
+  }
+
+  getCalleeName(callee) {
+    if (callee.type === "Identifier") {
+      return callee.name;
+    }
+    if (
+      callee.type === "MemberExpression" &&
+      !callee.computed &&
+      callee.property.type === "Identifier"
+    ) {
+      return callee.property.name;
+    }
+    return null;
+  }
+
+  /**
+   * Find calls to user-defined functions that receive the array, and the
+   * parameter the array is bound to at each of them
+   */
+  resolveCallSites(ast, functions) {
+    const callSites = [];
+
+    traverse(ast, {
+      CallExpression: (path) => {
+        const fn = functions.get(this.getCalleeName(path.node.callee));
+        if (!fn) return;
+
+        // Recursive calls don't count as the function being used
+        const caller = path.getFunctionParent();
+        if (!caller || caller.node !== fn.node) {
+          fn.called = true;
+        }
+
+        path.node.arguments.forEach((arg, index) => {
+          const passesArray =
+            (arg.type === "Identifier" && arg.name === this.arrayName) ||
+            arg.start === this.arrayStart;
+          if (passesArray) {
+            callSites.push({ name: fn.name, param: fn.params[index] });
+          }
+        });
+      },
+    });
+
+    return callSites;
+  }
+
+  /**
+   * When the array is never handed to a user-defined function, build a call
+   * to the first top-level function nothing else calls, so a function
+   * written without a call site still runs against the array
+   * @returns {string} - Code to append, or "" if none is needed
+   */
+  getEntryCall(functions) {
+    if (this.callSites.length > 0) return "";
+
+    const entry = [...functions.values()].find(
+      (fn) => fn.topLevel && fn.params.length > 0 && !fn.called
+    );
+    if (!entry) return "";
+
+    const args = entry.params
+      .slice(0, Math.max(entry.requiredParams, 1))
+      .map((param, index) => {
+        if (index === 0) return this.arrayName;
+        if (LOW_BOUND_PARAM.test(param)) return "0";
+        if (HIGH_BOUND_PARAM.test(param)) {
+          return `${this.arrayName}.length - 1`;
+        }
+        if (/^(n|len|length|size)$/i.test(param)) {
+          return `${this.arrayName}.length`;
+        }
+        return "undefined";
+      });
+
+    console.log(`No call site found, calling ${entry.name} with the array`);
+    return `\n${entry.name}(${args.join(", ")});\n`;
+  }
+
+  /**
+   * Run the code through the execution tracer
+   */
+  traceExecution(code, graph = null) {
+    if (!this.runCode) {
+      throw new Error(
+        "This code can only be visualized by running it, which is turned off in untrusted workspaces"
+      );
+    }
+    return new CodeTracer({ maxOperations: this.maxOperations }).trace(
+      code + this.entryCall,
+      this.arrayName ? { name: this.arrayName, start: this.arrayStart } : null,
+      { file: this.file, graph }
+    );
+  }
+
+  /**
+   * Find a graph literal: an adjacency list such as { A: ["B"], B: [] } or
+   * an adjacency matrix. Arrays of arrays only count when their name says
+   * they're a graph (graph, adj, ...), as they could as well be a grid
+   * @returns {{name: string, start: number}|null}
+   */
+  findGraphInitialization(ast) {
+    let graph = null;
+    traverse(ast, {
+      VariableDeclarator: (path) => {
+        const { id, init } = path.node;
+        if (t.isIdentifier(id) && init && this.isGraphLiteral(init, id.name)) {
+          graph = { name: id.name, start: init.start };
+          path.stop();
         }
       },
     });
+    return graph;
+  }
+
+  isGraphLiteral(node, name) {
+    if (t.isArrayExpression(node)) {
+      return (
+        GRAPH_NAME.test(name) &&
+        node.elements.length > 0 &&
+        node.elements.every((el) => t.isArrayExpression(el))
+      );
+    }
+    if (!t.isObjectExpression(node) || node.properties.length === 0) {
+      return false;
+    }
+
+    const keys = node.properties.map((prop) =>
+      t.isObjectProperty(prop) && !prop.computed ? propertyKey(prop.key) : null
+    );
+    const lists = node.properties.map((prop) => neighborNames(prop.value));
+    if (keys.includes(null) || lists.includes(null)) return false;
+
+    // Without a telling name, there must be edges and every neighbor must be
+    // one of the keys
+    return (
+      GRAPH_NAME.test(name) ||
+      (lists.some((list) => list.length > 0) &&
+        lists.every((list) => list.every((neighbor) => keys.includes(neighbor))))
+    );
   }
 
-  executeCode(ast) {
+  executeCode(ast, code) {
+    // The loop patterns look for statements inside blocks, so bodies written
+    // without braces are given them first
+    traverse(ast, {
+      Loop: (path) => {
+        path.ensureBlock();
+      },
+      IfStatement: (path) => {
+        ["consequent", "alternate"].forEach((branch) => {
+          const body = path.get(branch);
+          if (body.node && !body.isBlockStatement()) {
+            body.replaceWith(t.blockStatement([body.node]));
+          }
+        });
+      },
+    });
+
     // Extract the function/loop structure
-    const forLoops = this.extractForLoops(ast);
+    const loops = this.extractLoops(ast);
+    const forLoops = loops.filter((loop) => loop.node.type === "ForStatement");
 
     console.log("=== EXECUTE CODE DEBUG ===");
-    console.log(`Found ${forLoops.length} top-level for loops`);
+    console.log(`Found ${loops.length} top-level loops`);
+
+    if (forLoops.length < loops.length) {
+      // The bounds of while, do-while, for-of and for-in loops can't be read
+      // off the AST, so evaluate their conditions by actually running them
+      console.log("Non-for loops found, tracing by execution");
+      this.operations = this.traceExecution(code);
+      return;
+    }
+
+    if (this.usesArrayMutators(ast)) {
+      // push, splice and friends shift indices in ways the loop patterns
+      // can't follow
+      console.log("Array mutator methods found, tracing by execution");
+      this.operations = this.traceExecution(code);
+      return;
+    }
+
+    if (findSearch(ast)) {
+      // Searches narrow their range through variables the loop patterns
+      // don't model
+      console.log("Search found, tracing by execution");
+      this.operations = this.traceExecution(code);
+      return;
+    }
+
+    if (this.callSites.length > 0 || this.entryCall) {
+      // Function bodies only make sense bound to the caller's data
+      console.log("Array is passed to a function, tracing by execution");
+      this.operations = this.traceExecution(code);
+      return;
+    }
 
     if (forLoops.length === 0) {
       // No loops - just direct operations
@@ -97,9 +513,17 @@ class CodeParser {
     } else if (forLoops.length >= 2) {
       // Nested loops
       console.log("Nested loops found");
+      if (this.runCode) this.createConditionContext(ast, code);
       this.executeNestedLoops(forLoops);
     }
 
+    if (this.operations.length === 1) {
+      // The patterns matched nothing past the init operation
+      console.log("No loop pattern matched, tracing by execution");
+      this.operations = this.traceExecution(code);
+      return;
+    }
+
     console.log(`Total operations before complete: ${this.operations.length}`);
 
     // Add completion marker
@@ -108,22 +532,156 @@ class CodeParser {
     console.log(`Final operation count: ${this.operations.length}`);
   }
 
-  extractForLoops(ast) {
-    const loops = [];
+  /**
+   * Set up a context for evaluating swap conditions, holding the functions
+   * the code declares at the top level, such as comparators. Nothing else
+   * in the code is run
+   */
+  createConditionContext(ast, code) {
+    this.source = code;
+    this.conditionContext = vm.createContext({});
+    // Taken before the code's declarations can replace JSON
+    this.parseInContext = vm.runInContext("JSON.parse", this.conditionContext);
+
+    ast.program.body.forEach((statement) => {
+      const declaresFunction =
+        t.isFunctionDeclaration(statement) ||
+        (t.isVariableDeclaration(statement) &&
+          statement.declarations.every((declarator) =>
+            t.isFunction(declarator.init)
+          ));
+      if (!declaresFunction) return;
+      try {
+        vm.runInContext(
+          code.slice(statement.start, statement.end),
+          this.conditionContext,
+          { timeout: CONDITION_TIMEOUT }
+        );
+      } catch (error) {
+        console.log("Could not declare", error.message);
+      }
+    });
+  }
+
+  /**
+   * Evaluate a swap condition, such as arr[j] > arr[j + 1],
+   * compare(arr[j], arr[j + 1]) > 0 or
+   * arr[j].name.localeCompare(arr[j + 1].name) > 0, against the array as it
+   * is now
+   * @param {object} node - The condition
+   * @param {object} vars - Loop variables and their values
+   * @returns {boolean|undefined} - undefined if it could not be evaluated
+   */
+  evaluateCondition(node, vars) {
+    if (!this.conditionContext) return undefined;
+    // The array is copied in as JSON, so the condition never holds an
+    // object of the extension's
+    Object.assign(this.conditionContext, vars, {
+      [this.arrayName]: this.parseInContext(JSON.stringify(this.currentArray)),
+    });
+    try {
+      return Boolean(
+        vm.runInContext(
+          this.source.slice(node.start, node.end),
+          this.conditionContext,
+          { timeout: CONDITION_TIMEOUT }
+        )
+      );
+    } catch (error) {
+      console.log("Could not evaluate condition:", error.message);
+      return undefined;
+    }
+  }
 
+  usesArrayMutators(ast) {
+    let found = false;
     traverse(ast, {
-      ForStatement: (path) => {
-        // Get all for loops at the top level (not inside functions)
-        const functionParent = path.getFunctionParent();
-        if (!functionParent) {
-          loops.push({
-            node: path.node,
-            path: path,
-            depth: 0,
-          });
+      CallExpression: (path) => {
+        const callee = path.node.callee;
+        if (
+          callee.type === "MemberExpression" &&
+          !callee.computed &&
+          callee.property.type === "Identifier" &&
+          ARRAY_MUTATORS.includes(callee.property.name)
+        ) {
+          found = true;
+          path.stop();
+        }
+      },
+    });
+    return found;
+  }
+
+  /**
+   * Whether the code builds linked lists or trees, i.e. uses a link field
+   * such as next or left
+   */
+  usesLinkedNodes(ast) {
+    let found = false;
+    traverse(ast, {
+      "MemberExpression|ObjectProperty": (path) => {
+        const key = path.isMemberExpression()
+          ? path.node.property
+          : path.node.key;
+        if (
+          !path.node.computed &&
+          key.type === "Identifier" &&
+          LINK_FIELDS.includes(key.name)
+        ) {
+          found = true;
+          path.stop();
+        }
+      },
+    });
+    return found;
+  }
+
+  /**
+   * Whether the code works on a 2D array: a nested array literal or a
+   * double index such as dp[i][j]
+   */
+  usesGrid(ast) {
+    let found = false;
+    traverse(ast, {
+      ArrayExpression: (path) => {
+        if (isGridLiteral(path.node)) {
+          found = true;
+          path.stop();
+        }
+      },
+      MemberExpression: (path) => {
+        const { object, computed } = path.node;
+        if (computed && t.isMemberExpression(object) && object.computed) {
+          found = true;
+          path.stop();
         }
       },
     });
+    return found;
+  }
+
+  extractLoops(ast) {
+    const loops = [];
+
+    const collectLoop = (path) => {
+      // Get all loops at the top level (not inside functions)
+      const functionParent = path.getFunctionParent();
+      if (!functionParent) {
+        loops.push({
+          node: path.node,
+          path: path,
+          depth: 0,
+        });
+      }
+    };
+
+    traverse(ast, {
+      ForStatement: collectLoop,
+      WhileStatement: collectLoop,
+      DoWhileStatement: collectLoop,
+      ForOfStatement: collectLoop,
+      ForInStatement: collectLoop,
+    });
 
     return loops;
   }
@@ -134,6 +692,7 @@ class CodeParser {
     // Get loop bounds
     let start = 0;
     let end = this.currentArray.length;
+    let loopVar = "i";
 
     // Check loop.init
     if (
@@ -142,6 +701,9 @@ class CodeParser {
       loop.init.declarations &&
       loop.init.declarations.length > 0
     ) {
+      if (loop.init.declarations[0].id.type === "Identifier") {
+        loopVar = loop.init.declarations[0].id.name;
+      }
       const initValue = loop.init.declarations[0].init;
       if (initValue && initValue.type === "NumericLiteral") {
         start = initValue.value;
@@ -166,7 +728,7 @@ class CodeParser {
 
     // Execute loop
     for (let i = start; i < end; i++) {
-      this.executeLoopBody(loop.body, { i: i });
+      this.executeLoopBody(loop.body, { [loopVar]: i });
     }
   }
 
@@ -174,12 +736,14 @@ class CodeParser {
     // Assume first loop is outer, detect inner from body
     const outerLoop = loops[0].node;
     let innerLoopNode = null;
+    let innerLoopPath = null;
 
     // Find inner loop
-    traverse(outerLoop.body, {
+    loops[0].path.get("body").traverse({
       ForStatement: (path) => {
         if (!innerLoopNode) {
           innerLoopNode = path.node;
+          innerLoopPath = path;
         }
       },
     });
@@ -260,17 +824,27 @@ class CodeParser {
     // Check for swap operation in inner loop
     let hasSwap = false;
     let swapConditionNode = null;
+    let swapNode = null;
     let alwaysSwap = false;
 
-    traverse(innerLoopNode.body, {
+    innerLoopPath.get("body").traverse({
       IfStatement: (path) => {
         swapConditionNode = path.node.test;
 
+        const tempSwap = this.findTempSwap(
+          this.getStatements(path.node.consequent)
+        );
+        if (tempSwap) {
+          hasSwap = true;
+          swapNode = tempSwap;
+        }
+
         // Check for swap inside if
-        traverse(path.node.consequent, {
+        path.get("consequent").traverse({
           ExpressionStatement: (exprPath) => {
             if (this.isSwapOperation(exprPath.node)) {
               hasSwap = true;
+              swapNode = exprPath.node;
             }
           },
         });
@@ -280,10 +854,18 @@ class CodeParser {
         if (!hasSwap && this.isSwapOperation(path.node)) {
           hasSwap = true;
           alwaysSwap = true;
+          swapNode = path.node;
         }
       },
     });
 
+    const tempSwap = this.findTempSwap(this.getStatements(innerLoopNode.body));
+    if (!hasSwap && tempSwap) {
+      hasSwap = true;
+      alwaysSwap = true;
+      swapNode = tempSwap;
+    }
+
     console.log(`Has swap: ${hasSwap}, Always swap: ${alwaysSwap}`);
 
     // Execute nested loops
@@ -297,18 +879,34 @@ class CodeParser {
       }
 
       for (let j = innerStart; j < innerEnd; j++) {
+        // Records are compared by their sort key
+        const [a, b] = [j, j + 1].map((k) =>
+          keyOf(this.currentArray[k], this.recordKeys)
+        );
+
         // Add compare operation
         this.operations.push({
           type: "compare",
           indices: [j, j + 1],
-          values: [this.currentArray[j], this.currentArray[j + 1]],
+          values: [a, b],
+          loc: this.locOf(swapConditionNode || innerLoopNode.test),
+          vars: { [outerVar]: i, [innerVar]: j },
         });
 
         // Determine if should swap
         let shouldSwap = false;
+        const evaluated =
+          swapConditionNode && !alwaysSwap
+            ? this.evaluateCondition(swapConditionNode, {
+                [outerVar]: i,
+                [innerVar]: j,
+              })
+            : undefined;
 
         if (alwaysSwap) {
           shouldSwap = true;
+        } else if (evaluated !== undefined) {
+          shouldSwap = evaluated;
         } else if (
           swapConditionNode &&
           swapConditionNode.type === "BinaryExpression"
@@ -316,27 +914,21 @@ class CodeParser {
           const op = swapConditionNode.operator;
 
           if (op === ">") {
-            shouldSwap = this.currentArray[j] > this.currentArray[j + 1];
+            shouldSwap = a > b;
           } else if (op === "<") {
-            shouldSwap = this.currentArray[j] < this.currentArray[j + 1];
+            shouldSwap = a < b;
           } else if (op === ">=") {
-            shouldSwap = this.currentArray[j] >= this.currentArray[j + 1];
+            shouldSwap = a >= b;
           } else if (op === "<=") {
-            shouldSwap = this.currentArray[j] <= this.currentArray[j + 1];
+            shouldSwap = a <= b;
           }
         }
 
         if (shouldSwap) {
-          this.operations.push({
-            type: "swap",
-            indices: [j, j + 1],
-            values: [this.currentArray[j], this.currentArray[j + 1]],
+          this.recordSwap([j, j + 1], swapNode, {
+            [outerVar]: i,
+            [innerVar]: j,
           });
-
-          [this.currentArray[j], this.currentArray[j + 1]] = [
-            this.currentArray[j + 1],
-            this.currentArray[j],
-          ];
         }
       }
 
@@ -353,59 +945,72 @@ class CodeParser {
   executeLoopBody(body, vars) {
     // Execute operations inside loop body
     if (body && body.type === "BlockStatement" && body.body) {
-      body.body.forEach((statement) => {
+      body.body.forEach((statement, k) => {
         if (
           statement.type === "ExpressionStatement" &&
           this.isSwapOperation(statement)
         ) {
           const indices = this.getSwapIndices(statement);
           if (indices) {
-            this.operations.push({
-              type: "swap",
-              indices: indices,
-              values: [
-                this.currentArray[indices[0]],
-                this.currentArray[indices[1]],
-              ],
-            });
-
-            [this.currentArray[indices[0]], this.currentArray[indices[1]]] = [
-              this.currentArray[indices[1]],
-              this.currentArray[indices[0]],
-            ];
+            this.recordSwap(indices, statement, vars);
+          }
+        } else {
+          const indices = this.getTempSwapIndices(body.body, k);
+          if (indices) {
+            this.recordSwap(indices, statement, vars);
           }
         }
       });
     }
   }
 
+  recordSwap(indices, node, vars) {
+    const swap = {
+      type: "swap",
+      indices: indices,
+      values: [this.currentArray[indices[0]], this.currentArray[indices[1]]],
+      loc: this.locOf(node),
+    };
+    if (vars) swap.vars = { ...vars };
+    this.operations.push(swap);
+
+    [this.currentArray[indices[0]], this.currentArray[indices[1]]] = [
+      this.currentArray[indices[1]],
+      this.currentArray[indices[0]],
+    ];
+  }
+
   extractDirectSwaps(ast) {
     console.log("Extracting direct swaps");
 
+    // Both swap forms are collected first so they replay in source order
+    const swaps = [];
     traverse(ast, {
       ExpressionStatement: (path) => {
         if (this.isSwapOperation(path.node)) {
           const indices = this.getSwapIndices(path.node);
           if (indices && indices.length === 2) {
-            console.log(`Found swap: [${indices[0]}, ${indices[1]}]`);
-
-            this.operations.push({
-              type: "swap",
-              indices: indices,
-              values: [
-                this.currentArray[indices[0]],
-                this.currentArray[indices[1]],
-              ],
-            });
-
-            [this.currentArray[indices[0]], this.currentArray[indices[1]]] = [
-              this.currentArray[indices[1]],
-              this.currentArray[indices[0]],
-            ];
+            swaps.push({ node: path.node, indices });
           }
         }
       },
+      "Program|BlockStatement": (path) => {
+        const statements = path.node.body;
+        statements.forEach((statement, k) => {
+          const indices = this.getTempSwapIndices(statements, k);
+          if (indices) {
+            swaps.push({ node: statement, indices });
+          }
+        });
+      },
     });
+
+    swaps
+      .sort((a, b) => a.node.start - b.node.start)
+      .forEach(({ node, indices }) => {
+        console.log(`Found swap: [${indices[0]}, ${indices[1]}]`);
+        this.recordSwap(indices, node);
+      });
   }
 
   expressionContainsVariable(expr, varName) {
@@ -441,6 +1046,97 @@ class CodeParser {
     return false;
   }
 
+  /**
+   * Detect a swap through a temporary variable starting at statements[k]:
+   * let t = arr[i]; arr[i] = arr[j]; arr[j] = t;
+   * @returns {Array|null} - The two element accesses that trade places
+   */
+  getTempSwap(statements, k) {
+    const [save, move, restore] = statements.slice(k, k + 3);
+    if (!save || !move || !restore) return null;
+
+    let temp = null;
+    let first = null;
+    if (save.type === "VariableDeclaration" && save.declarations.length === 1) {
+      temp = save.declarations[0].id;
+      first = save.declarations[0].init;
+    } else if (this.isPlainAssignment(save)) {
+      temp = save.expression.left;
+      first = save.expression.right;
+    }
+
+    if (
+      !temp ||
+      temp.type !== "Identifier" ||
+      !this.isElementAccess(first) ||
+      !this.isPlainAssignment(move) ||
+      !this.isPlainAssignment(restore)
+    ) {
+      return null;
+    }
+
+    const second = move.expression.right;
+    const putBack = restore.expression.right;
+    if (
+      this.isElementAccess(second) &&
+      t.isNodesEquivalent(move.expression.left, first) &&
+      t.isNodesEquivalent(restore.expression.left, second) &&
+      putBack.type === "Identifier" &&
+      putBack.name === temp.name
+    ) {
+      return [first, second];
+    }
+    return null;
+  }
+
+  getTempSwapIndices(statements, k) {
+    const swap = this.getTempSwap(statements, k);
+    if (!swap) return null;
+
+    const i1 = this.getIndexFromArrayAccess(swap[0]);
+    const i2 = this.getIndexFromArrayAccess(swap[1]);
+    return i1 !== null && i2 !== null ? [i1, i2] : null;
+  }
+
+  /**
+   * @returns {object|null} - The statement a temporary-variable swap starts
+   *   at, if the statements contain one
+   */
+  findTempSwap(statements) {
+    const start = statements.findIndex(
+      (_, k) => this.getTempSwap(statements, k) !== null
+    );
+    return start === -1 ? null : statements[start];
+  }
+
+  /**
+   * Source location of a node for an operation's `loc`
+   */
+  locOf(node) {
+    if (!node || !node.loc) return null;
+    return {
+      file: this.file,
+      line: node.loc.start.line,
+      column: node.loc.start.column,
+    };
+  }
+
+  getStatements(node) {
+    return node.type === "BlockStatement" ? node.body : [node];
+  }
+
+  isPlainAssignment(statement) {
+    return (
+      statement.type === "ExpressionStatement" &&
+      statement.expression.type === "AssignmentExpression" &&
+      statement.expression.operator === "="
+    );
+  }
+
+  isElementAccess(node) {
+    return Boolean(node) && node.type === "MemberExpression" && node.computed;
+  }
+
   getSwapIndices(node) {
     try {
       if (!node.expression || !node.expression.left || !node.expression.right) {
@@ -575,23 +1271,37 @@ class CodeParser {
         color: 0xffaa00,
       });
 
-      while (j >= 0 && arr[j] > key) {
+      while (j >= 0) {
         this.operations.push({
           type: "compare",
-          indices: [j, j + 1],
+          indices: [j],
           values: [arr[j], key],
         });
 
+        if (arr[j] <= key) break;
+
+        // Shift the larger element one slot right
         this.operations.push({
-          type: "swap",
-          indices: [j, j + 1],
-          values: [arr[j], arr[j + 1]],
+          type: "set",
+          index: j + 1,
+          oldValue: arr[j + 1],
+          value: arr[j],
+          from: j,
         });
 
         arr[j + 1] = arr[j];
         j--;
       }
 
+      if (j + 1 !== i) {
+        this.operations.push({
+          type: "set",
+          index: j + 1,
+          oldValue: arr[j + 1],
+          value: key,
+        });
+      }
+
       arr[j + 1] = key;
 
       this.operations.push({
@@ -603,6 +1313,967 @@ class CodeParser {
     this.operations.push({ type: "complete" });
     return this.operations;
   }
+
+  /**
+   * Merge sort, recursing on halves until they hold one element. Each
+   * merge copies the range into an auxiliary array and writes it back in
+   * order
+   */
+  generateMergeSort(array) {
+    this.startSort(array);
+    const arr = [...array];
+
+    const sort = (lo, hi, depth) => {
+      this.operations.push({
+        type: "call",
+        name: "mergeSort",
+        depth,
+        range: [lo, hi],
+        args: { lo, hi },
+      });
+      if (lo < hi) {
+        const mid = Math.floor((lo + hi) / 2);
+        sort(lo, mid, depth + 1);
+        sort(mid + 1, hi, depth + 1);
+        this.merge(arr, lo, mid, hi);
+      }
+      this.operations.push({ type: "return", name: "mergeSort", depth });
+    };
+    if (arr.length > 0) sort(0, arr.length - 1, 0);
+
+    this.operations.push({ type: "complete" });
+    return this.operations;
+  }
+
+  /**
+   * Bottom-up merge sort: merge runs of width 1, then 2, 4, ... with no
+   * recursion
+   */
+  generateBottomUpMergeSort(array) {
+    this.startSort(array);
+    const arr = [...array];
+
+    for (let width = 1; width < arr.length; width *= 2) {
+      for (let lo = 0; lo + width < arr.length; lo += 2 * width) {
+        const mid = lo + width - 1;
+        const hi = Math.min(lo + 2 * width - 1, arr.length - 1);
+        this.operations.push({ type: "range", range: [lo, hi] });
+        this.merge(arr, lo, mid, hi);
+      }
+    }
+
+    this.operations.push({ type: "complete" });
+    return this.operations;
+  }
+
+  /**
+   * Merge the sorted runs lo..mid and mid + 1..hi of arr through a copy
+   */
+  merge(arr, lo, mid, hi) {
+    this.auxCount++;
+    const auxId = this.auxCount === 1 ? "aux" : `aux#${this.auxCount}`;
+    const aux = arr.slice(lo, hi + 1);
+    this.operations.push({
+      type: "createArray",
+      arrayId: auxId,
+      label: "aux",
+      array: [...aux],
+    });
+
+    const write = (k, from) => {
+      this.operations.push({
+        type: "set",
+        index: k,
+        oldValue: arr[k],
+        value: aux[from],
+        from,
+        fromArrayId: auxId,
+      });
+      arr[k] = aux[from];
+    };
+
+    const end = mid - lo;
+    let i = 0;
+    let j = end + 1;
+    let k = lo;
+    while (i <= end && j < aux.length) {
+      this.operations.push({
+        type: "compare",
+        arrayId: auxId,
+        indices: [i, j],
+        values: [aux[i], aux[j]],
+      });
+      // Taking from the left run on ties keeps the sort stable
+      write(k++, aux[i] <= aux[j] ? i++ : j++);
+    }
+    while (i <= end) write(k++, i++);
+    while (j < aux.length) write(k++, j++);
+  }
+
+  /**
+   * Quicksort with the Lomuto partition: the last element is the pivot,
+   * and everything smaller is swapped in front of it
+   */
+  generateQuickSort(array) {
+    this.startSort(array);
+    const arr = [...array];
+
+    const sort = (lo, hi, depth) => {
+      this.operations.push({
+        type: "call",
+        name: "quickSort",
+        depth,
+        range: [lo, hi],
+        args: { lo, hi },
+      });
+      if (lo < hi) {
+        const pivot = this.lomutoPartition(arr, lo, hi, depth);
+        sort(lo, pivot - 1, depth + 1);
+        sort(pivot + 1, hi, depth + 1);
+      } else if (lo === hi) {
+        this.operations.push({ type: "sorted", indices: [lo] });
+      }
+      this.operations.push({ type: "return", name: "quickSort", depth });
+    };
+    if (arr.length > 0) sort(0, arr.length - 1, 0);
+
+    this.operations.push({ type: "complete" });
+    return this.operations;
+  }
+
+  /**
+   * @returns {number} - Where the pivot ended up
+   */
+  lomutoPartition(arr, lo, hi, depth) {
+    this.operations.push({ type: "highlight", indices: [hi], color: 0xc586c0 });
+
+    let i = lo;
+    for (let j = lo; j < hi; j++) {
+      this.operations.push({
+        type: "compare",
+        indices: [j, hi],
+        values: [arr[j], arr[hi]],
+      });
+      if (arr[j] < arr[hi]) {
+        if (i !== j) this.swapOp(arr, i, j);
+        i++;
+      }
+    }
+    if (i !== hi) this.swapOp(arr, i, hi);
+
+    this.operations.push({
+      type: "partition",
+      pivot: i,
+      range: [lo, hi],
+      depth,
+    });
+    this.operations.push({ type: "sorted", indices: [i] });
+    return i;
+  }
+
+  /**
+   * Quicksort with the Hoare partition: two pointers move towards each
+   * other from the ends, swapping pairs on the wrong side of the middle
+   * element's value. The pivot itself isn't placed, so the halves are
+   * lo..j and j + 1..hi
+   */
+  generateHoareQuickSort(array) {
+    this.startSort(array);
+    const arr = [...array];
+
+    const sort = (lo, hi, depth) => {
+      this.operations.push({
+        type: "call",
+        name: "quickSort",
+        depth,
+        range: [lo, hi],
+        args: { lo, hi },
+      });
+      if (lo < hi) {
+        const split = this.hoarePartition(arr, lo, hi);
+        sort(lo, split, depth + 1);
+        sort(split + 1, hi, depth + 1);
+      }
+      this.operations.push({ type: "return", name: "quickSort", depth });
+    };
+    if (arr.length > 0) sort(0, arr.length - 1, 0);
+
+    this.operations.push({ type: "complete" });
+    return this.operations;
+  }
+
+  /**
+   * @returns {number} - The last index of the lower half
+   */
+  hoarePartition(arr, lo, hi) {
+    const middle = Math.floor((lo + hi) / 2);
+    const pivot = arr[middle];
+    this.operations.push({
+      type: "highlight",
+      indices: [middle],
+      color: 0xc586c0,
+    });
+
+    const compare = (index) =>
+      this.operations.push({
+        type: "compare",
+        indices: [index],
+        values: [arr[index], pivot],
+      });
+
+    let i = lo - 1;
+    let j = hi + 1;
+    for (;;) {
+      do {
+        i++;
+        compare(i);
+      } while (arr[i] < pivot);
+      do {
+        j--;
+        compare(j);
+      } while (arr[j] > pivot);
+      if (i >= j) return j;
+      this.swapOp(arr, i, j);
+    }
+  }
+
+  /**
+   * Heap sort: build a max-heap in place, then repeatedly swap its root to
+   * the end of the array and sift the new root down a heap one smaller
+   */
+  generateHeapSort(array) {
+    this.startSort(array);
+    const arr = [...array];
+
+    for (let i = Math.floor(arr.length / 2) - 1; i >= 0; i--) {
+      this.siftDown(arr, i, arr.length);
+    }
+    for (let end = arr.length - 1; end > 0; end--) {
+      this.swapOp(arr, 0, end);
+      this.operations.push({ type: "sorted", indices: [end] });
+      this.siftDown(arr, 0, end);
+    }
+    if (arr.length > 0) {
+      this.operations.push({ type: "sorted", indices: [0] });
+    }
+
+    this.operations.push({ type: "complete" });
+    return this.operations;
+  }
+
+  /**
+   * Restore the heap property below `index` in the heap arr[0..size - 1].
+   * Children of position i are at 2i + 1 and 2i + 2
+   */
+  siftDown(arr, index, size) {
+    this.operations.push({ type: "heapify", index, size });
+
+    let i = index;
+    for (;;) {
+      let largest = i;
+      [2 * i + 1, 2 * i + 2].forEach((child) => {
+        if (child >= size) return;
+        this.operations.push({
+          type: "compare",
+          indices: [child, largest],
+          values: [arr[child], arr[largest]],
+        });
+        if (arr[child] > arr[largest]) largest = child;
+      });
+      if (largest === i) return;
+      this.swapOp(arr, i, largest);
+      i = largest;
+    }
+  }
+
+  /**
+   * Shell sort: insertion sort over elements `gap` apart, halving the gap
+   * down to 1
+   */
+  generateShellSort(array) {
+    this.startSort(array);
+    const arr = [...array];
+
+    let gap = Math.floor(arr.length / 2);
+    for (; gap > 0; gap = Math.floor(gap / 2)) {
+      this.operations.push({ type: "gap", gap });
+
+      for (let i = gap; i < arr.length; i++) {
+        const key = arr[i];
+        let j = i;
+        this.operations.push({
+          type: "highlight",
+          indices: [i],
+          color: 0xffaa00,
+        });
+
+        while (j >= gap) {
+          this.operations.push({
+            type: "compare",
+            indices: [j - gap],
+            values: [arr[j - gap], key],
+          });
+          if (arr[j - gap] <= key) break;
+
+          this.operations.push({
+            type: "set",
+            index: j,
+            oldValue: arr[j],
+            value: arr[j - gap],
+            from: j - gap,
+          });
+          arr[j] = arr[j - gap];
+          j -= gap;
+        }
+
+        if (j !== i) {
+          this.operations.push({
+            type: "set",
+            index: j,
+            oldValue: arr[j],
+            value: key,
+          });
+          arr[j] = key;
+        }
+      }
+    }
+
+    this.operations.push({ type: "complete" });
+    return this.operations;
+  }
+
+  /**
+   * Counting sort: count each value, turn the counts into end positions,
+   * then place each element into an output array from the back, which keeps
+   * it stable, and copy the output back
+   * @param {number[]} array - Integers
+   */
+  generateCountingSort(array) {
+    if (!array.every(Number.isInteger)) {
+      throw new Error("Counting sort needs integers");
+    }
+    const min = Math.min(...array);
+    const max = Math.max(...array);
+    if (max - min >= MAX_COUNTING_RANGE) {
+      throw new Error(
+        `Counting sort needs values less than ${MAX_COUNTING_RANGE} apart`
+      );
+    }
+    this.startSort(array);
+    const arr = [...array];
+    if (arr.length === 0) {
+      this.operations.push({ type: "complete" });
+      return this.operations;
+    }
+
+    const count = new Array(max - min + 1).fill(0);
+    const output = new Array(arr.length).fill(undefined);
+    this.operations.push(
+      {
+        type: "createArray",
+        arrayId: "count",
+        label: "count",
+        array: [...count],
+      },
+      {
+        type: "createArray",
+        arrayId: "output",
+        label: "output",
+        array: [...output],
+      }
+    );
+    const setCount = (index, value) => {
+      this.operations.push({
+        type: "set",
+        arrayId: "count",
+        index,
+        oldValue: count[index],
+        value,
+      });
+      count[index] = value;
+    };
+
+    arr.forEach((value) => setCount(value - min, count[value - min] + 1));
+    for (let v = 1; v < count.length; v++) {
+      setCount(v, count[v] + count[v - 1]);
+    }
+
+    for (let i = arr.length - 1; i >= 0; i--) {
+      const slot = arr[i] - min;
+      setCount(slot, count[slot] - 1);
+      this.operations.push({
+        type: "set",
+        arrayId: "output",
+        index: count[slot],
+        oldValue: output[count[slot]],
+        value: arr[i],
+        from: i,
+        fromArrayId: ARRAY_ID,
+      });
+      output[count[slot]] = arr[i];
+    }
+
+    output.forEach((value, i) => {
+      this.operations.push({
+        type: "set",
+        index: i,
+        oldValue: arr[i],
+        value,
+        from: i,
+        fromArrayId: "output",
+      });
+      arr[i] = value;
+    });
+
+    this.operations.push({ type: "complete" });
+    return this.operations;
+  }
+
+  /**
+   * LSD radix sort: one pass per decimal digit, from the ones up, dropping
+   * each element into the bucket for its digit and collecting the buckets
+   * back in order
+   * @param {number[]} array - Non-negative integers
+   */
+  generateRadixSort(array) {
+    if (!array.every((value) => Number.isInteger(value) && value >= 0)) {
+      throw new Error("Radix sort needs non-negative integers");
+    }
+    this.startSort(array);
+    const arr = [...array];
+    const structureId = "buckets";
+    this.operations.push({
+      type: "createStructure",
+      structureId,
+      kind: "buckets",
+      label: "digit",
+      buckets: RADIX,
+      entries: [],
+    });
+
+    const max = Math.max(0, ...arr);
+    for (let place = 1; place <= max; place *= RADIX) {
+      this.operations.push({ type: "radixPass", place });
+
+      const buckets = Array.from({ length: RADIX }, () => []);
+      arr.forEach((value, index) => {
+        const bucket = Math.floor(value / place) % RADIX;
+        buckets[bucket].push(value);
+        this.operations.push({
+          type: "toBucket",
+          structureId,
+          bucket,
+          value,
+          index,
+        });
+      });
+
+      let index = 0;
+      buckets.forEach((values, bucket) => {
+        values.forEach((value) => {
+          this.operations.push(
+            { type: "fromBucket", structureId, bucket, value, index },
+            { type: "set", index, oldValue: arr[index], value }
+          );
+          arr[index++] = value;
+        });
+      });
+    }
+
+    this.operations.push({ type: "complete" });
+    return this.operations;
+  }
+
+  /**
+   * Start the operations of a sort
+   */
+  startSort(array) {
+    this.currentArray = [...array];
+    this.operations = [{ type: "init", array: [...array] }];
+    this.auxCount = 0;
+  }
+
+  swapOp(arr, i, j) {
+    this.operations.push({
+      type: "swap",
+      indices: [i, j],
+      values: [arr[i], arr[j]],
+    });
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+
+  /**
+   * Start the operations of a search. The variables named in `pointers` are
+   * drawn under the elements they index
+   * @param {boolean} sorted - Whether the search only works on sorted input
+   */
+  startSearch(array, pointers, sorted) {
+    if (sorted && !array.every((v, i) => i === 0 || array[i - 1] <= v)) {
+      throw new Error("Array must be sorted in ascending order to search it");
+    }
+    this.currentArray = [...array];
+    this.operations = [{ type: "init", array: [...array], pointers }];
+  }
+
+  searchOp(type, fields, vars) {
+    this.operations.push({ type, ...fields, vars: { ...vars } });
+  }
+
+  /**
+   * End a search with the element that was found, or with notFound
+   */
+  finishSearch(array, target, index) {
+    if (index === -1) {
+      this.operations.push({ type: "notFound", target });
+    } else {
+      this.operations.push({ type: "found", index, value: array[index] });
+    }
+    this.operations.push({ type: "complete" });
+    return this.operations;
+  }
+
+  /**
+   * Probe each element in turn. Everything before the current element has
+   * been ruled out
+   */
+  generateLinearSearch(array, target) {
+    this.startSearch(array, ["i"], false);
+
+    for (let i = 0; i < array.length; i++) {
+      this.searchOp("range", { range: [i, array.length - 1] }, { i });
+      this.searchOp("probe", { index: i, value: array[i], target }, { i });
+      if (array[i] === target) return this.finishSearch(array, target, i);
+    }
+    return this.finishSearch(array, target, -1);
+  }
+
+  /**
+   * Halve the range around the middle element until it holds the target
+   * @param {Array} array - Sorted in ascending order
+   */
+  generateBinarySearch(array, target) {
+    this.startSearch(array, ["low", "high", "mid"], true);
+    return this.finishSearch(
+      array,
+      target,
+      this.binarySearchRange(array, target, 0, array.length - 1)
+    );
+  }
+
+  /**
+   * Binary search between low and high, the part exponential search shares
+   * @returns {number} - Index of the target, or -1
+   */
+  binarySearchRange(array, target, low, high, vars = {}) {
+    while (low <= high) {
+      this.searchOp("range", { range: [low, high] }, { ...vars, low, high });
+      const mid = Math.floor((low + high) / 2);
+      this.searchOp(
+        "probe",
+        { index: mid, value: array[mid], target },
+        { ...vars, low, high, mid }
+      );
+
+      if (array[mid] === target) return mid;
+      if (array[mid] < target) {
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Like binary search, but probe where the target would be if the values
+   * were spread evenly between the ends of the range
+   * @param {number[]} array - Sorted in ascending order
+   */
+  generateInterpolationSearch(array, target) {
+    if (
+      typeof target !== "number" ||
+      !array.every((value) => typeof value === "number")
+    ) {
+      throw new Error("Interpolation search needs numbers");
+    }
+    this.startSearch(array, ["low", "high", "pos"], true);
+
+    let low = 0;
+    let high = array.length - 1;
+    while (low <= high && target >= array[low] && target <= array[high]) {
+      this.searchOp("range", { range: [low, high] }, { low, high });
+      const pos =
+        array[high] === array[low]
+          ? low
+          : low +
+            Math.floor(
+              ((target - array[low]) * (high - low)) /
+                (array[high] - array[low])
+            );
+      this.searchOp(
+        "probe",
+        { index: pos, value: array[pos], target },
+        { low, high, pos }
+      );
+
+      if (array[pos] === target) return this.finishSearch(array, target, pos);
+      if (array[pos] < target) {
+        low = pos + 1;
+      } else {
+        high = pos - 1;
+      }
+    }
+    return this.finishSearch(array, target, -1);
+  }
+
+  /**
+   * Double a bound until it passes the target, then binary search between
+   * it and the previous bound
+   * @param {Array} array - Sorted in ascending order
+   */
+  generateExponentialSearch(array, target) {
+    this.startSearch(array, ["bound", "low", "high", "mid"], true);
+    if (array.length === 0) return this.finishSearch(array, target, -1);
+
+    this.searchOp("probe", { index: 0, value: array[0], target }, { bound: 0 });
+    if (array[0] === target) return this.finishSearch(array, target, 0);
+
+    let bound = 1;
+    while (bound < array.length) {
+      // Everything before the previous bound is smaller than the target
+      this.searchOp(
+        "range",
+        { range: [Math.floor(bound / 2), array.length - 1] },
+        { bound }
+      );
+      this.searchOp(
+        "probe",
+        { index: bound, value: array[bound], target },
+        { bound }
+      );
+      if (array[bound] > target) break;
+      bound *= 2;
+    }
+
+    return this.finishSearch(
+      array,
+      target,
+      this.binarySearchRange(
+        array,
+        target,
+        Math.floor(bound / 2),
+        Math.min(bound, array.length - 1),
+        { bound }
+      )
+    );
+  }
+
+  /**
+   * Start the operations of a graph algorithm
+   * @returns {{graph: object, adjacency: Map, source: string}}
+   */
+  startGraph(input, start) {
+    const graph = normalizeGraph(input);
+    if (!graph) {
+      throw new Error("Graph must be an adjacency list or adjacency matrix");
+    }
+
+    const source =
+      start === undefined || start === "" ? graph.nodes[0] : String(start);
+    if (!graph.nodes.includes(source)) {
+      throw new Error(`Start node "${start}" is not in the graph`);
+    }
+
+    this.currentArray = [];
+    this.operations = [
+      { type: "init", array: [] },
+      { type: "createGraph", graphId: GRAPH_ID, ...graph },
+    ];
+    return { graph, adjacency: adjacencyOf(graph), source };
+  }
+
+  graphOp(type, fields) {
+    this.operations.push({ type, graphId: GRAPH_ID, ...fields });
+  }
+
+  /**
+   * Breadth-first search, labelling each node with its distance in edges
+   * from the start node
+   * @param {object|Array} graph - Adjacency list or matrix
+   * @param {string|number} [start] - Start node, defaults to the first one
+   */
+  generateBFS(graph, start) {
+    const { adjacency, source } = this.startGraph(graph, start);
+    const distance = new Map([[source, 0]]);
+    const queue = [source];
+    const order = [];
+
+    this.graphOp("setDistance", { node: source, distance: 0 });
+    this.graphOp("enqueue", { node: source });
+
+    while (queue.length > 0) {
+      const node = queue.shift();
+      this.graphOp("dequeue", { node });
+      this.graphOp("visitNode", { node });
+      order.push(node);
+
+      for (const { to } of adjacency.get(node)) {
+        const improved = !distance.has(to);
+        this.graphOp("relaxEdge", { from: node, to, improved });
+        if (!improved) continue;
+
+        distance.set(to, distance.get(node) + 1);
+        this.graphOp("setDistance", { node: to, distance: distance.get(to) });
+        this.graphOp("enqueue", { node: to });
+        queue.push(to);
+      }
+    }
+
+    this.graphOp("markPath", { nodes: order });
+    this.operations.push({ type: "complete" });
+    return this.operations;
+  }
+
+  /**
+   * Depth-first search with an explicit stack, exploring neighbors in the
+   * order they are listed
+   * @param {object|Array} graph - Adjacency list or matrix
+   * @param {string|number} [start] - Start node, defaults to the first one
+   */
+  generateDFS(graph, start) {
+    const { adjacency, source } = this.startGraph(graph, start);
+    const visited = new Set();
+    const stack = [source];
+    const order = [];
+
+    this.graphOp("enqueue", { node: source });
+
+    while (stack.length > 0) {
+      const node = stack.pop();
+      this.graphOp("dequeue", { node });
+      if (visited.has(node)) continue;
+
+      visited.add(node);
+      this.graphOp("visitNode", { node });
+      order.push(node);
+
+      // Pushed in reverse so the first neighbor is popped first
+      for (const { to } of [...adjacency.get(node)].reverse()) {
+        const improved = !visited.has(to);
+        this.graphOp("relaxEdge", { from: node, to, improved });
+        if (!improved) continue;
+
+        this.graphOp("enqueue", { node: to });
+        stack.push(to);
+      }
+    }
+
+    this.graphOp("markPath", { nodes: order });
+    this.operations.push({ type: "complete" });
+    return this.operations;
+  }
+
+  /**
+   * Dijkstra's shortest paths, marking the path to the target at the end
+   * @param {object|Array} graph - Adjacency list or matrix with
+   *   non-negative weights; unweighted edges weigh 1
+   * @param {string|number} [start] - Start node, defaults to the first one
+   * @param {string|number} [target] - Node whose shortest path is marked,
+   *   defaults to the last node settled
+   */
+  generateDijkstra(graph, start, target) {
+    const { graph: normalized, adjacency, source } = this.startGraph(
+      graph,
+      start
+    );
+    if (normalized.edges.some((edge) => edge.weight < 0)) {
+      throw new Error("Dijkstra's algorithm needs non-negative edge weights");
+    }
+
+    const distance = new Map();
+    normalized.nodes.forEach((node) => {
+      distance.set(node, node === source ? 0 : Infinity);
+      this.graphOp("setDistance", { node, distance: distance.get(node) });
+    });
+    this.graphOp("enqueue", { node: source });
+
+    const frontier = new Set([source]);
+    const settled = new Set();
+    const previous = new Map();
+    let last = source;
+
+    while (frontier.size > 0) {
+      // The closest node in the frontier is settled next
+      const node = [...frontier].reduce((best, candidate) =>
+        distance.get(candidate) < distance.get(best) ? candidate : best
+      );
+      frontier.delete(node);
+      settled.add(node);
+      last = node;
+      this.graphOp("dequeue", { node });
+      this.graphOp("visitNode", { node });
+
+      for (const { to, weight } of adjacency.get(node)) {
+        if (settled.has(to)) continue;
+
+        const candidate = distance.get(node) + weight;
+        const improved = candidate < distance.get(to);
+        this.graphOp("relaxEdge", { from: node, to, weight, improved });
+        if (!improved) continue;
+
+        distance.set(to, candidate);
+        previous.set(to, node);
+        this.graphOp("setDistance", { node: to, distance: candidate });
+        if (!frontier.has(to)) {
+          frontier.add(to);
+          this.graphOp("enqueue", { node: to });
+        }
+      }
+    }
+
+    const goal = target === undefined ? last : String(target);
+    if (distance.get(goal) < Infinity) {
+      const path = [goal];
+      while (previous.has(path[0])) path.unshift(previous.get(path[0]));
+      this.graphOp("markPath", { nodes: path });
+    }
+
+    this.operations.push({ type: "complete" });
+    return this.operations;
+  }
+
+  /**
+   * Kahn's topological sort: nodes enter the queue once every edge into
+   * them has been removed
+   * @param {object|Array} graph - Directed adjacency list or matrix
+   */
+  generateTopologicalSort(graph) {
+    const { graph: normalized, adjacency } = this.startGraph(graph);
+    if (!normalized.directed) {
+      throw new Error("Topological sort needs a directed graph");
+    }
+
+    const inDegree = new Map(normalized.nodes.map((node) => [node, 0]));
+    normalized.edges.forEach(({ to }) => inDegree.set(to, inDegree.get(to) + 1));
+
+    const queue = normalized.nodes.filter((node) => inDegree.get(node) === 0);
+    queue.forEach((node) => this.graphOp("enqueue", { node }));
+    const order = [];
+
+    while (queue.length > 0) {
+      const node = queue.shift();
+      this.graphOp("dequeue", { node });
+      this.graphOp("visitNode", { node });
+      order.push(node);
+
+      for (const { to } of adjacency.get(node)) {
+        inDegree.set(to, inDegree.get(to) - 1);
+        const improved = inDegree.get(to) === 0;
+        this.graphOp("relaxEdge", { from: node, to, improved });
+        if (!improved) continue;
+
+        this.graphOp("enqueue", { node: to });
+        queue.push(to);
+      }
+    }
+
+    if (order.length < normalized.nodes.length) {
+      throw new Error("Graph has a cycle, so it has no topological order");
+    }
+
+    this.graphOp("markPath", { nodes: order });
+    this.operations.push({ type: "complete" });
+    return this.operations;
+  }
+}
+
+function isGridLiteral(node) {
+  return (
+    node.elements.length > 0 &&
+    node.elements.every((el) => t.isArrayExpression(el))
+  );
+}
+
+/**
+ * The value of an element literal: numbers (including negative ones such as
+ * -5), strings, booleans, null and objects made of those
+ * @returns {*} - undefined if the value is only known at runtime
+ */
+function literalValue(node) {
+  if (!node) return undefined;
+  if (
+    t.isNumericLiteral(node) ||
+    t.isStringLiteral(node) ||
+    t.isBooleanLiteral(node)
+  ) {
+    return node.value;
+  }
+  if (t.isNullLiteral(node)) return null;
+  if (t.isTemplateLiteral(node) && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  if (
+    t.isUnaryExpression(node) &&
+    ["-", "+"].includes(node.operator) &&
+    t.isNumericLiteral(node.argument)
+  ) {
+    return node.operator === "-" ? -node.argument.value : node.argument.value;
+  }
+  if (t.isObjectExpression(node)) {
+    const record = {};
+    for (const prop of node.properties) {
+      const key =
+        t.isObjectProperty(prop) && !prop.computed
+          ? propertyKey(prop.key)
+          : null;
+      const value = key === null ? undefined : literalValue(prop.value);
+      if (value === undefined) return undefined;
+      record[key] = value;
+    }
+    return record;
+  }
+  return undefined;
+}
+
+function propertyKey(key) {
+  if (t.isIdentifier(key)) return key.name;
+  if (t.isStringLiteral(key) || t.isNumericLiteral(key)) return String(key.value);
+  return null;
+}
+
+/**
+ * Names of the neighbors in one entry of an adjacency list literal:
+ * ["B", "C"], [["B", 4]], [{ node: "B", weight: 4 }] or { B: 4 }
+ * @returns {string[]|null} - null if the entry isn't a neighbor list
+ */
+function neighborNames(node) {
+  const nameOf = (el) => {
+    if (t.isStringLiteral(el) || t.isNumericLiteral(el)) return String(el.value);
+    if (t.isArrayExpression(el) && el.elements.length > 0) {
+      return nameOf(el.elements[0]);
+    }
+    if (t.isObjectExpression(el)) {
+      const prop = el.properties.find(
+        (p) =>
+          t.isObjectProperty(p) &&
+          ["node", "to"].includes(propertyKey(p.key))
+      );
+      return prop ? nameOf(prop.value) : null;
+    }
+    return null;
+  };
+
+  if (t.isArrayExpression(node)) {
+    const names = node.elements.map(nameOf);
+    return names.includes(null) ? null : names;
+  }
+  if (t.isObjectExpression(node)) {
+    const names = node.properties.map((prop) =>
+      t.isObjectProperty(prop) && !prop.computed ? propertyKey(prop.key) : null
+    );
+    return names.includes(null) ? null : names;
+  }
+  return null;
 }
 
 module.exports = CodeParser;
@@ -0,0 +1,147 @@
+/**
+ * Exports that play without the extension: a standalone HTML page, which is
+ * the webview's player with a trace built in, and an animated SVG of the 2D
+ * bar view for slides. Both are driven by the webview's own handling of the
+ * operations: the page runs it in the browser, and the SVG is drawn from
+ * frames the webview records as it replays a trace
+ */
+
+const SVG_WIDTH = 640;
+const SVG_HEIGHT = 320;
+const SVG_MARGIN = 10;
+const BAR_COLOR = "#4ec9b0";
+
+// Colors a bar may be filled with: hex, named, rgb() and hsl(). Anything
+// else could break out of the attribute, or the ;-separated animate values
+const BAR_FILL = /^(#[0-9a-f]{3,8}|[a-z]+|(rgb|hsl)a?\([\d\s.,%/]+\))$/i;
+
+// The parts of the webview that need the extension
+const STANDALONE_STYLE = `<style>
+            #open-browser-btn, .notice, #code-input-section {
+                display: none;
+            }
+        </style>`;
+
+/**
+ * A script element running the given source, which may not close it early
+ * @param {string} source
+ * @returns {string}
+ */
+function inlineScript(source) {
+  return `<script>\n${source.replace(/<\/script/gi, "<\\/script")}\n</script>`;
+}
+
+/**
+ * Script standing in for the VS Code API in a standalone page: once the
+ * player is ready, it is handed the trace's operations, just as the
+ * extension would
+ * @param {object} trace - As made by createTrace
+ * @returns {string}
+ */
+function playerShim(trace) {
+  // Nothing in the JSON may end the script it's embedded in
+  const json = JSON.stringify(trace).replace(/</g, "\\u003c");
+  return `const TRACE = ${json};
+function acquireVsCodeApi() {
+    return {
+        postMessage(message) {
+            if (message.type === 'ready') {
+                window.postMessage({ type: 'operations', operations: TRACE.operations }, '*');
+            }
+        },
+    };
+}`;
+}
+
+/**
+ * An SVG of the main array's bars that steps through the frames on a loop
+ * @param {Array<{heights: Array<number|null>, dimmed: boolean[],
+ *   marks: Array<{indices: number[], color: string}>}>} frames - The bars
+ *   before any operation and after each one, as recorded by the webview:
+ *   bar heights (null for an empty slot), whether each is outside the
+ *   active range, and the bars lit in a color
+ * @param {object} [options]
+ * @param {number} [options.stepDuration] - Seconds each frame is shown
+ * @param {string} [options.title]
+ * @returns {string}
+ */
+function animatedBarSvg(frames, options = {}) {
+  if (frames.length === 0) {
+    throw new Error("An animated SVG needs at least one frame");
+  }
+  const stepDuration = options.stepDuration || 0.5;
+  const slots = Math.max(1, ...frames.map((frame) => frame.heights.length));
+  const heights = frames.flatMap((frame) =>
+    frame.heights.filter((height) => height !== null)
+  );
+  const maxValue = Math.max(0, ...heights);
+  const minValue = Math.min(0, ...heights);
+  const span = maxValue - minValue;
+  const scale = span > 0 ? (SVG_HEIGHT - 2 * SVG_MARGIN) / span : 0;
+  const baseline = SVG_MARGIN + maxValue * scale;
+  const barWidth = (SVG_WIDTH - 2 * SVG_MARGIN) / slots - 2;
+
+  // Attribute values of one bar in each frame; bars past the end of the
+  // array, or in empty slots, have no height
+  const barFrames = (index) =>
+    frames.map((frame) => {
+      const height =
+        index < frame.heights.length ? frame.heights[index] : null;
+      const size = Math.abs(height || 0) * scale;
+      const mark = frame.marks
+        .slice()
+        .reverse()
+        .find((candidate) => candidate.indices.includes(index));
+      return {
+        y: (height < 0 ? baseline : baseline - size).toFixed(1),
+        height: size.toFixed(1),
+        fill: mark && BAR_FILL.test(mark.color) ? mark.color : BAR_COLOR,
+        opacity: frame.dimmed[index] ? "0.25" : "1",
+      };
+    });
+
+  const duration = (frames.length * stepDuration).toFixed(2);
+  const keyTimes = frames
+    .map((frame, k) => +(k / frames.length).toFixed(4))
+    .join(";");
+  // Attributes that change are animated from their first value
+  const animate = (name, values) =>
+    values.every((value) => value === values[0])
+      ? ""
+      : `<animate attributeName="${name}" values="${values.join(";")}" keyTimes="${keyTimes}" dur="${duration}s" calcMode="discrete" repeatCount="indefinite"/>`;
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${SVG_WIDTH}" height="${SVG_HEIGHT}" viewBox="0 0 ${SVG_WIDTH} ${SVG_HEIGHT}">`,
+  ];
+  if (options.title) {
+    parts.push(
+      `<title>${String(options.title).replace(/&/g, "&amp;").replace(/</g, "&lt;")}</title>`
+    );
+  }
+  parts.push(
+    `<rect width="${SVG_WIDTH}" height="${SVG_HEIGHT}" fill="#1e1e1e"/>`
+  );
+  const attributes = ["y", "height", "fill", "opacity"];
+  for (let index = 0; index < slots; index++) {
+    const values = barFrames(index);
+    const x = (SVG_MARGIN + index * (barWidth + 2)).toFixed(1);
+    const first = attributes
+      .map((name) => ` ${name}="${values[0][name]}"`)
+      .join("");
+    const animations = attributes
+      .map((name) => animate(name, values.map((value) => value[name])))
+      .join("");
+    parts.push(
+      `<rect x="${x}" width="${barWidth.toFixed(1)}"${first}>${animations}</rect>`
+    );
+  }
+  parts.push("</svg>");
+  return parts.join("\n");
+}
+
+module.exports = {
+  STANDALONE_STYLE,
+  inlineScript,
+  playerShim,
+  animatedBarSvg,
+};
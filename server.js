@@ -2,9 +2,18 @@ const express = require("express");
 const http = require("http");
 const { Server } = require("socket.io");
 const path = require("path");
-
-class VisualizationServer {
+const { EventEmitter } = require("events");
+const { validateOperation, validateOperations } = require("./web/schema");
+
+/**
+ * Serves the 3D view and streams operations to it. Emits "step" with the
+ * number of operations a browser has played whenever its playback moves.
+ * Operations that don't follow the schema in web/schema.js are refused
+ * with an error before any are sent
+ */
+class VisualizationServer extends EventEmitter {
   constructor() {
+    super();
     this.app = express();
     this.server = http.createServer(this.app);
     this.io = new Server(this.server, {
@@ -17,6 +26,7 @@ class VisualizationServer {
     this.isRunning = false;
     this.connectedSockets = [];
     this.pendingOperations = null; // Store operations to send when client connects
+    this.pendingRace = null;
   }
 
   start() {
@@ -42,7 +52,9 @@ class VisualizationServer {
           console.log("Browser visualizer is ready:", socket.id);
 
           // If we have pending operations, send them
-          if (this.pendingOperations) {
+          if (this.pendingRace) {
+            socket.emit("race", this.pendingRace);
+          } else if (this.pendingOperations) {
             console.log("Sending pending operations to newly connected client");
             socket.emit("operations", this.pendingOperations);
           } else {
@@ -56,6 +68,15 @@ class VisualizationServer {
           // Handle control commands from browser
         });
 
+        socket.on("step", (step) => {
+          this.emit("step", step);
+        });
+
+        // Input generated in the browser: { shape, size, seed }
+        socket.on("input", (input) => {
+          this.emit("input", input);
+        });
+
         socket.on("disconnect", () => {
           console.log("Browser visualizer disconnected:", socket.id);
           this.connectedSockets = this.connectedSockets.filter(
@@ -129,6 +150,14 @@ class VisualizationServer {
   }
 
   sendOperation(operation) {
+    validateOperation(
+      operation,
+      this.pendingOperations ? this.pendingOperations.length : 0
+    );
+    if (this.pendingOperations) {
+      this.pendingOperations.push(operation);
+    }
+
     if (this.connectedSockets.length > 0) {
       this.connectedSockets.forEach((socket) => {
         socket.emit("operation", operation);
@@ -139,12 +168,15 @@ class VisualizationServer {
   }
 
   sendOperations(operations) {
+    validateOperations(operations);
     console.log(
       `Sending ${operations.length} operations to ${this.connectedSockets.length} client(s)`
     );
 
-    // Store operations for newly connecting clients
-    this.pendingOperations = operations;
+    // Store operations for newly connecting clients. A copy, because
+    // sendOperation() appends to it
+    this.pendingOperations = [...operations];
+    this.pendingRace = null;
 
     if (this.connectedSockets.length > 0) {
       this.connectedSockets.forEach((socket) => {
@@ -157,39 +189,35 @@ class VisualizationServer {
     }
   }
 
-  // Generate bubble sort operations for testing
-  generateBubbleSortOperations(arr) {
-    const operations = [];
-    const testArray = [...arr];
-    operations.push({ type: "init", array: [...arr] });
-
-    for (let i = 0; i < testArray.length; i++) {
-      for (let j = 0; j < testArray.length - i - 1; j++) {
-        operations.push({
-          type: "compare",
-          indices: [j, j + 1],
-          values: [testArray[j], testArray[j + 1]],
-        });
-
-        if (testArray[j] > testArray[j + 1]) {
-          operations.push({
-            type: "swap",
-            indices: [j, j + 1],
-            values: [testArray[j], testArray[j + 1]],
-          });
-          [testArray[j], testArray[j + 1]] = [testArray[j + 1], testArray[j]];
-        }
+  /**
+   * Send several traces to be played side by side in lanes
+   * @param {{array: Array, sync: "step"|"cost", lanes: Array<{id: string,
+   *   operations: Array}>}} race - Lanes as built by laneOperations in
+   *   web/race.js, all starting from `array`
+   */
+  sendRace(race) {
+    race.lanes.forEach((lane) => {
+      try {
+        validateOperations(lane.operations);
+      } catch (error) {
+        throw new Error(`Lane ${lane.id}: ${error.message}`);
       }
+    });
+    console.log(
+      `Sending a race of ${race.lanes.length} lanes to ${this.connectedSockets.length} client(s)`
+    );
+    this.pendingRace = race;
+    this.pendingOperations = null;
+    this.connectedSockets.forEach((socket) => socket.emit("race", race));
+  }
 
-      // Mark the last element as sorted after each pass
-      operations.push({
-        type: "sorted",
-        indices: [testArray.length - i - 1],
-      });
-    }
-
-    operations.push({ type: "complete" });
-    return operations;
+  /**
+   * Move playback in connected browsers so `step` operations have run
+   */
+  sendSeek(step) {
+    this.connectedSockets.forEach((socket) => {
+      socket.emit("seek", step);
+    });
   }
 }
 
@@ -0,0 +1,68 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AlgorithmRegistry, loadAlgorithmModule } = require('../algorithms');
+
+const gnomeSort = {
+	id: 'gnomeSort',
+	name: 'Gnome Sort',
+	category: 'course',
+	input: { type: 'array' },
+	generate: ({ array }) => [{ type: 'init', array }, { type: 'complete' }],
+};
+
+suite('AlgorithmRegistry', () => {
+	test('lists the built-in algorithms by category with their metadata', () => {
+		const registry = new AlgorithmRegistry();
+		registry.register(gnomeSort);
+		const categories = registry.list().map((algorithm) => algorithm.category);
+
+		assert.deepStrictEqual([...new Set(categories)], ['sorting', 'searching', 'graph', 'course']);
+		const binary = registry.get('binarySearch');
+		assert.strictEqual(binary.complexity.time, 'O(log n)');
+		assert.ok(binary.pseudocode.length > 0);
+		assert.deepStrictEqual(binary.input, { type: 'array', sorted: true, target: true });
+	});
+
+	test('checks the input before generating operations', () => {
+		const registry = new AlgorithmRegistry();
+
+		assert.strictEqual(registry.run('bubbleSort', { array: [2, 1] })[0].type, 'init');
+		assert.throws(() => registry.run('binarySearch', { array: [3, 1], target: 1 }), /sorted/);
+		assert.throws(() => registry.run('interpolationSearch', { array: ['a'], target: 'a' }), /numbers/);
+		assert.throws(() => registry.run('bfs', { graph: null }), /needs a graph/);
+		assert.throws(() => registry.run('bogoSort', { array: [1] }), /Unknown algorithm/);
+	});
+
+	test('brings back a replaced algorithm when its replacement is removed', () => {
+		const registry = new AlgorithmRegistry();
+		const unregister = registry.register({ ...gnomeSort, id: 'bubbleSort' });
+
+		assert.strictEqual(registry.get('bubbleSort').name, 'Gnome Sort');
+		unregister();
+		assert.strictEqual(registry.get('bubbleSort').name, 'Bubble Sort');
+		assert.throws(() => registry.register({ id: 'broken' }), /generate function/);
+	});
+
+	test('loads the algorithms a workspace module exports', () => {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'visual-debug-'));
+		const file = path.join(dir, 'course.js');
+		fs.writeFileSync(
+			file,
+			"module.exports = [{ id: 'a', generate: () => [] }, { id: 'b', generate: () => [] }];"
+		);
+
+		try {
+			const loaded = loadAlgorithmModule(file);
+			assert.deepStrictEqual(loaded.map((algorithm) => [algorithm.id, algorithm.source]), [['a', file], ['b', file]]);
+
+			const registry = new AlgorithmRegistry([]);
+			loaded.forEach((algorithm) => registry.register(algorithm));
+			assert.strictEqual(registry.get('a').category, 'other');
+			assert.deepStrictEqual(registry.run('b', { array: [1] }), []);
+		} finally {
+			fs.rmSync(dir, { recursive: true, force: true });
+		}
+	});
+});
@@ -0,0 +1,52 @@
+const assert = require('assert');
+const CodeParser = require('../parser');
+const { AlgorithmRegistry } = require('../algorithms');
+const { countOperations } = require('../web/counters');
+const { measureComplexity, complexityChart } = require('../complexity');
+
+suite('Operation counters', () => {
+	test('count comparisons, swaps, writes and array accesses', () => {
+		const counts = countOperations([
+			{ type: 'init', array: [3, 1, 2] },
+			{ type: 'compare', indices: [0, 1], values: [3, 1] },
+			{ type: 'swap', indices: [0, 1], values: [3, 1] },
+			{ type: 'probe', index: 2, value: 2, target: 2 },
+			{ type: 'set', index: 0, value: 1, from: 1 },
+			{ type: 'set', index: 1, value: 5 },
+			{ type: 'complete' },
+		]);
+
+		assert.deepStrictEqual(counts, { comparisons: 2, swaps: 1, writes: 4, accesses: 10 });
+	});
+});
+
+suite('Complexity runs', () => {
+	test('count a generator over growing sizes against the reference curves', () => {
+		const registry = new AlgorithmRegistry();
+		const result = measureComplexity((array) => registry.run('bubbleSort', { array }), {
+			sizes: [16, 4, 8],
+			seed: 3,
+		});
+
+		assert.deepStrictEqual(result.points.map(({ n }) => n), [4, 8, 16]);
+		// Bubble sort compares every pair
+		assert.deepStrictEqual(result.points.map(({ counts }) => counts.comparisons), [6, 28, 120]);
+		// The curves meet the largest count at the largest n
+		const top = result.points[2].counts.accesses;
+		assert.strictEqual(result.references.nSquared[2], top);
+		assert.strictEqual(result.references.n[0], top / 4);
+		assert.ok(complexityChart(result).startsWith('<svg'));
+	});
+
+	test('run user code on arrays put in place of its literal', () => {
+		const parser = new CodeParser();
+		const code = 'let arr = [3, 1, 2];\narr.sort((a, b) => a - b);';
+		assert.strictEqual(parser.replaceArray(code, [5, 4]), 'let arr = [5,4];\narr.sort((a, b) => a - b);');
+
+		const result = measureComplexity((array) => parser.parse(parser.replaceArray(code, array)), {
+			sizes: [2, 4],
+		});
+		assert.ok(result.points[1].counts.comparisons > result.points[0].counts.comparisons);
+		assert.throws(() => measureComplexity(() => [], { sizes: [4] }), /at least two/);
+	});
+});
@@ -0,0 +1,87 @@
+const assert = require('assert');
+const DebugArrayTracker = require('../debugTracker');
+const { diffSnapshots } = DebugArrayTracker;
+
+// Answers DAP requests from a list of arrays, one per stop
+function fakeSession(snapshots, locals = {}) {
+	let stop = 0;
+	return {
+		next() {
+			stop++;
+		},
+		async customRequest(command, args) {
+			const array = snapshots[stop];
+			switch (command) {
+				case 'stackTrace':
+					return {
+						stackFrames: [{ id: 1, line: 3 + stop, column: 5, source: { path: '/sort.js' } }],
+					};
+				case 'evaluate':
+					if (args.expression !== 'arr') throw new Error('arr2 is not defined');
+					return { result: `Array(${array.length})`, variablesReference: 10 };
+				case 'scopes':
+					return { scopes: [{ name: 'Local', presentationHint: 'locals', variablesReference: 20 }] };
+				case 'variables':
+					if (args.variablesReference === 20) {
+						return {
+							variables: Object.entries(locals).map(([name, value]) => ({ name, value: String(value) })),
+						};
+					}
+					return { variables: array.map((value, index) => ({ name: String(index), value: String(value) })) };
+			}
+			throw new Error(`Unexpected request ${command}`);
+		},
+	};
+}
+
+suite('DebugArrayTracker', () => {
+	test('diffs equal-length snapshots into a swap or sets', () => {
+		assert.deepStrictEqual(diffSnapshots([3, 1, 2], [1, 3, 2], 'arr'), [
+			{ type: 'swap', arrayId: 'arr', indices: [0, 1], values: [3, 1] },
+		]);
+		assert.deepStrictEqual(
+			diffSnapshots([3, 1, 2], [3, 3, 2], 'arr').map((op) => [op.type, op.index, op.value]),
+			[['set', 1, 3]]
+		);
+	});
+
+	test('diffs a length change into removes and inserts', () => {
+		assert.deepStrictEqual(
+			diffSnapshots([1, 2, 3, 4], [1, 9, 4], 'arr').map((op) => [op.type, op.index, op.value]),
+			[['remove', 1, 2], ['remove', 1, 3], ['insert', 1, 9]]
+		);
+		assert.deepStrictEqual(
+			diffSnapshots([1, 2], [1, 2, 5], 'arr').map((op) => [op.type, op.index, op.value]),
+			[['insert', 2, 5]]
+		);
+	});
+
+	test('reports an init at the first stop and the changes at later ones', async () => {
+		const session = fakeSession([[2, 1], [1, 2]], { i: 0, name: "'x'" });
+		const received = [];
+		const tracker = new DebugArrayTracker(session, () => 'arr', (operations, reset) =>
+			received.push({ operations, reset })
+		);
+
+		await tracker.capture(1);
+		session.next();
+		await tracker.capture(1);
+
+		assert.deepStrictEqual(received.map((batch) => batch.reset), [true, false]);
+		assert.deepStrictEqual(received[0].operations[0].array, [2, 1]);
+		const [swap] = received[1].operations;
+		assert.deepStrictEqual(swap.indices, [0, 1]);
+		assert.deepStrictEqual(swap.loc, { file: '/sort.js', line: 4, column: 4 });
+		assert.deepStrictEqual(swap.vars, { i: 0 });
+	});
+
+	test('skips stops where the expression cannot be evaluated', async () => {
+		const received = [];
+		const tracker = new DebugArrayTracker(fakeSession([[1]]), () => 'arr2', (operations) =>
+			received.push(operations)
+		);
+
+		await tracker.capture(1);
+		assert.strictEqual(received.length, 0);
+	});
+});
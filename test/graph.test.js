@@ -0,0 +1,30 @@
+const assert = require('assert');
+const { normalizeGraph, adjacencyOf } = require('../graph');
+
+suite('normalizeGraph', () => {
+	test('reads weighted adjacency lists and keeps undirected edges once', () => {
+		assert.deepStrictEqual(normalizeGraph({ A: { B: 2 }, B: [['A', 2], ['C', 1]], C: [{ node: 'B', weight: 1 }] }), {
+			nodes: ['A', 'B', 'C'],
+			edges: [{ from: 'A', to: 'B', weight: 2 }, { from: 'B', to: 'C', weight: 1 }],
+			directed: false,
+		});
+	});
+
+	test('tells adjacency matrices from lists of neighbor indices', () => {
+		assert.deepStrictEqual(normalizeGraph([[0, 3], [0, 0]]).edges, [{ from: '0', to: '1', weight: 3 }]);
+		assert.deepStrictEqual(normalizeGraph([[1], []]), {
+			nodes: ['0', '1'],
+			edges: [{ from: '0', to: '1' }],
+			directed: true,
+		});
+	});
+
+	test('adds nodes that only appear as neighbors and follows undirected edges both ways', () => {
+		const graph = normalizeGraph({ A: ['B'] });
+		assert.deepStrictEqual(graph.nodes, ['A', 'B']);
+		assert.deepStrictEqual(normalizeGraph([1, 2]), null);
+
+		const undirected = normalizeGraph({ A: ['B'], B: ['A'] });
+		assert.deepStrictEqual([...adjacencyOf(undirected).get('B')], [{ to: 'A', weight: 1 }]);
+	});
+});
@@ -0,0 +1,42 @@
+const assert = require('assert');
+const { INPUT_SHAPES, generateInput } = require('../web/inputs');
+
+const ascending = (array) => array.every((value, i) => i === 0 || array[i - 1] <= value);
+
+suite('Input generators', () => {
+	test('give the same array for the same shape, size and seed', () => {
+		INPUT_SHAPES.forEach(({ id }) => {
+			const array = generateInput(id, 30, 1234);
+			assert.strictEqual(array.length, 30);
+			assert.deepStrictEqual(generateInput(id, 30, 1234), array);
+			assert.ok(array.every((value) => Number.isInteger(value) && value >= 1 && value <= 99));
+		});
+		assert.notDeepStrictEqual(generateInput('random', 30, 1), generateInput('random', 30, 2));
+	});
+
+	test('build each shape from the same values', () => {
+		const values = generateInput('random', 25, 7);
+		const sorted = generateInput('sorted', 25, 7);
+
+		assert.deepStrictEqual(sorted, [...values].sort((a, b) => a - b));
+		assert.deepStrictEqual(generateInput('reversed', 25, 7), [...sorted].reverse());
+		assert.ok(!ascending(generateInput('nearlySorted', 25, 7)));
+		assert.ok(new Set(generateInput('fewUnique', 25, 7)).size <= 4);
+
+		const pipe = generateInput('organPipe', 25, 7);
+		const peak = pipe.indexOf(sorted[24]);
+		assert.ok(ascending(pipe.slice(0, peak + 1)));
+		assert.ok(ascending(pipe.slice(peak).reverse()));
+
+		// 5 teeth of 5
+		const saw = generateInput('sawtooth', 25, 7);
+		[0, 5, 10, 15, 20].forEach((start) => assert.ok(ascending(saw.slice(start, start + 5))));
+	});
+
+	test('reject sizes, seeds and shapes they cannot generate', () => {
+		assert.throws(() => generateInput('random', 0, 1), /Size/);
+		assert.throws(() => generateInput('random', 201, 1), /Size/);
+		assert.throws(() => generateInput('random', 10, -1), /Seed/);
+		assert.throws(() => generateInput('zigzag', 10, 1), /Unknown input shape/);
+	});
+});
@@ -0,0 +1,447 @@
+const assert = require('assert');
+const CodeParser = require('../parser');
+
+suite('CodeParser', () => {
+	test('pattern mode traces insertion sort written with a while loop', () => {
+		const operations = new CodeParser({ mode: 'pattern' }).parse(`
+			let arr = [3, 1, 2];
+			for (let i = 1; i < arr.length; i++) {
+				let j = i;
+				while (j > 0 && arr[j - 1] > arr[j]) {
+					[arr[j - 1], arr[j]] = [arr[j], arr[j - 1]];
+					j--;
+				}
+			}
+		`);
+
+		assert.deepStrictEqual(
+			operations.filter((op) => op.type === 'swap').map((op) => op.indices),
+			[[0, 1], [1, 2]]
+		);
+		assert.strictEqual(operations.filter((op) => op.type === 'init').length, 1);
+	});
+
+	test('pattern mode still walks textbook bubble sort without running it', () => {
+		const operations = new CodeParser({ mode: 'pattern' }).parse(`
+			let arr = [2, 1];
+			for (let i = 0; i < arr.length; i++) {
+				for (let j = 0; j < arr.length - i - 1; j++) {
+					if (arr[j] > arr[j + 1]) {
+						[arr[j], arr[j + 1]] = [arr[j + 1], arr[j]];
+					}
+				}
+			}
+		`);
+
+		assert.deepStrictEqual(operations.map((op) => op.type), [
+			'init',
+			'compare',
+			'swap',
+			'sorted',
+			'sorted',
+			'complete',
+		]);
+		assert.deepStrictEqual(operations[1].vars, { i: 0, j: 0 });
+		assert.deepStrictEqual(operations[2].vars, { i: 0, j: 0 });
+	});
+
+	const swapsOf = (operations) =>
+		operations.filter((op) => op.type === 'swap').map((op) => op.indices);
+
+	test('pattern mode walks loops written without braces', () => {
+		const operations = new CodeParser({ mode: 'pattern' }).parse(`
+			let arr = [3, 1, 2];
+			for (let i = 0; i < arr.length; i++)
+				for (let j = 0; j < arr.length - i - 1; j++)
+					if (arr[j] > arr[j + 1]) [arr[j], arr[j + 1]] = [arr[j + 1], arr[j]];
+		`, { runCode: false });
+
+		assert.deepStrictEqual(swapsOf(operations), [[0, 1], [1, 2]]);
+	});
+
+	test('pattern mode runs code no loop pattern matches', () => {
+		const code = 'let arr = [2, 1];\nlet first = arr[0];';
+		assert.ok(new CodeParser({ mode: 'pattern' }).parse(code).length > 2);
+		assert.throws(
+			() => new CodeParser({ mode: 'pattern' }).parse(code, { runCode: false }),
+			/only be visualized by running it/
+		);
+	});
+
+	test('pattern mode recognizes swaps through a temporary variable', () => {
+		const operations = new CodeParser({ mode: 'pattern' }).parse(`
+			let arr = [3, 1, 2];
+			for (let i = 0; i < arr.length; i++) {
+				for (let j = 0; j < arr.length - i - 1; j++) {
+					if (arr[j] > arr[j + 1]) {
+						const temp = arr[j];
+						arr[j] = arr[j + 1];
+						arr[j + 1] = temp;
+					}
+				}
+			}
+		`);
+
+		assert.deepStrictEqual(
+			operations.filter((op) => op.type === 'swap').map((op) => op.indices),
+			[[0, 1], [1, 2]]
+		);
+	});
+
+	test('pattern mode points compares and swaps at their source lines', () => {
+		const operations = new CodeParser({ mode: 'pattern' }).parse(
+			[
+				'let arr = [2, 1];',
+				'for (let i = 0; i < arr.length; i++) {',
+				'  for (let j = 0; j < arr.length - i - 1; j++) {',
+				'    if (arr[j] > arr[j + 1]) {',
+				'      [arr[j], arr[j + 1]] = [arr[j + 1], arr[j]];',
+				'    }',
+				'  }',
+				'}',
+			].join('\n'),
+			{ file: 'bubble.js' }
+		);
+
+		const lines = (type) => operations.filter((op) => op.type === type).map((op) => op.loc.line);
+		assert.deepStrictEqual(lines('init'), [1]);
+		assert.deepStrictEqual(lines('compare'), [4]);
+		assert.deepStrictEqual(lines('swap'), [5]);
+		assert.strictEqual(operations[0].loc.file, 'bubble.js');
+	});
+
+	test('reads negative, string and record elements instead of zeroing them', () => {
+		const [numbers] = new CodeParser({ mode: 'pattern' }).parse('let arr = [-5, +2, "b", true, null];');
+		assert.deepStrictEqual(numbers.array, [-5, 2, 'b', true, null]);
+
+		const operations = new CodeParser({ mode: 'pattern' }).parse(`
+			let people = [{ name: "Ann", age: 31 }, { name: "Bob", age: 25 }];
+			for (let i = 0; i < people.length; i++) {
+				for (let j = 0; j < people.length - i - 1; j++) {
+					if (people[j].age > people[j + 1].age) {
+						const t = people[j]; people[j] = people[j + 1]; people[j + 1] = t;
+					}
+				}
+			}
+		`);
+		assert.strictEqual(operations[0].sortKey, 'age');
+		assert.strictEqual(operations[0].labelKey, 'name');
+		assert.deepStrictEqual(operations[1].values, [31, 25]);
+		assert.deepStrictEqual(operations[2].type, 'swap');
+	});
+
+	test('pattern mode evaluates swap conditions that call a comparator', () => {
+		const operations = new CodeParser({ mode: 'pattern' }).parse(`
+			function byName(a, b) { return a.localeCompare(b); }
+			let arr = ["pear", "apple", "fig"];
+			for (let i = 0; i < arr.length; i++) {
+				for (let j = 0; j < arr.length - i - 1; j++) {
+					if (byName(arr[j], arr[j + 1]) > 0) {
+						[arr[j], arr[j + 1]] = [arr[j + 1], arr[j]];
+					}
+				}
+			}
+		`);
+
+		assert.deepStrictEqual(
+			operations.filter((op) => op.type === 'swap').map((op) => op.values),
+			[['pear', 'apple'], ['pear', 'fig']]
+		);
+	});
+
+	test('never runs the code when told not to', () => {
+		const parser = new CodeParser();
+		assert.throws(
+			() => parser.parse('let arr = [2, 1]; while (arr[0] > arr[1]) arr.reverse();', { mode: 'pattern', runCode: false }),
+			/untrusted workspaces/
+		);
+
+		parser.parse(`
+			function later(a, b) { return a > b; }
+			let arr = [2, 1];
+			for (let i = 0; i < arr.length; i++) {
+				for (let j = 0; j < arr.length - i - 1; j++) {
+					if (later(arr[j], arr[j + 1])) {
+						[arr[j], arr[j + 1]] = [arr[j + 1], arr[j]];
+					}
+				}
+			}
+		`, { mode: 'pattern', runCode: false });
+		assert.strictEqual(parser.conditionContext, null);
+	});
+
+	test('traces a function called on the array', () => {
+		const operations = new CodeParser().parse(`
+			function bubbleSort(a) {
+				for (let i = 0; i < a.length; i++) {
+					for (let j = 0; j < a.length - i - 1; j++) {
+						if (a[j] > a[j + 1]) [a[j], a[j + 1]] = [a[j + 1], a[j]];
+					}
+				}
+			}
+			let arr = [3, 2, 1];
+			bubbleSort(arr);
+		`);
+
+		assert.deepStrictEqual(swapsOf(operations), [[0, 1], [1, 2], [0, 1]]);
+	});
+
+	test('traces arrow functions and methods', () => {
+		const operations = new CodeParser({ mode: 'pattern' }).parse(`
+			const swap = (a, i, j) => { [a[i], a[j]] = [a[j], a[i]]; };
+			const sorter = {
+				reverse(a) {
+					for (let i = 0; i < a.length / 2; i++) swap(a, i, a.length - 1 - i);
+				},
+			};
+			let arr = [1, 2, 3, 4];
+			sorter.reverse(arr);
+		`);
+
+		assert.deepStrictEqual(swapsOf(operations), [[0, 3], [1, 2]]);
+	});
+
+	test('binds an array literal passed at the call site', () => {
+		const parser = new CodeParser();
+		const operations = parser.parse(`
+			function sortPair(pair) {
+				if (pair[0] > pair[1]) [pair[0], pair[1]] = [pair[1], pair[0]];
+			}
+			sortPair([2, 1]);
+		`);
+
+		assert.strictEqual(parser.arrayName, 'pair');
+		assert.deepStrictEqual(swapsOf(operations), [[0, 1]]);
+	});
+
+	test('calls a function that is never called, with the array and its bounds', () => {
+		const operations = new CodeParser().parse(`
+			let arr = [2, 1, 3];
+			function quickSort(a, lo, hi) {
+				if (lo >= hi) return;
+				let p = lo;
+				for (let i = lo + 1; i <= hi; i++) {
+					if (a[i] < a[lo]) {
+						p++;
+						[a[p], a[i]] = [a[i], a[p]];
+					}
+				}
+				[a[lo], a[p]] = [a[p], a[lo]];
+				quickSort(a, lo, p - 1);
+				quickSort(a, p + 1, hi);
+			}
+		`);
+
+		assert.deepStrictEqual(swapsOf(operations), [[0, 1]]);
+	});
+
+	test('traces code that builds a linked list instead of an array', () => {
+		const operations = new CodeParser().parse(`
+			const head = { value: 1, next: null };
+			head.next = { value: 2, next: null };
+		`);
+
+		assert.deepStrictEqual(operations.map((op) => op.type), [
+			'init',
+			'createNode',
+			'createNode',
+			'link',
+			'complete',
+		]);
+	});
+
+	test('keeps 2D array literals out of the flat array and traces them cell by cell', () => {
+		const withArray = new CodeParser().parse(`
+			let weights = [2, 1];
+			const table = [[0, 0], [0, 0]];
+			table[1][1] = table[0][1] + weights[0];
+		`);
+		assert.deepStrictEqual(withArray[0].array, [2, 1]);
+		assert.deepStrictEqual(
+			withArray.filter((op) => op.gridId === 'table').map((op) => op.type),
+			['createGrid', 'readCell', 'writeCell']
+		);
+
+		const gridOnly = new CodeParser().parse(`
+			const grid = [[1, 2], [3, 4]];
+			grid[0][0] = grid[1][1];
+		`);
+		assert.deepStrictEqual(gridOnly.map((op) => op.type), [
+			'init',
+			'createGrid',
+			'readCell',
+			'writeCell',
+			'complete',
+		]);
+	});
+
+	test('insertion sort generator shifts with set operations', () => {
+		const operations = new CodeParser().generateInsertionSort([2, 1]);
+
+		assert.deepStrictEqual(
+			operations.filter((op) => op.type === 'set' || op.type === 'swap'),
+			[
+				{ type: 'set', index: 1, oldValue: 1, value: 2, from: 0 },
+				{ type: 'set', index: 0, oldValue: 2, value: 1 },
+			]
+		);
+	});
+
+	test('n log n and distribution sort generators replay into a sorted array', () => {
+		const parser = new CodeParser();
+		const input = [170, 45, 75, 90, 802, 24, 2, 66, 45];
+		const replay = (operations) => {
+			const arrays = { array: [...operations[0].array] };
+			operations.forEach((op) => {
+				const values = arrays[op.arrayId || 'array'];
+				if (op.type === 'createArray') arrays[op.arrayId] = [...op.array];
+				if (op.type === 'set') values[op.index] = op.value;
+				if (op.type === 'swap') {
+					[values[op.indices[0]], values[op.indices[1]]] = [values[op.indices[1]], values[op.indices[0]]];
+				}
+			});
+			return arrays.array;
+		};
+
+		[
+			'generateMergeSort',
+			'generateBottomUpMergeSort',
+			'generateQuickSort',
+			'generateHoareQuickSort',
+			'generateHeapSort',
+			'generateShellSort',
+			'generateCountingSort',
+			'generateRadixSort',
+		].forEach((name) => {
+			assert.deepStrictEqual(replay(parser[name](input)), [2, 24, 45, 45, 66, 75, 90, 170, 802], name);
+		});
+
+		const heap = parser.generateHeapSort([1, 2, 3]);
+		assert.deepStrictEqual(heap[1], { type: 'heapify', index: 0, size: 3 });
+		const radix = parser.generateRadixSort([21, 3]);
+		assert.deepStrictEqual(
+			radix.filter((op) => op.type === 'radixPass' || op.type === 'toBucket').map((op) => op.place || op.bucket),
+			[1, 1, 3, 10, 2, 0]
+		);
+		assert.deepStrictEqual(
+			parser.generateQuickSort([3, 1, 2]).find((op) => op.type === 'partition'),
+			{ type: 'partition', pivot: 1, range: [0, 2], depth: 0 }
+		);
+		assert.throws(() => parser.generateCountingSort([1.5, 2]), /integers/);
+		assert.throws(() => parser.generateRadixSort([-1, 2]), /non-negative/);
+	});
+
+	test('search generators narrow the range around their probes', () => {
+		const parser = new CodeParser();
+		const binary = parser.generateBinarySearch([1, 3, 5, 7, 9, 11, 13], 11);
+		assert.deepStrictEqual(
+			binary.filter((op) => op.type !== 'init').map((op) => [op.type, op.range || op.index]),
+			[['range', [0, 6]], ['probe', 3], ['range', [4, 6]], ['probe', 5], ['found', 5], ['complete', undefined]]
+		);
+		assert.deepStrictEqual(binary[4].vars, { low: 4, high: 6, mid: 5 });
+
+		const linear = parser.generateLinearSearch([4, 2], 8);
+		assert.deepStrictEqual(linear.slice(-2), [{ type: 'notFound', target: 8 }, { type: 'complete' }]);
+		assert.deepStrictEqual(
+			parser.generateExponentialSearch([1, 2, 3, 4, 5, 6], 5).filter((op) => op.type === 'probe').map((op) => op.index),
+			[0, 1, 2, 4, 4]
+		);
+		assert.deepStrictEqual(
+			parser.generateInterpolationSearch([10, 20, 30, 40], 30).filter((op) => op.type === 'probe').map((op) => op.index),
+			[2]
+		);
+		assert.throws(() => parser.generateBinarySearch([3, 1, 2], 1), /sorted/);
+	});
+
+	test('traces a search written as a loop even in pattern mode', () => {
+		const operations = new CodeParser().parse(
+			`let arr = [4, 8, 15];
+			let target = 8;
+			for (let i = 0; i < arr.length; i++) {
+				if (arr[i] === target) break;
+			}`,
+			{ mode: 'pattern' }
+		);
+
+		assert.deepStrictEqual(
+			operations.filter((op) => op.type !== 'init').map((op) => [op.type, op.range || op.index]),
+			[['range', [0, 2]], ['probe', 0], ['range', [1, 2]], ['probe', 1], ['found', 1], ['complete', undefined]]
+		);
+	});
+
+	test('traces breadth-first search over an adjacency list literal', () => {
+		const operations = new CodeParser().parse(`
+			const graph = { A: ['B', 'C'], B: ['D'], C: ['D'], D: [] };
+			const queue = ['A'];
+			const dist = { A: 0 };
+			const order = [];
+			while (queue.length > 0) {
+				const u = queue.shift();
+				order.push(u);
+				for (const v of graph[u]) {
+					if (dist[v] === undefined) {
+						dist[v] = dist[u] + 1;
+						queue.push(v);
+					}
+				}
+			}
+		`);
+
+		const graphOps = operations.filter((op) => op.graphId === 'graph');
+		assert.deepStrictEqual(graphOps[0].edges, [
+			{ from: 'A', to: 'B' },
+			{ from: 'A', to: 'C' },
+			{ from: 'B', to: 'D' },
+			{ from: 'C', to: 'D' },
+		]);
+		assert.deepStrictEqual(
+			graphOps.filter((op) => op.type === 'visitNode').map((op) => op.node),
+			['A', 'B', 'C', 'D']
+		);
+		assert.deepStrictEqual(
+			graphOps.filter((op) => op.type === 'setDistance').map((op) => [op.node, op.distance]),
+			[['A', 0], ['B', 1], ['C', 1], ['D', 2]]
+		);
+		assert.deepStrictEqual(graphOps[graphOps.length - 1], {
+			type: 'markPath',
+			graphId: 'graph',
+			nodes: ['A', 'B', 'C', 'D'],
+		});
+	});
+
+	test('dijkstra generator relaxes edges and marks the shortest path', () => {
+		const operations = new CodeParser().generateDijkstra(
+			{ A: { B: 4, C: 1 }, B: { D: 1 }, C: { B: 2, D: 5 }, D: {} },
+			'A',
+			'D'
+		);
+
+		assert.deepStrictEqual(
+			operations.filter((op) => op.type === 'relaxEdge').map((op) => [op.from, op.to, op.improved]),
+			[['A', 'B', true], ['A', 'C', true], ['C', 'B', true], ['C', 'D', true], ['B', 'D', true]]
+		);
+		const distances = {};
+		operations
+			.filter((op) => op.type === 'setDistance')
+			.forEach((op) => (distances[op.node] = op.distance));
+		assert.deepStrictEqual(distances, { A: 0, B: 3, C: 1, D: 4 });
+		assert.deepStrictEqual(operations.find((op) => op.type === 'markPath').nodes, ['A', 'C', 'B', 'D']);
+	});
+
+	test('graph generators read adjacency matrices and reject cycles in a topological sort', () => {
+		const parser = new CodeParser();
+		const bfs = parser.generateBFS([[0, 1, 1], [1, 0, 0], [1, 0, 0]], 1);
+		assert.deepStrictEqual(bfs[1], {
+			type: 'createGraph',
+			graphId: 'graph',
+			nodes: ['0', '1', '2'],
+			edges: [{ from: '0', to: '1' }, { from: '0', to: '2' }],
+			directed: false,
+		});
+		assert.deepStrictEqual(bfs.find((op) => op.type === 'markPath').nodes, ['1', '0', '2']);
+
+		const topo = parser.generateTopologicalSort({ shirt: ['tie'], tie: ['jacket'], pants: ['jacket'], jacket: [] });
+		assert.deepStrictEqual(topo.find((op) => op.type === 'markPath').nodes, ['shirt', 'pants', 'tie', 'jacket']);
+		assert.throws(() => parser.generateTopologicalSort({ a: ['b'], b: ['c'], c: ['a'] }), /cycle/);
+	});
+});
@@ -0,0 +1,47 @@
+const assert = require('assert');
+const { inlineScript, playerShim, animatedBarSvg } = require('../playerExport');
+const { createTrace } = require('../traceFile');
+
+suite('Player exports', () => {
+	test('build the trace into a script nothing in it can end', () => {
+		const trace = createTrace([{ type: 'init', array: [1] }], {
+			source: { code: 'const tag = "</script>";' },
+		});
+		const shim = inlineScript(playerShim(trace));
+
+		assert.strictEqual(shim.match(/<\/script/g).length, 1);
+		assert.ok(shim.endsWith('</script>'));
+		assert.strictEqual(inlineScript('a("</script>")'), '<script>\na("<\\/script>")\n</script>');
+	});
+
+	test('animate only the bars that change, a frame per step', () => {
+		const svg = animatedBarSvg(
+			[
+				{ heights: [2, 1], dimmed: [false, false], marks: [] },
+				{ heights: [2, 1], dimmed: [false, false], marks: [{ indices: [0, 1], color: '#ffcc00' }] },
+				{ heights: [1, 2], dimmed: [false, true], marks: [{ indices: [0, 1], color: '#f48771' }] },
+			],
+			{ stepDuration: 1, title: 'Swap <1>' }
+		);
+		const bars = svg.split('\n').filter((line) => line.startsWith('<rect x='));
+
+		assert.ok(svg.includes('<title>Swap &lt;1></title>'));
+		assert.strictEqual(bars.length, 2);
+		assert.ok(bars[0].includes('attributeName="fill" values="#4ec9b0;#ffcc00;#f48771"'));
+		assert.ok(bars[0].includes('keyTimes="0;0.3333;0.6667" dur="3.00s"'));
+		// The first bar is never dimmed
+		assert.ok(!bars[0].includes('attributeName="opacity"'));
+		assert.ok(bars[1].includes('attributeName="opacity" values="1;1;0.25"'));
+		assert.throws(() => animatedBarSvg([]), /at least one frame/);
+	});
+
+	test('fill bars only with colors, never with markup', () => {
+		const svg = animatedBarSvg([
+			{ heights: [1, 2], dimmed: [false, false], marks: [{ indices: [0], color: '"/><script>alert(1)</script>' }] },
+			{ heights: [1, 2], dimmed: [false, false], marks: [{ indices: [1], color: 'rgb(255, 204, 0)' }] },
+		]);
+
+		assert.ok(!svg.includes('<script'));
+		assert.ok(svg.includes('values="#4ec9b0;rgb(255, 204, 0)"'));
+	});
+});
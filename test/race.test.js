@@ -0,0 +1,53 @@
+const assert = require('assert');
+const { AlgorithmRegistry } = require('../algorithms');
+const { countOperations } = require('../web/counters');
+const { laneOperations, scheduleRace } = require('../web/race');
+
+const lane = (id, types) => ({
+	id,
+	operations: types.map((type) => ({ type, arrayId: id, indices: [0, 1], values: [1, 2] })),
+});
+
+suite('Race', () => {
+	test('keeps the work on helper arrays offstage, so lanes count all of it', () => {
+		const registry = new AlgorithmRegistry();
+		const trace = registry.run('mergeSort', { array: [5, 3, 8, 1] });
+		const operations = laneOperations(trace, 'Merge Sort');
+
+		assert.ok(operations.every((op) => op.arrayId === 'Merge Sort'));
+		assert.ok(!operations.some((op) => ['init', 'call', 'createArray', 'complete'].includes(op.type)));
+		assert.ok(operations.some((op) => op.offstage && op.type === 'compare'));
+		assert.deepStrictEqual(countOperations(operations), countOperations(trace));
+	});
+
+	test('plays one operation of every lane per tick when synced by step', () => {
+		const { operations, tickEnds } = scheduleRace(
+			[lane('a', ['compare', 'swap', 'compare']), lane('b', ['compare'])],
+			'step'
+		);
+
+		assert.deepStrictEqual(tickEnds, [3, 4, 6]);
+		assert.deepStrictEqual(operations.slice(0, 3).map((op) => [op.arrayId, op.type]), [
+			['a', 'compare'],
+			['b', 'compare'],
+			['b', 'finish'],
+		]);
+		assert.deepStrictEqual(operations[5], { type: 'finish', arrayId: 'a', place: 2 });
+	});
+
+	test('lets cheaper operations run ahead when synced by cost', () => {
+		// A swap costs 4 accesses, a compare 2 and highlighting nothing
+		const { operations, tickEnds } = scheduleRace(
+			[lane('swaps', ['swap', 'swap']), lane('compares', ['highlight', 'compare', 'compare', 'compare', 'compare'])],
+			'cost'
+		);
+		const ticks = tickEnds.map((end, k) => operations.slice(tickEnds[k - 1] || 0, end).map((op) => op.type));
+		const finishes = operations.filter((op) => op.type === 'finish');
+
+		assert.deepStrictEqual(ticks.slice(0, 3), [['highlight'], ['compare'], ['swap', 'compare']]);
+		assert.deepStrictEqual(finishes.map((op) => [op.arrayId, op.place]), [
+			['swaps', 1],
+			['compares', 1],
+		]);
+	});
+});
@@ -0,0 +1,45 @@
+const assert = require('assert');
+const CodeParser = require('../parser');
+const { AlgorithmRegistry } = require('../algorithms');
+const { laneOperations } = require('../web/race');
+const { validateOperations, cssColor } = require('../web/schema');
+
+suite('Operation schema', () => {
+	test('accepts what the generators and tracer produce', () => {
+		const registry = new AlgorithmRegistry();
+		registry
+			.list()
+			.filter((algorithm) => algorithm.input.type === 'array')
+			.forEach((algorithm) => {
+				const array = algorithm.input.sorted ? [1, 2, 3, 5, 8, 9] : [5, 3, 8, 1, 9, 2];
+				const operations = registry.run(algorithm.id, { array, target: 8 });
+				validateOperations(operations);
+				validateOperations(laneOperations(operations, algorithm.name));
+			});
+		validateOperations(registry.run('dijkstra', { graph: { A: { B: 4 }, B: {} }, start: 'A' }));
+		validateOperations(new CodeParser().parse('const s = []; s.push(1); const m = new Map(); m.set("a", s.pop());'));
+	});
+
+	test('report the index of the first operation that breaks it', () => {
+		const operations = [
+			{ type: 'init', array: [2, 1] },
+			{ type: 'compare', indices: [0, 1] },
+			{ type: 'swap', indices: [0, -1] },
+		];
+
+		assert.throws(() => validateOperations(operations), /^Error: Operation 2 \(swap\): indices must be a list of indices$/);
+		assert.throws(() => validateOperations([{ type: 'set', value: 3 }], 7), /Operation 7 \(set\) has no index/);
+		assert.throws(() => validateOperations([{ type: 'shuffle' }]), /Operation 0 has an unknown type "shuffle"/);
+		assert.throws(() => validateOperations([null]), /Operation 0 is not an object/);
+		assert.throws(() => validateOperations([{ type: 'highlight', indices: [0], color: -1 }]), /color must be/);
+		// Optional fields may be null, and offstage work needs only its type
+		validateOperations([{ type: 'set', index: 0, value: 1, loc: null }, { type: 'set', offstage: true }]);
+	});
+
+	test('turn generator colors into CSS colors', () => {
+		assert.strictEqual(cssColor(0xffaa00), '#ffaa00');
+		assert.strictEqual(cssColor(0x00c0ff), '#00c0ff');
+		assert.strictEqual(cssColor('tomato'), 'tomato');
+		assert.strictEqual(cssColor(undefined), undefined);
+	});
+});
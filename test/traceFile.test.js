@@ -0,0 +1,41 @@
+const assert = require('assert');
+const { TRACE_VERSION, createTrace, serializeTrace, parseTrace } = require('../traceFile');
+
+const operations = [
+	{ type: 'init', array: [2, 1] },
+	{ type: 'swap', indices: [0, 1], values: [2, 1] },
+	{ type: 'complete' },
+];
+
+suite('Trace files', () => {
+	test('keep the source, input and metadata with the operations', () => {
+		const trace = createTrace(operations, {
+			source: { code: 'let arr = [2, 1];', file: 'sort.js' },
+			input: { array: [2, 1], shape: 'random', size: 2, seed: 7 },
+			metadata: { title: 'Bubble Sort', algorithm: 'bubbleSort' },
+		});
+		const read = parseTrace(serializeTrace(trace));
+
+		assert.strictEqual(read.format, 'visual-debug-trace');
+		assert.strictEqual(read.version, TRACE_VERSION);
+		assert.deepStrictEqual(read.operations, operations);
+		assert.deepStrictEqual(read.input, { array: [2, 1], shape: 'random', size: 2, seed: 7 });
+		assert.strictEqual(read.source.file, 'sort.js');
+		assert.strictEqual(read.metadata.algorithm, 'bubbleSort');
+		assert.ok(!isNaN(Date.parse(read.metadata.createdAt)));
+	});
+
+	test('refuse files that are not traces this version can read', () => {
+		const trace = createTrace(operations);
+
+		assert.throws(() => parseTrace('{'), /not valid JSON/);
+		assert.throws(() => parseTrace(JSON.stringify({ operations })), /Not a Visual Debug trace/);
+		assert.throws(() => parseTrace(JSON.stringify({ ...trace, version: TRACE_VERSION + 1 })), /newer/);
+		assert.throws(() => parseTrace(JSON.stringify({ ...trace, operations: [] })), /no operations/);
+		assert.throws(
+			() => parseTrace(JSON.stringify({ ...trace, operations: [...operations, { type: 'swap' }] })),
+			/Operation 3 \(swap\) has no indices/
+		);
+		assert.strictEqual(parseTrace(JSON.stringify(trace)).source, null);
+	});
+});
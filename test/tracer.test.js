@@ -0,0 +1,785 @@
+const assert = require('assert');
+const { parse } = require('@babel/parser');
+const CodeTracer = require('../tracer');
+
+function target(code) {
+	return { name: 'arr', start: code.indexOf('[') };
+}
+
+function trace(code) {
+	return new CodeTracer().trace(code, target(code));
+}
+
+function withoutSource(op) {
+	const copy = { ...op };
+	delete copy.loc;
+	delete copy.vars;
+	delete copy.refs;
+	return copy;
+}
+
+suite('CodeTracer', () => {
+	test('records the compares and swaps bubble sort performs', () => {
+		const operations = trace(`
+			let arr = [3, 1, 2];
+			for (let i = 0; i < arr.length; i++) {
+				for (let j = 0; j < arr.length - i - 1; j++) {
+					if (arr[j] > arr[j + 1]) {
+						[arr[j], arr[j + 1]] = [arr[j + 1], arr[j]];
+					}
+				}
+			}
+		`);
+
+		assert.deepStrictEqual(withoutSource(operations[0]), {
+			type: 'init',
+			arrayId: 'arr',
+			array: [3, 1, 2],
+			pointers: ['j'],
+		});
+		assert.deepStrictEqual(
+			operations.filter((op) => op.type === 'swap').map((op) => op.indices),
+			[[0, 1], [1, 2]]
+		);
+		assert.strictEqual(operations[operations.length - 1].type, 'complete');
+	});
+
+	test('follows non-adjacent index arithmetic', () => {
+		const operations = trace(`
+			let arr = [4, 3, 2, 1];
+			for (let gap = 2; gap > 0; gap = Math.floor(gap / 2)) {
+				for (let i = gap; i < arr.length; i++) {
+					if (arr[i - gap] > arr[i]) {
+						[arr[i - gap], arr[i]] = [arr[i], arr[i - gap]];
+					}
+				}
+			}
+		`);
+
+		const compares = operations.filter((op) => op.type === 'compare');
+		assert.deepStrictEqual(compares[0].indices, [0, 2]);
+		assert.deepStrictEqual(compares[1].indices, [1, 3]);
+	});
+
+	test('marks every index sorted once the array ends up in order', () => {
+		const operations = trace(`
+			let arr = [2, 1];
+			if (arr[0] > arr[1]) [arr[0], arr[1]] = [arr[1], arr[0]];
+		`);
+
+		const sorted = operations
+			.filter((op) => op.type === 'sorted')
+			.map((op) => op.indices[0])
+			.sort();
+		assert.deepStrictEqual(sorted, [0, 1]);
+	});
+
+	test('evaluates while and do-while conditions for real', () => {
+		const operations = trace(`
+			let arr = [1, 3, 2];
+			let i = 1;
+			do {
+				let j = i;
+				while (j > 0 && arr[j - 1] > arr[j]) {
+					[arr[j - 1], arr[j]] = [arr[j], arr[j - 1]];
+					j--;
+				}
+				i++;
+			} while (i < arr.length);
+		`);
+
+		assert.deepStrictEqual(
+			operations.filter((op) => op.type !== 'sorted').map((op) => [op.type, op.indices]),
+			[
+				['init', undefined],
+				['compare', [0, 1]],
+				['compare', [1, 2]],
+				['swap', [1, 2]],
+				['compare', [0, 1]],
+				['complete', undefined],
+			]
+		);
+	});
+
+	test('reads every element a for-of loop visits', () => {
+		const code = `
+			let arr = [4, 5, 6];
+			let total = 0;
+			for (const value of arr) total += value;
+		`;
+		const tracer = new CodeTracer();
+		tracer.trace(code, target(code));
+
+		assert.strictEqual(tracer.stats.reads, 3);
+	});
+
+	test('records shifts as set operations with their source index', () => {
+		const operations = trace(`
+			let arr = [2, 3, 1];
+			const key = arr[2];
+			arr[2] = arr[1];
+			arr[1] = arr[0];
+			arr[0] = key;
+		`);
+
+		assert.deepStrictEqual(operations.filter((op) => op.type === 'set').map(withoutSource), [
+			{ type: 'set', arrayId: 'arr', index: 2, oldValue: 1, value: 3, from: 1 },
+			{ type: 'set', arrayId: 'arr', index: 1, oldValue: 3, value: 2, from: 0 },
+			{ type: 'set', arrayId: 'arr', index: 0, oldValue: 2, value: 1 },
+		]);
+	});
+
+	test('records recursive calls with their range and depth', () => {
+		const operations = trace(`
+			let arr = [1, 3, 5, 7];
+			function search(a, target, lo, hi) {
+				if (lo > hi) return -1;
+				const mid = Math.floor((lo + hi) / 2);
+				if (a[mid] === target) return mid;
+				return a[mid] < target ? search(a, target, mid + 1, hi) : search(a, target, lo, mid - 1);
+			}
+			search(arr, 7, 0, arr.length - 1);
+		`);
+
+		const frames = operations.filter((op) => op.type === 'call' || op.type === 'return');
+		assert.deepStrictEqual(frames.map((op) => [op.type, op.depth, op.range]), [
+			['call', 0, [0, 3]],
+			['call', 1, [2, 3]],
+			['call', 2, [3, 3]],
+			['return', 2, undefined],
+			['return', 1, undefined],
+			['return', 0, undefined],
+		]);
+		assert.strictEqual(frames[frames.length - 1].value, 3);
+	});
+
+	test('reports where a partition function put the pivot', () => {
+		const operations = trace(`
+			let arr = [3, 1, 2];
+			function partition(a, lo, hi) {
+				let i = lo;
+				for (let j = lo; j < hi; j++) {
+					if (a[j] < a[hi]) { [a[i], a[j]] = [a[j], a[i]]; i++; }
+				}
+				[a[i], a[hi]] = [a[hi], a[i]];
+				return i;
+			}
+			partition(arr, 0, 2);
+		`);
+
+		const partition = operations.find((op) => op.type === 'partition');
+		assert.deepStrictEqual(withoutSource(partition), { type: 'partition', arrayId: 'arr', pivot: 1, range: [0, 2], depth: 0 });
+	});
+
+	test('gives arrays created while running their own id', () => {
+		const operations = trace(`
+			let arr = [2, 1];
+			const copy = arr.slice();
+			const out = [];
+			out.push(copy[1]);
+			const tmp = new Array(2);
+			tmp[0] = arr[0];
+		`);
+
+		const created = operations.filter((op) => op.type === 'createArray');
+		assert.deepStrictEqual(created.map((op) => [op.arrayId, op.array]), [
+			['copy', [2, 1]],
+			['out', []],
+			['tmp', [undefined, undefined]],
+		]);
+		assert.deepStrictEqual(withoutSource(operations.find((op) => op.type === 'insert')), {
+			type: 'insert',
+			arrayId: 'out',
+			index: 0,
+			value: 1,
+			from: 1,
+			fromArrayId: 'copy',
+		});
+		assert.deepStrictEqual(withoutSource(operations.find((op) => op.type === 'set')), {
+			type: 'set',
+			arrayId: 'tmp',
+			index: 0,
+			oldValue: undefined,
+			value: 2,
+			from: 0,
+			fromArrayId: 'arr',
+		});
+	});
+
+	test('tracks the halves merge sort recurses on', () => {
+		const operations = trace(`
+			let arr = [2, 1];
+			function mergeSort(a) {
+				if (a.length < 2) return a;
+				const left = mergeSort(a.slice(0, 1));
+				const right = mergeSort(a.slice(1));
+				const merged = [];
+				merged.push(left[0] < right[0] ? left[0] : right[0]);
+				return merged;
+			}
+			mergeSort(arr);
+		`);
+
+		const calls = operations.filter((op) => op.type === 'call');
+		assert.deepStrictEqual(calls.map((op) => op.arrayId), ['arr', 'a', 'a#2']);
+		const compare = operations.find((op) => op.type === 'compare');
+		assert.deepStrictEqual(compare.arrayIds, ['a', 'a#2']);
+	});
+
+	test('turns a swap through a temporary variable into one swap', () => {
+		const operations = trace(`
+			let arr = [2, 1];
+			let t = arr[0];
+			arr[0] = arr[1];
+			arr[1] = t;
+		`);
+
+		assert.deepStrictEqual(withoutSource(operations[1]), {
+			type: 'swap',
+			arrayId: 'arr',
+			indices: [0, 1],
+			values: [2, 1],
+		});
+		assert.strictEqual(operations.filter((op) => op.type === 'set').length, 0);
+	});
+
+	test('records nothing for an element swapped with itself', () => {
+		const operations = trace(`
+			let arr = [2, 1];
+			let i = 1, j = 1;
+			[arr[i], arr[j]] = [arr[j], arr[i]];
+		`);
+
+		assert.deepStrictEqual(
+			operations.filter((op) => op.type === 'set' || op.type === 'swap'),
+			[]
+		);
+	});
+
+	test('records mutator methods as inserts, removes, swaps and sets', () => {
+		const code = `
+			let arr = [1, 2, 3];
+			arr.push(4);
+			arr.shift();
+			const removed = arr.splice(1, 1, 7, 8);
+			arr.reverse();
+			arr.fill(0, -1);
+			globalThis.result = { arr, removed, popped: arr.pop() };
+		`;
+		const operations = trace(code);
+
+		assert.deepStrictEqual(
+			operations
+				.filter((op) => !['init', 'sorted', 'createArray', 'complete'].includes(op.type))
+				.map((op) => [op.type, op.index === undefined ? op.indices : op.index]),
+			[
+				['insert', 3],
+				['remove', 0],
+				['remove', 1],
+				['insert', 1],
+				['insert', 2],
+				['swap', [0, 3]],
+				['swap', [1, 2]],
+				['set', 3],
+				['remove', 3],
+			]
+		);
+		const created = operations.find((op) => op.type === 'createArray');
+		assert.deepStrictEqual(created.array, [3]);
+	});
+
+	test('leaves mutator calls on super alone in an Array subclass', () => {
+		const operations = trace(`
+			class Stack extends Array {
+				add(x) { super.push(x); }
+			}
+			const extra = new Stack();
+			extra.add(1);
+			let arr = [2, 1];
+			arr.sort((a, b) => a - b);
+		`);
+
+		assert.ok(operations.some((op) => op.type === 'swap'));
+	});
+
+	test('leaves element reads and writes through super alone', () => {
+		const operations = trace(`
+			let arr = [2, 1];
+			class Row extends Array {
+				first() { return super[0]; }
+				reset() { super[0] = 0; super[1] += 1; super[2]++; delete super[3]; }
+			}
+			[arr[0], arr[1]] = [arr[1], arr[0]];
+		`);
+
+		assert.ok(operations.some((op) => op.type === 'swap'));
+	});
+
+	test('records logical assignments, length changes and deletes', () => {
+		const effects = (code) =>
+			trace(code)
+				.filter((op) => ['set', 'insert', 'remove'].includes(op.type))
+				.map((op) => [op.type, op.index, op.value]);
+
+		assert.deepStrictEqual(
+			effects('let arr = [1, 0, null]; arr[0] &&= 9; arr[1] &&= 9; arr[1] ||= 7; arr[2] ??= 4; arr[0] ??= 5;'),
+			[['set', 0, 9], ['set', 1, 7], ['set', 2, 4]]
+		);
+		assert.deepStrictEqual(
+			effects('let arr = [1, 2, 3]; arr.length = 1; arr.length++;'),
+			[['remove', 2, 3], ['remove', 1, 2], ['insert', 1, undefined]]
+		);
+		assert.deepStrictEqual(effects('let arr = [1, 2]; delete arr[0];'), [['set', 0, undefined]]);
+	});
+
+	test('compares records by the field the code reads and strings as they are', () => {
+		const code = `
+			const arr = [{ name: "Ann", age: 31 }, { name: "Bob", age: 25 }, { name: "Cy", age: 28 }];
+			for (let i = 1; i < arr.length; i++) {
+				const current = arr[i];
+				let j = i - 1;
+				while (j >= 0 && arr[j].age > current.age) {
+					arr[j + 1] = arr[j];
+					j--;
+				}
+				arr[j + 1] = current;
+			}
+		`;
+		const operations = trace(code);
+
+		assert.deepStrictEqual(withoutSource(operations[0]), {
+			type: 'init',
+			arrayId: 'arr',
+			array: [{ name: 'Ann', age: 31 }, { name: 'Bob', age: 25 }, { name: 'Cy', age: 28 }],
+			pointers: ['i', 'j'],
+			sortKey: 'age',
+			labelKey: 'name',
+		});
+		assert.deepStrictEqual(operations[1].values, [31, 25]);
+		assert.deepStrictEqual(operations[4].value, { name: 'Ann', age: 31 });
+		assert.deepStrictEqual(operations[4].oldValue, { name: 'Cy', age: 28 });
+		assert.strictEqual(operations.filter((op) => op.type === 'sorted').length, 3);
+
+		const words = trace(`
+			let arr = ["pear", "apple"];
+			if (arr[0] > arr[1]) [arr[0], arr[1]] = [arr[1], arr[0]];
+		`);
+		assert.deepStrictEqual(words[1].values, ['pear', 'apple']);
+		assert.strictEqual(words[2].type, 'swap');
+	});
+
+	test('runs sort() as compares and swaps through the code\'s comparator', () => {
+		const code = `
+			const arr = [{ name: "b", score: 3 }, { name: "a", score: 1 }, { name: "c", score: 3 }];
+			arr.sort((x, y) => y.score - x.score || x.name.localeCompare(y.name));
+		`;
+		const operations = trace(code);
+
+		assert.strictEqual(operations[0].sortKey, 'score');
+		assert.deepStrictEqual(
+			operations.filter((op) => op.type === 'compare' || op.type === 'swap').map((op) => [op.type, op.indices, op.result]),
+			[
+				['compare', [0, 1], -2],
+				['compare', [1, 2], 2],
+				['swap', [1, 2], undefined],
+				['compare', [0, 1], -1],
+			]
+		);
+		assert.strictEqual(operations[1].loc.line, 3);
+
+		// Without a comparator elements are ordered as strings
+		const swaps = trace('const arr = [10, 9, 1];\narr.sort();').filter((op) => op.type === 'swap');
+		assert.deepStrictEqual(swaps.map((op) => op.values), [[9, 1], [10, 1]]);
+	});
+
+	test('points every operation at the line that caused it', () => {
+		const code = [
+			'let arr = [2, 1];',
+			'function sort(a) {',
+			'  if (a[0] > a[1]) {',
+			'    [a[0], a[1]] = [a[1], a[0]];',
+			'  }',
+			'}',
+			'sort(arr);',
+		].join('\n');
+		const operations = new CodeTracer().trace(code, target(code), { file: 'sort.js' });
+
+		const byType = (type) => operations.find((op) => op.type === type).loc;
+		assert.deepStrictEqual(byType('init'), { file: 'sort.js', line: 1, column: 10 });
+		assert.deepStrictEqual(byType('call'), { file: 'sort.js', line: 2, column: 0 });
+		assert.deepStrictEqual(byType('compare'), { file: 'sort.js', line: 3, column: 6 });
+		assert.deepStrictEqual(byType('swap'), { file: 'sort.js', line: 4, column: 4 });
+		assert.strictEqual(byType('return').line, 6);
+	});
+
+	test('snapshots the scalar locals of the running function', () => {
+		const operations = trace(`
+			let arr = [3, 1, 2];
+			let label = 'outer';
+			function selectionSort(a) {
+				for (let i = 0; i < a.length; i++) {
+					let minIdx = i;
+					for (let j = i + 1; j < a.length; j++) {
+						if (a[j] < a[minIdx]) minIdx = j;
+					}
+					[a[i], a[minIdx]] = [a[minIdx], a[i]];
+				}
+			}
+			selectionSort(arr);
+		`);
+
+		const compares = operations.filter((op) => op.type === 'compare');
+		assert.deepStrictEqual(compares[1].vars, { i: 0, minIdx: 1, j: 2 });
+		const swap = operations.find((op) => op.type === 'swap');
+		assert.deepStrictEqual(swap.vars, { i: 0, minIdx: 1 });
+		assert.deepStrictEqual(operations[0].pointers, ['j', 'minIdx', 'i']);
+	});
+
+	test('records the nodes and links of a linked list being reversed', () => {
+		const operations = new CodeTracer().trace(`
+			let head = { value: 1, next: { value: 2, next: null } };
+			let prev = null;
+			let cur = head;
+			while (cur) {
+				const next = cur.next;
+				cur.next = prev;
+				prev = cur;
+				cur = next;
+			}
+		`, null);
+
+		assert.deepStrictEqual(operations[0], { type: 'init', array: [] });
+		assert.deepStrictEqual(
+			operations.slice(1, -1).map((op) => [op.type, op.nodeId || op.from, op.to]),
+			[
+				['createNode', 'n1', undefined],
+				['createNode', 'n2', undefined],
+				['link', 'n2', 'n1'],
+				['unlink', 'n2', 'n1'],
+				['link', 'n1', 'n2'],
+			]
+		);
+	});
+
+	test('records visits and rotations of a binary search tree', () => {
+		const operations = new CodeTracer().trace(`
+			class Node {
+				constructor(value) {
+					this.value = value;
+					this.left = null;
+					this.right = null;
+				}
+			}
+			function insert(root, value) {
+				if (!root) return new Node(value);
+				if (value < root.value) root.left = insert(root.left, value);
+				else root.right = insert(root.right, value);
+				return root;
+			}
+			function rotateRight(y) {
+				const x = y.left;
+				y.left = x.right;
+				x.right = y;
+				return x;
+			}
+			let root = null;
+			for (const v of [2, 1]) root = insert(root, v);
+			root = rotateRight(root);
+		`, null);
+
+		const nodes = operations.filter((op) => op.type === 'createNode');
+		assert.deepStrictEqual(nodes.map((op) => op.value), [2, 1]);
+		assert.deepStrictEqual(
+			withoutSource(operations.find((op) => op.type === 'visit')),
+			{ type: 'visit', nodeId: 'n1', value: 2 }
+		);
+		const rotate = operations.findIndex((op) => op.type === 'rotate');
+		assert.deepStrictEqual(withoutSource(operations[rotate]), { type: 'rotate', nodeId: 'n1', direction: 'right' });
+		assert.deepStrictEqual(
+			operations.slice(rotate + 1, -1).map((op) => [op.type, op.from, op.to, op.field]),
+			[
+				['unlink', 'n1', 'n2', 'left'],
+				['link', 'n2', 'n1', 'right'],
+			]
+		);
+		assert.deepStrictEqual(operations[rotate + 2].refs, { y: 'n1', x: 'n2' });
+	});
+
+	test('records the frontier, distances and relaxed edges of dijkstra on a matrix', () => {
+		const code = `
+			const adj = [[0, 4, 1], [4, 0, 2], [1, 2, 0]];
+			const dist = [0, Infinity, Infinity];
+			const pq = [[0, 0]];
+			while (pq.length > 0) {
+				pq.sort((a, b) => a[0] - b[0]);
+				const [d, u] = pq.shift();
+				if (d > dist[u]) continue;
+				for (let v = 0; v < adj.length; v++) {
+					if (adj[u][v] && d + adj[u][v] < dist[v]) {
+						dist[v] = d + adj[u][v];
+						pq.push([dist[v], v]);
+					}
+				}
+			}
+		`;
+		const operations = new CodeTracer().trace(code, null, {
+			graph: { name: 'adj', start: code.indexOf('[') },
+		});
+
+		assert.deepStrictEqual(
+			operations.slice(1).map((op) => [op.type, op.node, op.from, op.to, op.distance].filter((x) => x !== undefined)),
+			[
+				['createGraph'],
+				['setDistance', '0', 0],
+				['setDistance', '1', Infinity],
+				['setDistance', '2', Infinity],
+				['enqueue', '0'],
+				['dequeue', '0'],
+				['visitNode', '0'],
+				['relaxEdge', '0', '1'],
+				['setDistance', '1', 4],
+				['enqueue', '1'],
+				['relaxEdge', '0', '2'],
+				['setDistance', '2', 1],
+				['enqueue', '2'],
+				['dequeue', '2'],
+				['visitNode', '2'],
+				['relaxEdge', '2', '1'],
+				['setDistance', '1', 3],
+				['enqueue', '1'],
+				['dequeue', '1'],
+				['visitNode', '1'],
+				['dequeue', '1'],
+				['complete'],
+			]
+		);
+		assert.strictEqual(operations[8].weight, 4);
+		assert.strictEqual(operations[8].loc.line, 11);
+	});
+
+	test('only counts neighbor reads as visits once the frontier is in use', () => {
+		const code = `
+			const graph = { a: ['b'], b: ['c'], c: [] };
+			const indegree = { a: 0, b: 0, c: 0 };
+			for (const u in graph) for (const v of graph[u]) indegree[v]++;
+			const queue = Object.keys(graph).filter((u) => indegree[u] === 0);
+			const order = [];
+			while (queue.length > 0) {
+				const u = queue.shift();
+				order.push(u);
+				for (const v of graph[u]) if (--indegree[v] === 0) queue.push(v);
+			}
+		`;
+		const operations = new CodeTracer().trace(code, null, {
+			graph: { name: 'graph', start: code.indexOf('{') },
+		});
+
+		assert.deepStrictEqual(
+			operations.filter((op) => op.type === 'visitNode').map((op) => op.node),
+			['a', 'b', 'c']
+		);
+		assert.deepStrictEqual(operations[operations.length - 2].nodes, ['a', 'b', 'c']);
+	});
+
+	test('records the cells a DP table entry is computed from', () => {
+		const code = `
+			const m = 2, n = 3;
+			const paths = Array.from({ length: m }, () => new Array(n).fill(1));
+			for (let i = 1; i < m; i++) {
+				for (let j = 1; j < n; j++) {
+					paths[i][j] = paths[i - 1][j] + paths[i][j - 1];
+				}
+			}
+		`;
+		const operations = new CodeTracer().trace(code, null);
+
+		assert.deepStrictEqual(withoutSource(operations[1]), {
+			type: 'createGrid',
+			gridId: 'paths',
+			label: 'paths',
+			grid: [[1, 1, 1], [1, 1, 1]],
+		});
+		const writes = operations.filter((op) => op.type === 'writeCell');
+		assert.deepStrictEqual(
+			writes.map((op) => [op.cell, op.value, op.deps]),
+			[
+				[[1, 1], 2, [[0, 1], [1, 0]]],
+				[[1, 2], 3, [[0, 2], [1, 1]]],
+			]
+		);
+		assert.deepStrictEqual(writes[1].loc.line, 6);
+		assert.deepStrictEqual(writes[1].vars, { m: 2, n: 3, i: 1, j: 2 });
+		assert.strictEqual(operations.filter((op) => op.type === 'readCell').length, 4);
+	});
+
+	test('tags stacks, queues and hash tables by how the code uses them', () => {
+		const structures = CodeTracer.findStructures(parse(`
+			const stack = [], queue = [], deque = [], arr = [3, 1];
+			const seen = new Set(), counts = {}, config = { depth: 2 };
+			stack.push(1); stack.pop();
+			queue.push(1); queue.shift();
+			deque.unshift(1); deque.pop();
+			arr.push(2); arr.pop(); arr[0] = 4;
+			counts[arr[0]] = 1;
+		`));
+
+		assert.deepStrictEqual(Object.fromEntries(structures), {
+			stack: 'stack',
+			queue: 'queue',
+			deque: 'queue',
+			seen: 'hash',
+			counts: 'hash',
+		});
+	});
+
+	test('records pushes, pops and peeks of a stack matching brackets', () => {
+		const code = `
+			const s = "(]";
+			const pairs = { ")": "(", "]": "[" };
+			const stack = [];
+			for (const ch of s) {
+				if (ch === "(" || ch === "[") stack.push(ch);
+				else if (stack[stack.length - 1] === pairs[ch]) stack.pop();
+			}
+		`;
+		const operations = new CodeTracer().trace(code, null);
+		const structureOps = operations.filter((op) => op.structureId).map(withoutSource);
+
+		assert.deepStrictEqual(structureOps, [
+			{
+				type: 'createStructure',
+				structureId: 'pairs',
+				kind: 'hash',
+				label: 'pairs',
+				buckets: 8,
+				entries: [{ key: ')', bucket: 1, value: '(' }, { key: ']', bucket: 5, value: '[' }],
+			},
+			{ type: 'createStructure', structureId: 'stack', kind: 'stack', label: 'stack', items: [] },
+			{ type: 'pushItem', structureId: 'stack', value: '(', end: 'back' },
+			{ type: 'peekItem', structureId: 'stack', value: '(', end: 'back' },
+			{ type: 'hashGet', structureId: 'pairs', key: ']', bucket: 5, found: true, value: '[' },
+		]);
+		assert.strictEqual(operations.find((op) => op.type === 'peekItem').loc.line, 7);
+	});
+
+	test('records lookups and inserts of a Map used for two-sum', () => {
+		const code = `
+			const nums = [2, 7, 11];
+			const seen = new Map();
+			const queue = [];
+			for (let i = 0; i < nums.length; i++) {
+				if (seen.has(9 - nums[i])) queue.push([seen.get(9 - nums[i]), i]);
+				seen.set(nums[i], i);
+			}
+			while (queue.length > 0) queue.shift();
+		`;
+		const operations = new CodeTracer().trace(code, target(code));
+		const structureOps = operations
+			.filter((op) => op.structureId)
+			.map((op) => [op.type, op.structureId, op.key !== undefined ? op.key : op.value, op.found]);
+
+		assert.deepStrictEqual(structureOps, [
+			['createStructure', 'seen', undefined, undefined],
+			['createStructure', 'queue', undefined, undefined],
+			['hashGet', 'seen', 7, false],
+			['hashPut', 'seen', 2, undefined],
+			['hashGet', 'seen', 2, true],
+			['hashGet', 'seen', 2, true],
+			['pushItem', 'queue', [0, 1], undefined],
+			['hashPut', 'seen', 7, undefined],
+			['hashGet', 'seen', -2, false],
+			['hashPut', 'seen', 11, undefined],
+			['popItem', 'queue', [0, 1], undefined],
+		]);
+		assert.strictEqual(operations.find((op) => op.type === 'hashPut').isNew, true);
+		assert.deepStrictEqual(operations[0].array, [2, 7, 11]);
+	});
+
+	test('records the range and probes of a binary search', () => {
+		const code = `
+			const arr = [2, 4, 6, 8, 10];
+			function binarySearch(nums, x) {
+				let lo = 0, hi = nums.length - 1;
+				while (lo <= hi) {
+					const mid = (lo + hi) >> 1;
+					if (nums[mid] === x) return mid;
+					if (nums[mid] < x) lo = mid + 1;
+					else hi = mid - 1;
+				}
+				return -1;
+			}
+			binarySearch(arr, 3);
+		`;
+		const operations = trace(code);
+		const searchOps = operations
+			.filter((op) => ['range', 'probe', 'found', 'notFound', 'sorted'].includes(op.type))
+			.map(withoutSource);
+
+		assert.deepStrictEqual(searchOps, [
+			{ type: 'range', arrayId: 'arr', range: [0, 4] },
+			{ type: 'probe', arrayId: 'arr', index: 2, value: 6, target: 3 },
+			{ type: 'probe', arrayId: 'arr', index: 2, value: 6, target: 3 },
+			{ type: 'range', arrayId: 'arr', range: [0, 1] },
+			{ type: 'probe', arrayId: 'arr', index: 0, value: 2, target: 3 },
+			{ type: 'probe', arrayId: 'arr', index: 0, value: 2, target: 3 },
+			{ type: 'range', arrayId: 'arr', range: [1, 1] },
+			{ type: 'probe', arrayId: 'arr', index: 1, value: 4, target: 3 },
+			{ type: 'probe', arrayId: 'arr', index: 1, value: 4, target: 3 },
+			{ type: 'notFound', arrayId: 'arr', target: 3 },
+		]);
+		assert.strictEqual(operations.find((op) => op.type === 'probe').loc.line, 7);
+	});
+
+	test('reports code that never finishes', () => {
+		assert.throws(
+			() => {
+				const code = 'let arr = [1]; while (true) {}';
+				new CodeTracer({ timeout: 50 }).trace(code, target(code));
+			},
+			/infinite loops/
+		);
+	});
+
+	test('reports async code that never finishes', () => {
+		assert.throws(
+			() => {
+				const code = 'let arr = [1]; (async () => { while (true) await null; })();';
+				new CodeTracer({ timeout: 50 }).trace(code, target(code));
+			},
+			/infinite loops/
+		);
+	});
+
+	test('reports errors thrown by async code nothing awaits', () => {
+		assert.throws(
+			() => trace(`
+				let arr = [2, 1];
+				async function sort(a) {
+					await null;
+					a[0] = a.missing.length;
+				}
+				sort(arr);
+			`),
+			/Error while running code: Cannot read properties of undefined/
+		);
+		assert.doesNotThrow(() => trace(`
+			let arr = [2, 1];
+			async function fail() { throw new Error('handled'); }
+			fail().catch(() => { arr[0] = 0; });
+		`));
+	});
+
+	test('keeps host objects out of the code\'s reach', () => {
+		const attempts = [
+			'__vd.constructor.constructor("return process")()',
+			'__vd.read.constructor("return process")()',
+			'__vd.ref(arr, 0).constructor.constructor("return process")()',
+			'console.log.constructor("return process")()',
+			'(() => { try { __vd.destructure(null); } catch (error) { return error.constructor.constructor("return process")(); } })()',
+		];
+		attempts.forEach((attempt) => {
+			const code = `let arr = [1]; arr[0] = (${attempt}).pid;`;
+			assert.throws(() => trace(code), /process is not defined|Cannot read properties/, attempt);
+		});
+	});
+});
@@ -0,0 +1,25 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const parser = require('@babel/parser');
+
+// The scripts written into web/index.html, as the browser runs them
+function pageScripts() {
+	const html = fs.readFileSync(path.join(__dirname, '..', 'web', 'index.html'), 'utf8');
+	return [...html.matchAll(/<script>([\s\S]*?)<\/script>/g)].map((match) => match[1]);
+}
+
+suite('3D view page', () => {
+	test('declares each of its functions once, so none replaces another', () => {
+		pageScripts().forEach((script) => {
+			const program = parser.parse(script, { sourceType: 'script' }).program;
+			const names = program.body
+				.filter((node) => node.type === 'FunctionDeclaration')
+				.map((node) => node.id.name);
+			const repeated = names.filter((name, k) => names.indexOf(name) !== k);
+
+			assert.ok(names.includes('initThreeJS'));
+			assert.deepStrictEqual(repeated, []);
+		});
+	});
+});
@@ -0,0 +1,88 @@
+const { SCHEMA_VERSION, validateOperations } = require("./web/schema");
+
+/**
+ * Trace files (.vdtrace.json): a visualization saved with what produced it,
+ * to attach to a bug report or hand out with lecture material and replay
+ * later. A trace file holds
+ *
+ *   format      always "visual-debug-trace"
+ *   version     TRACE_VERSION when written, the version of the operation
+ *               schema (web/schema.js); newer versions are refused
+ *   metadata    { createdAt, title?, algorithm?, tracingMode?, ... }
+ *   source      { code, file? } the code traced, or null
+ *   input       { array?, target?, shape?, size?, seed? }, or null
+ *   operations  the operations, as sent to the visualizers, which must
+ *               follow the schema
+ */
+
+const TRACE_FORMAT = "visual-debug-trace";
+const TRACE_VERSION = SCHEMA_VERSION;
+const TRACE_EXTENSION = ".vdtrace.json";
+
+/**
+ * @param {Array} operations
+ * @param {object} [details]
+ * @param {{code: string, file?: string}} [details.source]
+ * @param {object} [details.input]
+ * @param {object} [details.metadata]
+ * @returns {object}
+ */
+function createTrace(operations, details = {}) {
+  return {
+    format: TRACE_FORMAT,
+    version: TRACE_VERSION,
+    metadata: { createdAt: new Date().toISOString(), ...details.metadata },
+    source: details.source || null,
+    input: details.input || null,
+    operations,
+  };
+}
+
+function serializeTrace(trace) {
+  return JSON.stringify(trace, null, 2);
+}
+
+/**
+ * Read a trace file
+ * @param {string} text - The file's contents
+ * @returns {object} - The trace
+ */
+function parseTrace(text) {
+  let trace;
+  try {
+    trace = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Trace is not valid JSON: ${error.message}`);
+  }
+
+  if (!trace || trace.format !== TRACE_FORMAT) {
+    throw new Error("Not a Visual Debug trace");
+  }
+  if (!Number.isInteger(trace.version) || trace.version < 1) {
+    throw new Error("Trace has no valid version");
+  }
+  if (trace.version > TRACE_VERSION) {
+    throw new Error(
+      `Trace version ${trace.version} is newer than this extension supports (${TRACE_VERSION})`
+    );
+  }
+  if (!Array.isArray(trace.operations) || trace.operations.length === 0) {
+    throw new Error("Trace has no operations");
+  }
+  validateOperations(trace.operations);
+
+  return {
+    metadata: {},
+    source: null,
+    input: null,
+    ...trace,
+  };
+}
+
+module.exports = {
+  TRACE_EXTENSION,
+  TRACE_VERSION,
+  createTrace,
+  serializeTrace,
+  parseTrace,
+};
@@ -0,0 +1,2912 @@
+// @ts-nocheck
+const vm = require("vm");
+const parser = require("@babel/parser");
+const traverse = require("@babel/traverse").default;
+const generate = require("@babel/generator").default;
+const t = require("@babel/types");
+const { normalizeGraph, GRAPH_NAME } = require("./graph");
+
+// Name of the runtime object the instrumented code calls
+const RUNTIME = "__vd";
+
+// The runtime methods instrumented code calls, and those whose argument at
+// the given position is a list of element references
+const RUNTIME_METHODS = [
+  "assign",
+  "compare",
+  "destructure",
+  "enter",
+  "erase",
+  "exit",
+  "field",
+  "graph",
+  "invoke",
+  "link",
+  "logicalAssign",
+  "node",
+  "read",
+  "ref",
+  "resize",
+  "returning",
+  "track",
+  "update",
+  "visit",
+  "write",
+];
+const REFERENCE_LISTS = { invoke: 2, destructure: 0 };
+
+// Run inside the code's context, so that everything the code can reach was
+// made there: a silent console, and a runtime object whose methods pass
+// their arguments on to the host's call(). Returns the factories the host
+// uses to hand values back
+const CONTEXT_SETUP = `(function (call, next, methods) {
+  const quiet = () => {};
+  globalThis.console = { log: quiet, info: quiet, warn: quiet, error: quiet };
+
+  const runtime = Object.create(null);
+  methods.split(",").forEach((method) => {
+    runtime[method] = (...args) => call(method, args);
+  });
+  runtime.iterate = function* (iterable) {
+    const iterator = call("iterate", [iterable]);
+    for (let step = next(iterator); !step[0]; step = next(iterator)) {
+      yield step[1];
+    }
+  };
+
+  // Promises the code drops report their rejection, as nothing else would
+  // see it. Taken before the code can replace them
+  const ContextPromise = Promise;
+  const { then } = Promise.prototype;
+  const { apply } = Reflect;
+  runtime.settle = (value) => {
+    if (value instanceof ContextPromise) {
+      apply(then, value, [undefined, (error) => call("reject", [error])]);
+    }
+    return value;
+  };
+  globalThis.${RUNTIME} = Object.freeze(runtime);
+
+  return {
+    handle: () => Object.freeze(Object.create(null)),
+    list: (...items) => items,
+    error: (message) => new Error(message),
+  };
+})`;
+
+// Parameter names recognized as the bounds of the subarray a call works on
+const LOW_BOUND_PARAM = /^(lo|low|left|l|start|begin|from)$/i;
+const HIGH_BOUND_PARAM = /^(hi|high|right|r|end|to)$/i;
+
+// Names that mark code as a search: the function doing it, and the value it
+// compares elements with
+const SEARCH_FUNCTION = /search|find|lookup|indexOf|contains/i;
+const TARGET_NAME = /^(target|key|needle|goal|query|wanted|x)$/i;
+
+// Variable holding the current call frame inside instrumented functions
+const FRAME = "__vdFrame";
+
+// Array methods whose calls are routed through the runtime
+const ARRAY_MUTATORS = [
+  "push",
+  "pop",
+  "shift",
+  "unshift",
+  "splice",
+  "reverse",
+  "fill",
+  "sort",
+];
+
+// Map and Set methods recorded on variables used as hash tables
+const HASH_METHODS = ["get", "set", "has", "add", "delete"];
+
+// Buckets hash table keys are spread over in the visualization
+const HASH_BUCKETS = 8;
+
+// Fields that link the nodes of linked lists and trees
+const LINK_FIELDS = ["next", "prev", "left", "right"];
+
+// Fields holding the value a node stores
+const VALUE_FIELDS = ["value", "val", "data", "key"];
+
+// Variable names that give an array or object a role in a graph traversal:
+// the frontier of nodes waiting to be expanded, the distance of each node,
+// and the path or order the traversal produces
+const FRONTIER_NAME = /queue|stack|frontier|heap|^(q|s|pq|open|toVisit)$/i;
+const DISTANCE_NAME = /dist|cost/i;
+const PATH_NAME = /path|order|route|topo|sorted|^result$/i;
+
+// Fields naming the node of a frontier entry such as { node, dist }
+const ENTRY_NODE_FIELDS = ["node", "vertex", "id", "to"];
+
+// Longest auxiliary array that gets its own row in the visualization
+const MAX_AUX_ARRAY_LENGTH = 200;
+
+const COMPARISON_OPERATORS = ["<", ">", "<=", ">=", "==", "===", "!=", "!=="];
+
+const COMPOUND_OPERATORS = {
+  "+=": (a, b) => a + b,
+  "-=": (a, b) => a - b,
+  "*=": (a, b) => a * b,
+  "/=": (a, b) => a / b,
+  "%=": (a, b) => a % b,
+  "**=": (a, b) => a ** b,
+  "<<=": (a, b) => a << b,
+  ">>=": (a, b) => a >> b,
+  ">>>=": (a, b) => a >>> b,
+  "&=": (a, b) => a & b,
+  "|=": (a, b) => a | b,
+  "^=": (a, b) => a ^ b,
+};
+
+// Whether a logical assignment keeps the current value, without evaluating
+// the right-hand side
+const LOGICAL_OPERATORS = {
+  "&&=": (current) => !current,
+  "||=": (current) => Boolean(current),
+  "??=": (current) => current !== null && current !== undefined,
+};
+
+/**
+ * A reference to an array element, produced for operands of comparisons so
+ * the runtime knows which indices were compared
+ */
+class ElementRef {
+  constructor(array, index, value) {
+    this.array = array;
+    this.index = index;
+    this.value = value;
+  }
+}
+
+function isIndex(key) {
+  const index = typeof key === "string" ? Number(key) : key;
+  return Number.isInteger(index) && index >= 0;
+}
+
+function unwrap(value) {
+  return value instanceof ElementRef ? value.value : value;
+}
+
+/**
+ * Whether an array holds only numbers (or empty slots), so it can be drawn
+ */
+function isNumericArray(array) {
+  if (array.length > MAX_AUX_ARRAY_LENGTH) return false;
+  for (let i = 0; i < array.length; i++) {
+    if (array[i] !== undefined && typeof array[i] !== "number") return false;
+  }
+  return true;
+}
+
+/**
+ * Whether an array is a 2D table of numbers, such as a DP table or a grid
+ */
+function isGrid(array) {
+  if (
+    !Array.isArray(array) ||
+    array.length === 0 ||
+    array.length > MAX_AUX_ARRAY_LENGTH
+  ) {
+    return false;
+  }
+  // A loop rather than every(), which would skip the holes of new Array(n)
+  for (let i = 0; i < array.length; i++) {
+    if (!Array.isArray(array[i]) || !isNumericArray(array[i])) return false;
+  }
+  return true;
+}
+
+/**
+ * Resolve a start/end argument the way Array.prototype methods do, counting
+ * negative values back from the end
+ */
+function relativeIndex(value, length, fallback) {
+  if (value === undefined) return fallback;
+  const n = Math.trunc(Number(value)) || 0;
+  return n < 0 ? Math.max(length + n, 0) : Math.min(n, length);
+}
+
+/**
+ * Whether an object is a linked list or tree node, i.e. has a link field of
+ * its own such as next or left
+ */
+function isNode(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    LINK_FIELDS.some((field) => Object.prototype.hasOwnProperty.call(value, field))
+  );
+}
+
+function nodeValue(node) {
+  const field = VALUE_FIELDS.find((name) => isScalar(node[name]));
+  return field === undefined ? undefined : node[field];
+}
+
+function isScalar(value) {
+  return ["number", "string", "boolean"].includes(typeof value);
+}
+
+/**
+ * A copy of a value that can go into an operation: scalars as they are,
+ * anything else as plain JSON data
+ */
+function toDisplay(value) {
+  if (value === null || value === undefined || isScalar(value)) return value;
+  try {
+    return JSON.parse(JSON.stringify(value));
+  } catch {
+    return String(value);
+  }
+}
+
+/**
+ * The bucket a hash table key lands in, the same for every run
+ */
+function bucketOf(key) {
+  const text = String(key);
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+  }
+  return hash % HASH_BUCKETS;
+}
+
+/**
+ * Whether two element values are the same: the same value, or records with
+ * the same contents once one of them has been copied into an operation
+ */
+function sameValue(a, b) {
+  if (Object.is(a, b)) return true;
+  return (
+    a !== null &&
+    b !== null &&
+    typeof a === "object" &&
+    typeof b === "object" &&
+    JSON.stringify(a) === JSON.stringify(b)
+  );
+}
+
+/**
+ * For an array of records (objects), the field it is sorted by and a field
+ * that names each record. The sort key is the field the code compares if
+ * known, else the first numeric field; the label is the first string field
+ * @param {Array} array
+ * @param {string|null} [sortKey] - The field the code compares, from
+ *   findSortKey()
+ * @returns {{sortKey: string, labelKey?: string}|null} - null if the array
+ *   holds no records
+ */
+function recordKeys(array, sortKey = null) {
+  const records = Array.from(array).filter(
+    (value) => value !== null && typeof value === "object"
+  );
+  if (records.length === 0) return null;
+
+  const fields = Object.keys(records[0]);
+  const every = (type) => (field) =>
+    records.every((record) => typeof record[field] === type);
+  const key =
+    sortKey && fields.includes(sortKey)
+      ? sortKey
+      : fields.find(every("number")) || fields[0];
+  if (key === undefined) return null;
+
+  const labelKey = fields.find(
+    (field) => field !== key && every("string")(field)
+  );
+  return labelKey ? { sortKey: key, labelKey } : { sortKey: key };
+}
+
+/**
+ * The value an element is ordered by: the sort key of a record, the element
+ * itself otherwise
+ */
+function keyOf(value, keys) {
+  return keys && value !== null && typeof value === "object"
+    ? value[keys.sortKey]
+    : value;
+}
+
+/**
+ * The order Array.prototype.sort puts elements in without a comparator:
+ * by their string form, with undefined last
+ */
+function defaultCompare(a, b) {
+  if (a === undefined) return b === undefined ? 0 : 1;
+  if (b === undefined) return -1;
+  const x = String(a);
+  const y = String(b);
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+/**
+ * A stable insertion sort standing in for Array.prototype.sort, so that
+ * each comparison and swap it makes can be shown. Sorts the array in place
+ * @param {Array} array
+ * @param {function(*, *): number} [compare] - The comparator sort() was
+ *   given
+ * @param {object} steps
+ * @param {function(number, number, number)} steps.onCompare - Called with
+ *   the indices compared and the comparator's result
+ * @param {function(number, number)} steps.onSwap - Called before two
+ *   neighbors are swapped
+ */
+function referenceSort(array, compare, { onCompare, onSwap }) {
+  const order = compare || defaultCompare;
+  for (let i = 1; i < array.length; i++) {
+    for (let j = i; j > 0; j--) {
+      const result = Number(order(array[j - 1], array[j]));
+      onCompare(j - 1, j, result);
+      // NaN counts as equal, as in sort()
+      if (!(result > 0)) break;
+      onSwap(j - 1, j);
+      [array[j - 1], array[j]] = [array[j], array[j - 1]];
+    }
+  }
+  return array;
+}
+
+function hasKey(table, key) {
+  return typeof table.has === "function"
+    ? table.has(key)
+    : Object.prototype.hasOwnProperty.call(table, key);
+}
+
+function compareValues(op, a, b) {
+  switch (op) {
+    case "<":
+      return a < b;
+    case ">":
+      return a > b;
+    case "<=":
+      return a <= b;
+    case ">=":
+      return a >= b;
+    case "==":
+      return a == b;
+    case "===":
+      return a === b;
+    case "!=":
+      return a != b;
+    case "!==":
+      return a !== b;
+  }
+  throw new Error(`Unsupported comparison operator: ${op}`);
+}
+
+/**
+ * Records what the instrumented code does to tracked arrays and turns it
+ * into visualization operations
+ */
+class TraceRuntime {
+  /**
+   * @param {number} maxOperations - Max number of operations to record
+   * @param {Array} [locations] - Source locations the instrumented code
+   *   refers to by index
+   * @param {object} [analysis] - What was learned from the code before it
+   *   ran
+   * @param {string[]} [analysis.pointers] - Variables used as indices
+   * @param {boolean} [analysis.usesFrontier] - Whether a graph traversal
+   *   keeps a queue or stack
+   * @param {Map<string, string>} [analysis.structures] - The stack, queue or
+   *   hash view of variables, from findStructures()
+   * @param {string|null} [analysis.sortKey] - The field records in the
+   *   array are compared by, from findSortKey()
+   * @param {{low: string|null, high: string|null}|null} [analysis.search] -
+   *   The bounds of a search through the array, from findSearch()
+   */
+  constructor(maxOperations, locations = [], analysis = {}) {
+    this.maxOperations = maxOperations;
+    this.locations = locations;
+    this.location = null;
+    this.scope = null;
+    this.pointers = analysis.pointers || [];
+    this.sortKey = analysis.sortKey || null;
+    this.recordKeys = null;
+    this.search = analysis.search || null;
+    this.searchRange = null;
+    this.lastProbe = null;
+    this.hit = null;
+    this.structureKinds = analysis.structures || new Map();
+    this.structures = new Map();
+    this.operations = [];
+    this.array = null;
+    this.arrays = new Map();
+    this.nodes = new Map();
+    this.graphs = new Map();
+    this.currentGraph = null;
+    this.frontiers = new Set();
+    this.distances = new Set();
+    this.paths = [];
+    this.grids = new Map();
+    this.gridRows = new Map();
+    this.cellReads = [];
+    this.distanceOf = new Map();
+    this.usesFrontier = Boolean(analysis.usesFrontier);
+    this.expanding = null;
+    this.dequeued = false;
+    this.labelCounts = new Map();
+    this.pending = [];
+    this.frames = [];
+    this.lastTouched = new Map();
+    this.limitExceeded = false;
+    this.rejection = null;
+    this.stats = { reads: 0, writes: 0 };
+  }
+
+  get mainId() {
+    return this.idOf(this.array);
+  }
+
+  emit(op) {
+    if (this.limitExceeded) return;
+    if (this.operations.length >= this.maxOperations) {
+      this.limitExceeded = true;
+      throw new Error(
+        `Trace exceeded ${this.maxOperations} operations. Try a smaller array.`
+      );
+    }
+    if (this.location && !op.loc) op.loc = this.location;
+    if (this.scope && !op.vars) Object.assign(op, this.snapshot());
+
+    // Records in an operation are copies, so later changes to them don't
+    // rewrite what earlier operations saw
+    ["value", "oldValue"].forEach((field) => {
+      if (op[field] !== null && typeof op[field] === "object") {
+        op[field] = toDisplay(op[field]);
+      }
+    });
+    if (op.values) op.values = Array.from(op.values, toDisplay);
+    if (op.array) op.array = Array.from(op.array, toDisplay);
+    this.operations.push(op);
+
+    // Only the main array is checked for settled (sorted) positions
+    const ids = op.arrayIds || (op.indices || []).map(() => op.arrayId);
+    (op.indices || []).forEach((index, k) => {
+      if (ids[k] === this.mainId) this.touch(index);
+    });
+    if (op.index !== undefined && op.arrayId === this.mainId) {
+      this.touch(op.index);
+    }
+  }
+
+  /**
+   * Remember which source location the next operations come from. Calls the
+   * runtime makes to itself pass no location and keep the current one
+   * @param {number|null} [at] - Index into the locations table
+   * @param {Function} [scope] - Returns the local variables at that location
+   */
+  locate(at, scope) {
+    if (at !== undefined) {
+      this.location = at === null ? null : this.locations[at];
+      this.scope = scope || null;
+    }
+  }
+
+  /**
+   * The local variables in scope right now: scalars such as loop counters as
+   * `vars`, and variables pointing at tracked nodes (e.g. cur) as `refs`
+   */
+  snapshot() {
+    let values;
+    try {
+      values = this.scope();
+    } catch {
+      // A variable still in its temporal dead zone, e.g. across switch cases
+      return { vars: {} };
+    }
+
+    const vars = {};
+    const refs = {};
+    Object.keys(values).forEach((name) => {
+      if (isScalar(values[name])) vars[name] = values[name];
+      if (this.nodes.has(values[name])) refs[name] = this.nodes.get(values[name]);
+    });
+    return Object.keys(refs).length > 0 ? { vars, refs } : { vars };
+  }
+
+  touch(index) {
+    this.lastTouched.set(index, this.operations.length);
+  }
+
+  idOf(array) {
+    const entry = this.arrays.get(array);
+    return entry ? entry.id : undefined;
+  }
+
+  isTracked(obj, key) {
+    return this.arrays.has(obj) && isIndex(key);
+  }
+
+  /**
+   * Start tracking an array. The literal found by the parser is the main
+   * array; any other array of numbers becomes an auxiliary array labelled
+   * with the variable or parameter that holds it
+   */
+  track(value, label, main = false, at, scope) {
+    this.locate(at, scope);
+    if (this.currentGraph) this.trackGraphRole(value, label);
+    const kind = this.structureKinds.get(label);
+    if (
+      kind &&
+      !main &&
+      !this.frontiers.has(value) &&
+      !this.distances.has(value) &&
+      this.trackStructure(value, label, kind)
+    ) {
+      return value;
+    }
+    if (
+      !Array.isArray(value) ||
+      this.arrays.has(value) ||
+      this.gridRows.has(value)
+    ) {
+      return value;
+    }
+    if (
+      isGrid(value) &&
+      !this.graphs.has(value) &&
+      !this.frontiers.has(value)
+    ) {
+      this.trackGrid(value, label);
+      return value;
+    }
+
+    if (this.array === null) {
+      if (main) {
+        this.register(value, label);
+        this.array = value;
+        const init = { type: "init", arrayId: this.mainId, array: [...value] };
+        if (this.pointers.length > 0) init.pointers = this.pointers;
+        this.recordKeys = recordKeys(value, this.sortKey);
+        if (this.recordKeys) Object.assign(init, this.recordKeys);
+        this.emit(init);
+
+        // Arrays created before the main one appear with their contents now
+        this.pending.forEach((entry) => {
+          if (entry.kind) {
+            this.trackStructure(entry.array, entry.label, entry.kind);
+          } else if (isGrid(entry.array)) {
+            this.trackGrid(entry.array, entry.label);
+          } else {
+            this.createArray(entry.array, entry.label);
+          }
+        });
+        this.pending = [];
+      } else if (
+        isNumericArray(value) &&
+        !this.pending.some((entry) => entry.array === value)
+      ) {
+        this.pending.push({ array: value, label });
+      }
+      return value;
+    }
+
+    if (isNumericArray(value)) {
+      this.createArray(value, label);
+    }
+    return value;
+  }
+
+  /**
+   * An id for a new array or grid: its label, numbered from the second one
+   * on, e.g. "left#2"
+   */
+  nextId(label) {
+    const count = (this.labelCounts.get(label) || 0) + 1;
+    this.labelCounts.set(label, count);
+    return count === 1 ? label : `${label}#${count}`;
+  }
+
+  register(array, label) {
+    const name = label || "array";
+    this.arrays.set(array, { id: this.nextId(name), label: name });
+  }
+
+  /**
+   * Start tracking a 2D array. Its rows are remembered so that dp[i][j]
+   * reads and writes can be told apart from those of plain arrays
+   */
+  trackGrid(grid, label) {
+    if (this.grids.has(grid)) return;
+
+    // Before the main array exists there is no init operation to follow
+    if (this.array === null && this.operations.length === 0) {
+      if (!this.pending.some((entry) => entry.array === grid)) {
+        this.pending.push({ array: grid, label });
+      }
+      return;
+    }
+
+    const name = label || "grid";
+    const entry = { id: this.nextId(name) };
+    this.grids.set(grid, entry);
+    grid.forEach((row, r) => this.gridRows.set(row, { grid: entry, row: r }));
+    this.emit({
+      type: "createGrid",
+      gridId: entry.id,
+      label: name,
+      grid: Array.from(grid, (row) => Array.from(row)),
+    });
+  }
+
+  createArray(array, label) {
+    this.register(array, label);
+    this.emit({
+      type: "createArray",
+      arrayId: this.idOf(array),
+      label: this.arrays.get(array).label,
+      array: [...array],
+    });
+  }
+
+  read(obj, key, at, scope) {
+    if (this.isTracked(obj, key)) {
+      this.stats.reads++;
+    }
+    if (this.structures.has(obj)) {
+      this.locate(at, scope);
+      this.structureRead(obj, key);
+    }
+    if (this.graphs.has(obj)) {
+      this.locate(at, scope);
+      this.expand(this.graphs.get(obj), key);
+    }
+    if (this.gridRows.has(obj) && isIndex(key)) {
+      this.locate(at, scope);
+      this.readCell(obj, Number(key));
+    }
+    return obj[key];
+  }
+
+  /**
+   * A cell read becomes a dependency of the next cell written, as in
+   * dp[i][j] = dp[i - 1][j] + dp[i][j - 1]
+   */
+  readCell(row, col) {
+    const { grid, row: r } = this.gridRows.get(row);
+    const cell = [r, col];
+    this.cellReads.push({ gridId: grid.id, cell });
+    this.emit({ type: "readCell", gridId: grid.id, cell, value: row[col] });
+  }
+
+  writeCell(row, col, value) {
+    const { grid, row: r } = this.gridRows.get(row);
+    const deps = [];
+    this.cellReads.forEach(({ gridId, cell }) => {
+      const same = (other) => other[0] === cell[0] && other[1] === cell[1];
+      if (
+        gridId === grid.id &&
+        !(cell[0] === r && cell[1] === col) &&
+        !deps.some(same)
+      ) {
+        deps.push(cell);
+      }
+    });
+    this.cellReads = [];
+    this.emit({
+      type: "writeCell",
+      gridId: grid.id,
+      cell: [r, col],
+      oldValue: row[col],
+      value,
+      deps,
+    });
+  }
+
+  ref(obj, key, at, scope) {
+    const value = this.read(obj, key, at, scope);
+    if (this.isTracked(obj, key)) {
+      return new ElementRef(obj, Number(key), value);
+    }
+    return value;
+  }
+
+  /**
+   * A field of an element, such as arr[j].age, still compared as that
+   * element
+   */
+  field(ref, name) {
+    if (!(ref instanceof ElementRef)) return ref[name];
+    const value =
+      ref.value === null || ref.value === undefined
+        ? undefined
+        : ref.value[name];
+    return new ElementRef(ref.array, ref.index, value);
+  }
+
+  compare(op, left, right, at, scope) {
+    this.locate(at, scope);
+    const a = unwrap(left);
+    const b = unwrap(right);
+    const refs = [left, right].filter(
+      (operand) => operand instanceof ElementRef
+    );
+
+    if (this.search && refs.length === 1) {
+      const target = left instanceof ElementRef ? b : a;
+      if (isScalar(target)) {
+        this.probe(refs[0], target);
+        return compareValues(op, a, b);
+      }
+    }
+
+    if (refs.length > 0) {
+      // Element values come first so they line up with the indices
+      const values = left instanceof ElementRef ? [a, b] : [b, a];
+      const arrayIds = refs.map((ref) => this.idOf(ref.array));
+      const compare = {
+        type: "compare",
+        arrayId: arrayIds[0],
+        indices: refs.map((ref) => ref.index),
+        values,
+      };
+      if (arrayIds.some((id) => id !== compare.arrayId)) {
+        compare.arrayIds = arrayIds;
+      }
+      this.emit(compare);
+    }
+
+    return compareValues(op, a, b);
+  }
+
+  /**
+   * Compare an element with the target of a search, after narrowing the
+   * range to the part of the array still searched
+   */
+  probe(ref, target) {
+    const arrayId = this.idOf(ref.array);
+    const range = this.searchBounds(ref);
+    if (
+      range &&
+      !(
+        this.searchRange &&
+        this.searchRange[0] === range[0] &&
+        this.searchRange[1] === range[1]
+      )
+    ) {
+      this.searchRange = range;
+      this.emit({ type: "range", arrayId, range });
+    }
+
+    this.emit({
+      type: "probe",
+      arrayId,
+      index: ref.index,
+      value: ref.value,
+      target,
+    });
+    this.lastProbe = { arrayId, target };
+    if (sameValue(ref.value, target)) {
+      this.hit = { arrayId, index: ref.index, value: ref.value };
+    }
+  }
+
+  /**
+   * The part of the array a search hasn't ruled out yet: between the lo/hi
+   * style variables in scope, or after the element a linear scan reached
+   * @returns {number[]|null} - null if it can't be told
+   */
+  searchBounds(ref) {
+    const { vars } = this.scope ? this.snapshot() : { vars: {} };
+    const { low, high } = this.search;
+    const last = ref.array.length - 1;
+    if (Number.isInteger(vars[low]) || Number.isInteger(vars[high])) {
+      return [
+        Number.isInteger(vars[low]) ? Math.max(vars[low], 0) : 0,
+        Number.isInteger(vars[high]) ? Math.min(vars[high], last) : last,
+      ];
+    }
+
+    const previous = this.searchRange ? this.searchRange[0] : -1;
+    return ref.index === previous + 1 ? [ref.index, last] : null;
+  }
+
+  /**
+   * End a search with the last element that matched the target, or with
+   * notFound if none did
+   * @returns {boolean} - Whether the code searched at all
+   */
+  finishSearch() {
+    if (!this.lastProbe) return false;
+    if (this.hit) {
+      this.emit({ type: "found", ...this.hit });
+    } else {
+      this.emit({ type: "notFound", ...this.lastProbe });
+    }
+    return true;
+  }
+
+  /**
+   * Iterate a for-of loop, recording a read of every element of a tracked
+   * array it visits
+   */
+  *iterate(iterable) {
+    if (!this.arrays.has(iterable)) {
+      yield* iterable;
+      return;
+    }
+    for (let i = 0; i < iterable.length; i++) {
+      if (iterable === this.array) this.touch(i);
+      yield this.read(iterable, i);
+    }
+  }
+
+  /**
+   * Assign to an element. When the value was read straight from another
+   * element (arr[j + 1] = arr[j]) it arrives as an ElementRef, so the set
+   * operation can show where it moved from
+   */
+  write(obj, key, value, at, scope) {
+    this.locate(at, scope);
+    const plain = unwrap(value);
+
+    if (this.distances.has(obj) && this.currentGraph.nodes.has(String(key))) {
+      this.setDistance(String(key), plain);
+    }
+
+    const structure = this.structures.get(obj);
+    if (structure && structure.kind === "hash") {
+      this.emit({
+        type: "hashPut",
+        structureId: structure.id,
+        key: toDisplay(key),
+        value: toDisplay(plain),
+        isNew: !hasKey(obj, key),
+        bucket: bucketOf(key),
+      });
+    }
+
+    if (this.gridRows.has(obj) && isIndex(key)) {
+      this.writeCell(obj, Number(key), plain);
+    } else if (
+      this.grids.has(obj) &&
+      isIndex(key) &&
+      Array.isArray(plain) &&
+      isNumericArray(plain)
+    ) {
+      // A whole row replaced, e.g. dp[i] = new Array(m).fill(0)
+      const grid = this.grids.get(obj);
+      this.gridRows.set(plain, { grid, row: Number(key) });
+      const previous = obj[key] || [];
+      plain.forEach((cell, col) =>
+        this.emit({
+          type: "writeCell",
+          gridId: grid.id,
+          cell: [Number(key), col],
+          oldValue: previous[col],
+          value: cell,
+          deps: [],
+        })
+      );
+    }
+
+    if (this.isTracked(obj, key)) {
+      const set = {
+        type: "set",
+        arrayId: this.idOf(obj),
+        index: Number(key),
+        oldValue: obj[key],
+        value: plain,
+        ...this.sourceOf(obj, value),
+      };
+      const previous = this.operations[this.operations.length - 1];
+
+      if (this.completesSwap(previous, set)) {
+        // let t = a[i]; a[i] = a[j]; a[j] = t; is a swap
+        this.operations.pop();
+        const swap = {
+          type: "swap",
+          arrayId: set.arrayId,
+          indices: [previous.index, set.index],
+          values: [previous.oldValue, previous.value],
+          loc: previous.loc,
+          vars: previous.vars,
+        };
+        if (previous.refs) swap.refs = previous.refs;
+        this.emit(swap);
+      } else {
+        this.emit(set);
+      }
+      this.stats.writes++;
+    }
+
+    obj[key] = plain;
+    return plain;
+  }
+
+  /**
+   * Whether a set puts back the value the previous set overwrote, in the slot
+   * that set copied from
+   */
+  completesSwap(previous, set) {
+    return (
+      previous !== undefined &&
+      previous.type === "set" &&
+      previous.arrayId === set.arrayId &&
+      previous.fromArrayId === undefined &&
+      previous.from === set.index &&
+      previous.index !== set.index &&
+      set.from === undefined &&
+      sameValue(set.value, previous.oldValue)
+    );
+  }
+
+  /**
+   * Insert an element, shifting the ones after it
+   */
+  insert(obj, index, value) {
+    const plain = unwrap(value);
+    this.emit({
+      type: "insert",
+      arrayId: this.idOf(obj),
+      index,
+      value: plain,
+      ...this.sourceOf(obj, value),
+    });
+    this.stats.writes++;
+    obj.splice(index, 0, plain);
+  }
+
+  /**
+   * Remove an element, shifting the ones after it back
+   * @returns {*} - The removed value
+   */
+  remove(obj, index) {
+    this.emit({
+      type: "remove",
+      arrayId: this.idOf(obj),
+      index,
+      value: obj[index],
+    });
+    this.stats.writes++;
+    return obj.splice(index, 1)[0];
+  }
+
+  swap(array, a, b) {
+    this.emit({
+      type: "swap",
+      arrayId: this.idOf(array),
+      indices: [a, b],
+      values: [array[a], array[b]],
+    });
+    this.stats.writes += 2;
+    [array[a], array[b]] = [array[b], array[a]];
+  }
+
+  /**
+   * Where a value written into `target` was read from, if it came straight
+   * from an element
+   */
+  sourceOf(target, value) {
+    if (!(value instanceof ElementRef)) return {};
+    if (value.array === target) return { from: value.index };
+    return { from: value.index, fromArrayId: this.idOf(value.array) };
+  }
+
+  assign(obj, key, op, value, at, scope) {
+    this.locate(at, scope);
+    const current = this.read(obj, key);
+    return this.write(obj, key, COMPOUND_OPERATORS[op](current, value));
+  }
+
+  /**
+   * A logical assignment such as arr[i] ||= x, which only writes, and only
+   * evaluates x, when the element doesn't decide the result by itself
+   * @param {Function} valueOf - Evaluates the right-hand side
+   */
+  logicalAssign(obj, key, op, valueOf, at, scope) {
+    this.locate(at, scope);
+    const current = this.read(obj, key);
+    if (LOGICAL_OPERATORS[op](current)) return current;
+    return this.write(obj, key, valueOf(), at, scope);
+  }
+
+  update(obj, key, op, prefix, at, scope) {
+    this.locate(at, scope);
+    const current = Number(this.read(obj, key));
+    const next = op === "++" ? current + 1 : current - 1;
+    this.write(obj, key, next);
+    return prefix ? next : current;
+  }
+
+  /**
+   * Assign to the length of an array, as in arr.length = 0 or
+   * arr.length -= 1. Elements cut off a tracked array are removed from its
+   * end, and slots added to it are inserted empty
+   * @returns {number} - The new length
+   */
+  resize(obj, op, value, at, scope) {
+    this.locate(at, scope);
+    const length =
+      op === "=" ? value : COMPOUND_OPERATORS[op](obj.length, value);
+
+    if (this.arrays.has(obj) && Number.isInteger(length) && length >= 0) {
+      while (obj.length > length) {
+        this.remove(obj, obj.length - 1);
+      }
+      for (let index = obj.length; index < length; index++) {
+        this.emit({ type: "insert", arrayId: this.idOf(obj), index });
+        this.stats.writes++;
+      }
+    }
+    obj.length = length;
+    return length;
+  }
+
+  /**
+   * delete obj[key]. An element deleted from a tracked array leaves an
+   * empty slot, and a key deleted from a hash table is removed from it
+   */
+  erase(obj, key, at, scope) {
+    this.locate(at, scope);
+    const structure = this.structures.get(obj);
+    if (structure && structure.kind === "hash") {
+      this.emit({
+        type: "hashDelete",
+        structureId: structure.id,
+        key: toDisplay(key),
+        bucket: bucketOf(key),
+        found: hasKey(obj, key),
+      });
+    }
+    if (this.isTracked(obj, key) && Number(key) < obj.length) {
+      this.emit({
+        type: "set",
+        arrayId: this.idOf(obj),
+        index: Number(key),
+        oldValue: obj[key],
+        value: undefined,
+      });
+      this.stats.writes++;
+    }
+    return delete obj[key];
+  }
+
+  /**
+   * Call a method on an object, recording the effect of array mutators on
+   * tracked arrays
+   */
+  invoke(obj, method, args, at, scope) {
+    this.locate(at, scope);
+    if (this.structures.has(obj)) {
+      this.structureCall(obj, method, args.map(unwrap));
+    }
+    if (this.frontiers.has(obj)) {
+      return this.frontier(obj, method, args.map(unwrap));
+    }
+    if (this.arrays.has(obj)) {
+      switch (method) {
+        case "push":
+          args.forEach((arg) => this.insert(obj, obj.length, arg));
+          return obj.length;
+        case "unshift":
+          args.forEach((arg, k) => this.insert(obj, k, arg));
+          return obj.length;
+        case "pop":
+          return obj.length > 0 ? this.remove(obj, obj.length - 1) : undefined;
+        case "shift":
+          return obj.length > 0 ? this.remove(obj, 0) : undefined;
+        case "splice":
+          return this.splice(obj, args);
+        case "reverse":
+          for (let i = 0, j = obj.length - 1; i < j; i++, j--) {
+            this.swap(obj, i, j);
+          }
+          return obj;
+        case "fill":
+          return this.fill(obj, args);
+        case "sort":
+          return this.sort(obj, unwrap(args[0]));
+      }
+    }
+    return obj[method](...args.map(unwrap));
+  }
+
+  /**
+   * Array.prototype.sort as the compares and swaps of referenceSort(),
+   * calling the code's own comparator
+   */
+  sort(obj, compare) {
+    if (compare !== undefined && typeof compare !== "function") {
+      throw new TypeError(
+        "The comparison function must be either a function or undefined"
+      );
+    }
+    const id = this.idOf(obj);
+    // The comparator may run code that moves the location on
+    const { location, scope } = this;
+    const restore = () => {
+      this.location = location;
+      this.scope = scope;
+    };
+
+    return referenceSort(obj, compare, {
+      onCompare: (a, b, result) => {
+        restore();
+        this.stats.reads += 2;
+        this.emit({
+          type: "compare",
+          arrayId: id,
+          indices: [a, b],
+          values: [obj[a], obj[b]],
+          result,
+        });
+      },
+      onSwap: (a, b) => {
+        this.emit({
+          type: "swap",
+          arrayId: id,
+          indices: [a, b],
+          values: [obj[a], obj[b]],
+        });
+        this.stats.writes += 2;
+      },
+    });
+  }
+
+  /**
+   * Array.prototype.splice as a run of removes followed by inserts
+   */
+  splice(obj, args) {
+    if (args.length === 0) return obj.slice(0, 0);
+
+    const length = obj.length;
+    const start = relativeIndex(unwrap(args[0]), length, 0);
+    const deleteCount =
+      args.length < 2
+        ? length - start
+        : Math.min(
+            Math.max(Math.trunc(Number(unwrap(args[1]))) || 0, 0),
+            length - start
+          );
+
+    // Sliced from the array itself so the result belongs to the code's context
+    const removed = obj.slice(start, start + deleteCount);
+    for (let k = 0; k < deleteCount; k++) {
+      this.remove(obj, start);
+    }
+    args.slice(2).forEach((arg, k) => this.insert(obj, start + k, arg));
+    return removed;
+  }
+
+  /**
+   * Array.prototype.fill as one set per element it overwrites
+   */
+  fill(obj, args) {
+    const length = obj.length;
+    const start = relativeIndex(unwrap(args[1]), length, 0);
+    const end = relativeIndex(unwrap(args[2]), length, length);
+    for (let i = start; i < end; i++) {
+      this.write(obj, i, args[0]);
+    }
+    return obj;
+  }
+
+  /**
+   * Show an array as a stack or queue, or a Map, Set or object as a hash
+   * table, as findStructures() tagged the variable holding it
+   * @returns {boolean} - Whether the value fits the view
+   */
+  trackStructure(value, label, kind) {
+    if (this.structures.has(value)) return true;
+
+    const type = Object.prototype.toString.call(value);
+    const fits =
+      kind === "hash"
+        ? ["[object Map]", "[object Set]", "[object Object]"].includes(type)
+        : Array.isArray(value);
+    if (!fits) return false;
+
+    // Before the main array exists there is no init operation to follow
+    if (this.array === null && this.operations.length === 0) {
+      if (!this.pending.some((entry) => entry.array === value)) {
+        this.pending.push({ array: value, label, kind });
+      }
+      return true;
+    }
+
+    const structure = { id: this.nextId(label), kind };
+    this.structures.set(value, structure);
+    const op = {
+      type: "createStructure",
+      structureId: structure.id,
+      kind,
+      label,
+    };
+    if (kind === "hash") {
+      op.buckets = HASH_BUCKETS;
+      op.entries = this.entriesOf(value, type);
+    } else {
+      op.items = Array.from(value, toDisplay);
+    }
+    this.emit(op);
+    return true;
+  }
+
+  entriesOf(table, type) {
+    const pairs =
+      type === "[object Map]"
+        ? Array.from(table.entries())
+        : type === "[object Set]"
+        ? Array.from(table.values(), (key) => [key])
+        : Object.entries(table);
+    return pairs.map((pair) => {
+      const entry = { key: toDisplay(pair[0]), bucket: bucketOf(pair[0]) };
+      if (pair.length > 1) entry.value = toDisplay(pair[1]);
+      return entry;
+    });
+  }
+
+  /**
+   * Record what a method call does to a stack, queue or hash table, before
+   * it runs
+   */
+  structureCall(obj, method, args) {
+    const { id, kind } = this.structures.get(obj);
+
+    if (kind !== "hash") {
+      const item = (type, value, end) =>
+        this.emit({ type, structureId: id, value: toDisplay(value), end });
+      switch (method) {
+        case "push":
+          args.forEach((arg) => item("pushItem", arg, "back"));
+          break;
+        case "unshift":
+          [...args].reverse().forEach((arg) => item("pushItem", arg, "front"));
+          break;
+        case "pop":
+          if (obj.length > 0) item("popItem", obj[obj.length - 1], "back");
+          break;
+        case "shift":
+          if (obj.length > 0) item("popItem", obj[0], "front");
+          break;
+      }
+      return;
+    }
+
+    const [key] = args;
+    const fields = {
+      structureId: id,
+      key: toDisplay(key),
+      bucket: bucketOf(key),
+    };
+    switch (method) {
+      case "set":
+        this.emit({
+          type: "hashPut",
+          ...fields,
+          value: toDisplay(args[1]),
+          isNew: !obj.has(key),
+        });
+        break;
+      case "add":
+        this.emit({ type: "hashPut", ...fields, isNew: !obj.has(key) });
+        break;
+      case "get":
+        this.emit({
+          type: "hashGet",
+          ...fields,
+          found: obj.has(key),
+          value: toDisplay(obj.get(key)),
+        });
+        break;
+      case "has":
+        this.emit({ type: "hashGet", ...fields, found: obj.has(key) });
+        break;
+      case "delete":
+        this.emit({ type: "hashDelete", ...fields, found: obj.has(key) });
+        break;
+    }
+  }
+
+  /**
+   * Reading the top of a stack (stack[stack.length - 1]) or the front of a
+   * queue (queue[0]) peeks at it; reading a key of an object used as a hash
+   * table looks it up
+   */
+  structureRead(obj, key) {
+    const { id, kind } = this.structures.get(obj);
+    if (kind === "hash") {
+      this.emit({
+        type: "hashGet",
+        structureId: id,
+        key: toDisplay(key),
+        bucket: bucketOf(key),
+        found: hasKey(obj, key),
+        value: toDisplay(obj[key]),
+      });
+      return;
+    }
+
+    const index = Number(key);
+    const end =
+      kind === "stack" && index === obj.length - 1
+        ? "back"
+        : kind === "queue" && index === 0
+        ? "front"
+        : null;
+    if (end && obj.length > 0) {
+      this.emit({
+        type: "peekItem",
+        structureId: id,
+        value: toDisplay(obj[index]),
+        end,
+      });
+    }
+  }
+
+  /**
+   * Start tracking a linked list or tree node, such as a { value, next }
+   * literal or an instance of a Node class. Nodes it already links to are
+   * tracked first
+   */
+  node(obj, at, scope) {
+    this.locate(at, scope);
+    if (!isNode(obj) || this.nodes.has(obj)) return obj;
+
+    const id = `n${this.nodes.size + 1}`;
+    this.nodes.set(obj, id);
+    this.emit({ type: "createNode", nodeId: id, value: nodeValue(obj) });
+
+    LINK_FIELDS.forEach((field) => {
+      if (isNode(obj[field])) {
+        this.node(obj[field]);
+        this.emit({
+          type: "link",
+          from: id,
+          to: this.nodes.get(obj[field]),
+          field,
+        });
+      }
+    });
+    return obj;
+  }
+
+  /**
+   * Assign a link field, e.g. node.next = other. Objects get tracked once
+   * they gain a link field, which covers `this.next = null` in constructors
+   */
+  link(obj, field, value, at, scope) {
+    this.locate(at, scope);
+    const previous = obj[field];
+
+    if (this.nodes.has(obj) && previous !== value) {
+      const from = this.nodes.get(obj);
+      if (this.nodes.has(previous)) {
+        this.emit({
+          type: "unlink",
+          from,
+          to: this.nodes.get(previous),
+          field,
+        });
+      }
+      if (isNode(value)) {
+        this.node(value);
+        this.emit({ type: "link", from, to: this.nodes.get(value), field });
+      }
+    }
+
+    obj[field] = value;
+    this.node(obj);
+    return value;
+  }
+
+  /**
+   * Read the value a node stores, e.g. cur.value while walking a list
+   */
+  visit(obj, field, at, scope) {
+    this.locate(at, scope);
+    const value = obj[field];
+    if (this.nodes.has(obj)) {
+      this.emit({ type: "visit", nodeId: this.nodes.get(obj), value });
+    }
+    return value;
+  }
+
+  /**
+   * Start tracking a graph given as an adjacency list or matrix literal
+   * @param {object|Array} value - The adjacency list or matrix
+   * @param {string} name - Variable holding it, used as the graph id
+   */
+  graph(value, name, at, scope) {
+    this.locate(at, scope);
+    const graph = normalizeGraph(value);
+    if (!graph || this.graphs.has(value)) return value;
+
+    const edges = new Map();
+    graph.edges.forEach((edge) => {
+      edges.set(`${edge.from}->${edge.to}`, edge);
+      if (!graph.directed) edges.set(`${edge.to}->${edge.from}`, edge);
+    });
+    this.currentGraph = { id: name, nodes: new Set(graph.nodes), edges };
+    this.graphs.set(value, this.currentGraph);
+    this.emit({ type: "createGraph", graphId: name, ...graph });
+    return value;
+  }
+
+  /**
+   * Give an array or object created while a graph exists a role by its
+   * name: a queue or stack is the frontier, dist holds distances and a path
+   * or order array holds the result
+   */
+  trackGraphRole(value, label) {
+    if (value === null || typeof value !== "object") return;
+
+    if (Array.isArray(value) && FRONTIER_NAME.test(label)) {
+      if (this.frontiers.has(value)) return;
+      this.frontiers.add(value);
+      value.forEach((entry) => this.frontierOp("enqueue", entry));
+    } else if (DISTANCE_NAME.test(label)) {
+      if (this.distances.has(value)) return;
+      this.distances.add(value);
+      Object.keys(value).forEach((key) => {
+        if (this.currentGraph.nodes.has(key)) this.setDistance(key, value[key]);
+      });
+    } else if (
+      Array.isArray(value) &&
+      PATH_NAME.test(label) &&
+      !this.paths.includes(value)
+    ) {
+      this.paths.push(value);
+    }
+  }
+
+  /**
+   * The graph node a frontier entry stands for: the node itself, or the
+   * node in a [node, dist] pair or { node, dist } object. When both halves
+   * of a pair could be nodes, the node is the one whose distance is the other
+   */
+  entryNode(entry) {
+    if (isScalar(entry)) {
+      return this.currentGraph.nodes.has(String(entry)) ? String(entry) : null;
+    }
+    if (Array.isArray(entry)) {
+      const nodes = Array.from(entry, (value) => this.entryNode(value));
+      const candidates = nodes.filter((node) => node !== null);
+      const measured = candidates.find((node) =>
+        entry.some(
+          (value, k) =>
+            nodes[k] !== node && Object.is(value, this.distanceOf.get(node))
+        )
+      );
+      return measured || candidates[0] || null;
+    }
+    if (entry !== null && typeof entry === "object") {
+      const field = ENTRY_NODE_FIELDS.find((name) => isScalar(entry[name]));
+      return field === undefined ? null : this.entryNode(entry[field]);
+    }
+    return null;
+  }
+
+  frontierOp(type, entry) {
+    const node = this.entryNode(entry);
+    if (node !== null) {
+      this.emit({ type, graphId: this.currentGraph.id, node });
+    }
+  }
+
+  /**
+   * Call a method on a queue or stack, recording the nodes that enter and
+   * leave the frontier
+   */
+  frontier(obj, method, args) {
+    const result = obj[method](...args);
+    switch (method) {
+      case "push":
+      case "unshift":
+        args.forEach((arg) => this.frontierOp("enqueue", arg));
+        break;
+      case "pop":
+      case "shift":
+        if (result !== undefined) {
+          this.dequeued = true;
+          this.expanding = null;
+          this.frontierOp("dequeue", result);
+        }
+        break;
+    }
+    return result;
+  }
+
+  /**
+   * Reading a node's neighbors, e.g. graph[u], expands it. In code with a
+   * queue or stack, reads before anything leaves it only prepare the
+   * traversal, such as counting in-degrees for a topological sort
+   */
+  expand(graph, key) {
+    const node = String(key);
+    if (!graph.nodes.has(node) || node === this.expanding) return;
+    if (this.usesFrontier && !this.dequeued) return;
+
+    this.expanding = node;
+    this.emit({ type: "visitNode", graphId: graph.id, node });
+  }
+
+  /**
+   * Write a node's distance. Writes made while expanding a neighbor relax
+   * the edge between them
+   */
+  setDistance(node, distance) {
+    const edge = this.currentGraph.edges.get(`${this.expanding}->${node}`);
+    if (this.expanding !== null && edge) {
+      const relax = {
+        type: "relaxEdge",
+        graphId: this.currentGraph.id,
+        from: this.expanding,
+        to: node,
+        improved: true,
+      };
+      if (edge.weight !== undefined) relax.weight = edge.weight;
+      this.emit(relax);
+    }
+    this.distanceOf.set(node, distance);
+    this.emit({
+      type: "setDistance",
+      graphId: this.currentGraph.id,
+      node,
+      distance,
+    });
+  }
+
+  /**
+   * Once the code has run, the last path or order array it filled with graph
+   * nodes is the path to mark
+   */
+  markPath() {
+    const path = [...this.paths]
+      .reverse()
+      .find(
+        (array) =>
+          array.length > 0 &&
+          array.every((entry) => this.entryNode(entry) !== null)
+      );
+    if (!path) return;
+
+    this.location = null;
+    this.scope = null;
+    this.emit({
+      type: "markPath",
+      graphId: this.currentGraph.id,
+      nodes: Array.from(path, (entry) => this.entryNode(entry)),
+    });
+  }
+
+  /**
+   * Destructuring assignment onto array elements, e.g.
+   * [arr[i], arr[j]] = [arr[j], arr[i]]
+   */
+  destructure(refs, targets, at, scope) {
+    this.locate(at, scope);
+    const values = refs.map(unwrap);
+
+    if (targets.length === 2 && this.isSwap(values, targets)) {
+      const [[array, i], [, j]] = targets;
+      this.swap(array, Number(i), Number(j));
+      return values;
+    }
+
+    // Swapping an element with itself, as when i === j, changes nothing and
+    // records nothing
+    if (targets.length === 2 && this.isSelfSwap(values, targets)) {
+      return values;
+    }
+
+    targets.forEach(([obj, key], k) => this.write(obj, key, refs[k]));
+    return values;
+  }
+
+  isSelfSwap(values, targets) {
+    const [[obj1, key1], [obj2, key2]] = targets;
+    return (
+      obj1 === obj2 &&
+      Number(key1) === Number(key2) &&
+      values.every((value) => value === obj1[key1])
+    );
+  }
+
+  isSwap(values, targets) {
+    const [[obj1, key1], [obj2, key2]] = targets;
+    return (
+      obj1 === obj2 &&
+      this.isTracked(obj1, key1) &&
+      Number(key1) !== Number(key2) &&
+      values[0] === obj2[key2] &&
+      values[1] === obj1[key1]
+    );
+  }
+
+  /**
+   * Called on entry to every user function. Calls that receive a tracked
+   * array become frames on the visualized call stack
+   * @returns {object|null} - The frame, passed back to exit()
+   */
+  enter(name, params, args, at, scope) {
+    this.locate(at, scope);
+
+    // rotateLeft(node) and friends on a tree
+    const pivot = args.find((arg) => this.nodes.has(arg));
+    if (/rotate/i.test(name) && pivot) {
+      const direction = name.match(/left|right/i);
+      this.emit({
+        type: "rotate",
+        nodeId: this.nodes.get(pivot),
+        direction: direction ? direction[0].toLowerCase() : null,
+      });
+    }
+
+    if (this.array === null) {
+      return null;
+    }
+
+    // Arrays passed in without a name of their own are named after the
+    // parameter, e.g. the slices in mergeSort(arr.slice(0, mid))
+    args.forEach((arg, k) => this.track(arg, params[k] || name));
+
+    const array = args.find((arg) => this.arrays.has(arg));
+    if (!array) {
+      return null;
+    }
+
+    const frame = {
+      name,
+      arrayId: this.idOf(array),
+      depth: this.frames.length,
+      range: this.frameRange(params, args, array),
+      args: {},
+      returnValue: undefined,
+    };
+    params.forEach((param, k) => {
+      if (param && isScalar(args[k])) frame.args[param] = args[k];
+    });
+
+    this.frames.push(frame);
+    this.emit({
+      type: "call",
+      arrayId: frame.arrayId,
+      name,
+      depth: frame.depth,
+      range: frame.range,
+      args: { ...frame.args },
+    });
+    return frame;
+  }
+
+  returning(frame, value, at) {
+    if (frame) {
+      frame.returnValue = value;
+      frame.returnLocation = this.locations[at];
+    }
+    return value;
+  }
+
+  /**
+   * Called when a user function finishes. The return operations point at the
+   * return statement that ran, or the end of the function if none did
+   */
+  exit(frame, at, scope) {
+    if (!frame) return;
+    this.locate(at, scope);
+    if (frame.returnLocation) this.location = frame.returnLocation;
+
+    // Also drops frames an exception unwound without reaching their exit
+    const position = this.frames.lastIndexOf(frame);
+    if (position !== -1) this.frames.splice(position);
+
+    const value = frame.returnValue;
+    const [lo, hi] = frame.range;
+    if (
+      /partition/i.test(frame.name) &&
+      Number.isInteger(value) &&
+      value >= lo &&
+      value <= hi
+    ) {
+      this.emit({
+        type: "partition",
+        arrayId: frame.arrayId,
+        pivot: value,
+        range: frame.range,
+        depth: frame.depth,
+      });
+    }
+
+    const op = {
+      type: "return",
+      arrayId: frame.arrayId,
+      name: frame.name,
+      depth: frame.depth,
+    };
+    if (isScalar(value)) op.value = value;
+    this.emit(op);
+  }
+
+  /**
+   * Called when a promise the code dropped is rejected. Only the first
+   * rejection is kept, as it's the one the trace stops at
+   */
+  reject(error) {
+    if (!this.rejection) this.rejection = { error };
+  }
+
+  /**
+   * Work out which part of the array a call covers from bound-like
+   * parameters such as lo/hi or left/right, defaulting to the whole array
+   */
+  frameRange(params, args, array) {
+    const bound = (pattern) => {
+      const k = params.findIndex(
+        (param, index) =>
+          param && pattern.test(param) && Number.isInteger(args[index])
+      );
+      return k === -1 ? null : args[k];
+    };
+
+    const lo = bound(LOW_BOUND_PARAM);
+    const hi = bound(HIGH_BOUND_PARAM);
+    return [lo === null ? 0 : lo, hi === null ? array.length - 1 : hi];
+  }
+}
+
+function getFunctionName(path) {
+  const { node, parent } = path;
+  if (node.id) return node.id.name;
+  if (node.key && t.isIdentifier(node.key)) return node.key.name;
+  if (t.isVariableDeclarator(parent) && t.isIdentifier(parent.id)) {
+    return parent.id.name;
+  }
+  if (
+    (t.isObjectProperty(parent) || t.isClassProperty(parent)) &&
+    t.isIdentifier(parent.key)
+  ) {
+    return parent.key.name;
+  }
+  if (t.isAssignmentExpression(parent) && t.isIdentifier(parent.left)) {
+    return parent.left.name;
+  }
+  return "anonymous";
+}
+
+function getParamName(param) {
+  if (t.isIdentifier(param)) return param.name;
+  if (t.isAssignmentPattern(param) && t.isIdentifier(param.left)) {
+    return param.left.name;
+  }
+  return null;
+}
+
+/**
+ * An element, or a field of one such as arr[j].age
+ */
+function isElementOperand(node) {
+  return (
+    isRuntimeCall(node, "read") ||
+    (t.isMemberExpression(node) &&
+      !node.computed &&
+      t.isIdentifier(node.property) &&
+      isRuntimeCall(node.object, "read"))
+  );
+}
+
+/**
+ * Turn a read of an element into a reference to it, so the runtime knows
+ * which index the value came from
+ */
+function toRef(node) {
+  if (isRuntimeCall(node, "read")) return runtimeCall("ref", node.arguments);
+  if (isElementOperand(node)) {
+    return runtimeCall("field", [
+      toRef(node.object),
+      t.stringLiteral(node.property.name),
+    ]);
+  }
+  return node;
+}
+
+function runtimeCall(method, args) {
+  return t.callExpression(
+    t.memberExpression(t.identifier(RUNTIME), t.identifier(method)),
+    args
+  );
+}
+
+/**
+ * Give code run in the context a runtime object that calls into the given
+ * one. No host object is handed to the code: values made by the host come
+ * back as arrays made in the context or, for anything else, as empty
+ * handles standing for the host object, and host errors as context errors.
+ * Node's vm is not a security boundary, so this keeps the code from
+ * stumbling onto the host but doesn't make it safe to run untrusted code
+ * @param {TraceRuntime} runtime
+ * @param {object} context - From vm.createContext
+ */
+function exposeRuntime(runtime, context) {
+  const handles = new WeakMap();
+  let made = null;
+
+  const toHost = (value) => (handles.has(value) ? handles.get(value) : value);
+  // Objects from the context aren't instances of the host's Object
+  const toContext = (value) => {
+    if (!(value instanceof Object)) return value;
+    if (Array.isArray(value)) return made.list(...value.map(toContext));
+    const handle = made.handle();
+    handles.set(handle, value);
+    return handle;
+  };
+  const guard = (work) => {
+    try {
+      return work();
+    } catch (error) {
+      if (!(error instanceof Object)) throw error;
+      throw made.error(String(error.message));
+    }
+  };
+
+  const call = (method, args) =>
+    guard(() => {
+      const values = Array.from(args, toHost);
+      if (method in REFERENCE_LISTS) {
+        const k = REFERENCE_LISTS[method];
+        values[k] = Array.from(values[k], toHost);
+      }
+      return toContext(runtime[method](...values));
+    });
+  const next = (iterator) =>
+    guard(() => {
+      const step = toHost(iterator).next();
+      return made.list(step.done, toContext(step.value));
+    });
+
+  made = vm.runInContext(CONTEXT_SETUP, context)(
+    call,
+    next,
+    RUNTIME_METHODS.join(",")
+  );
+}
+
+/**
+ * Whether an expression may produce a new array worth tracking, such as
+ * [], new Array(n) or arr.slice(lo, mid)
+ */
+function isArrayFactory(node) {
+  return (
+    t.isArrayExpression(node) ||
+    t.isNewExpression(node) ||
+    (t.isCallExpression(node) && !isRuntimeCall(node, "track"))
+  );
+}
+
+function propertyName(key) {
+  if (t.isIdentifier(key)) return key.name;
+  if (t.isStringLiteral(key)) return key.value;
+  return null;
+}
+
+function trackAs(node, label, at, scope) {
+  return runtimeCall("track", [
+    node,
+    t.stringLiteral(label),
+    t.booleanLiteral(false),
+    at,
+    scope,
+  ]);
+}
+
+/**
+ * A closure returning the local variables visible at a node in declaration
+ * order, e.g. () => ({ i, j }). Only variables of the enclosing function are included,
+ * and let/const ones only once their declaration has run, so reading them
+ * can't hit the temporal dead zone
+ */
+function scopeOf(path) {
+  const fn = path.scope.getFunctionParent();
+  const names = Object.entries(path.scope.getAllBindings())
+    .filter(
+      ([name, binding]) =>
+        !name.startsWith(RUNTIME) &&
+        ["var", "let", "const", "param"].includes(binding.kind) &&
+        binding.scope.getFunctionParent() === fn &&
+        (binding.kind === "var" ||
+          binding.kind === "param" ||
+          binding.path.node.end <= path.node.start)
+    )
+    .sort(([, a], [, b]) => a.identifier.start - b.identifier.start)
+    .map(([name]) => name);
+
+  return t.arrowFunctionExpression(
+    [],
+    t.objectExpression(
+      names.map((name) =>
+        t.objectProperty(t.identifier(name), t.identifier(name), false, true)
+      )
+    )
+  );
+}
+
+/**
+ * Names of the variables used to index arrays, such as i and j in
+ * arr[j] > arr[j + 1], plus lo/hi style bounds. These are drawn as pointers
+ * under the elements they index
+ */
+function findPointers(ast) {
+  const pointers = new Set();
+  traverse(ast, {
+    MemberExpression(path) {
+      if (!path.node.computed) return;
+      const property = path.get("property");
+      if (property.isIdentifier()) {
+        pointers.add(property.node.name);
+        return;
+      }
+      property.traverse({
+        Identifier(inner) {
+          if (inner.isReferencedIdentifier()) pointers.add(inner.node.name);
+        },
+      });
+    },
+    Identifier(path) {
+      const { name } = path.node;
+      if (
+        path.isBindingIdentifier() &&
+        (LOW_BOUND_PARAM.test(name) || HIGH_BOUND_PARAM.test(name))
+      ) {
+        pointers.add(name);
+      }
+    },
+  });
+  return [...pointers];
+}
+
+/**
+ * Tag variables with the view that matches how the code uses them. Arrays
+ * that are only pushed and popped are stacks, arrays that are shifted (or
+ * unshifted and popped) are queues, and Maps, Sets and objects indexed by
+ * key are hash tables. Arrays written through an index or rearranged in
+ * place stay arrays
+ * @returns {Map<string, "stack"|"queue"|"hash">}
+ */
+function findStructures(ast) {
+  const created = new Map();
+  const methods = new Map();
+  const indexed = new Set();
+  const keyed = new Set();
+
+  traverse(ast, {
+    VariableDeclarator(path) {
+      const { id, init } = path.node;
+      if (!t.isIdentifier(id) || !init) return;
+      if (t.isArrayExpression(init)) {
+        created.set(id.name, "array");
+      } else if (
+        t.isNewExpression(init) &&
+        t.isIdentifier(init.callee) &&
+        ["Map", "Set"].includes(init.callee.name)
+      ) {
+        created.set(id.name, "hash");
+      } else if (
+        t.isObjectExpression(init) &&
+        init.properties.every(
+          (prop) => t.isObjectProperty(prop) && t.isLiteral(prop.value)
+        )
+      ) {
+        created.set(id.name, "object");
+      }
+    },
+    CallExpression(path) {
+      const { callee } = path.node;
+      if (
+        t.isMemberExpression(callee) &&
+        !callee.computed &&
+        t.isIdentifier(callee.object) &&
+        t.isIdentifier(callee.property)
+      ) {
+        const name = callee.object.name;
+        if (!methods.has(name)) methods.set(name, new Set());
+        methods.get(name).add(callee.property.name);
+      }
+    },
+    MemberExpression(path) {
+      const { object, computed } = path.node;
+      if (!computed || !t.isIdentifier(object)) return;
+      keyed.add(object.name);
+      if (
+        (path.parentPath.isAssignmentExpression() && path.key === "left") ||
+        path.parentPath.isUpdateExpression()
+      ) {
+        indexed.add(object.name);
+      }
+    },
+  });
+
+  const structures = new Map();
+  created.forEach((kind, name) => {
+    const used = methods.get(name) || new Set();
+    const rearranged = ["splice", "fill", "sort", "reverse", "copyWithin"].some(
+      (method) => used.has(method)
+    );
+    if (kind === "array" && !indexed.has(name) && !rearranged) {
+      if (used.has("shift") || (used.has("unshift") && used.has("pop"))) {
+        structures.set(name, "queue");
+      } else if (used.has("push") && used.has("pop")) {
+        structures.set(name, "stack");
+      }
+    } else if (kind === "hash" || (kind === "object" && keyed.has(name))) {
+      structures.set(name, "hash");
+    }
+  });
+  return structures;
+}
+
+/**
+ * The field the code orders records in an array by: the first field
+ * compared, subtracted or localeCompare()d straight off an element, as in
+ * arr[j].age > arr[j + 1].age, or off a parameter of the comparator given
+ * to arr.sort(), as in (a, b) => a.age - b.age
+ * @param {object} ast
+ * @param {string|null} arrayName - The array holding the records
+ * @returns {string|null}
+ */
+function findSortKey(ast, arrayName) {
+  if (!arrayName) return null;
+  let sortKey = null;
+
+  const isElement = (node, path) => {
+    if (
+      t.isMemberExpression(node) &&
+      node.computed &&
+      t.isIdentifier(node.object, { name: arrayName })
+    ) {
+      return true;
+    }
+    if (!t.isIdentifier(node)) return false;
+    // A parameter of the comparator passed to arr.sort()
+    const binding = path.scope.getBinding(node.name);
+    if (!binding || binding.kind !== "param") return false;
+    const fn = binding.scope.path;
+    const call = fn.parentPath;
+    return (
+      call.isCallExpression() &&
+      call.node.arguments[0] === fn.node &&
+      t.isMemberExpression(call.node.callee) &&
+      t.isIdentifier(call.node.callee.object, { name: arrayName }) &&
+      t.isIdentifier(call.node.callee.property, { name: "sort" })
+    );
+  };
+
+  traverse(ast, {
+    MemberExpression(path) {
+      const { object, property, computed } = path.node;
+      if (computed || !t.isIdentifier(property) || !isElement(object, path)) {
+        return;
+      }
+      const { parentPath } = path;
+      const compared =
+        parentPath.isBinaryExpression() &&
+        (COMPARISON_OPERATORS.includes(parentPath.node.operator) ||
+          parentPath.node.operator === "-");
+      const localeCompared =
+        parentPath.isMemberExpression({ object: path.node }) &&
+        t.isIdentifier(parentPath.node.property, { name: "localeCompare" });
+      if (compared || localeCompared) {
+        sortKey = property.name;
+        path.stop();
+      }
+    },
+  });
+  return sortKey;
+}
+
+/**
+ * Recognize a search: code that compares elements with a target value,
+ * named like one or inside a function named like a search, and never
+ * writes to an array. The lo/hi style variables it declares bound the part
+ * still to be searched
+ * @returns {{low: string|null, high: string|null}|null} - null if the code
+ *   isn't a search
+ */
+function findSearch(ast) {
+  let writes = false;
+  let probes = false;
+  let low = null;
+  let high = null;
+
+  const isElement = (node) =>
+    t.isMemberExpression(node) && node.computed && t.isIdentifier(node.object);
+
+  traverse(ast, {
+    AssignmentExpression(path) {
+      if (isElement(path.node.left)) writes = true;
+    },
+    UpdateExpression(path) {
+      if (isElement(path.node.argument)) writes = true;
+    },
+    CallExpression(path) {
+      const { callee } = path.node;
+      if (
+        t.isMemberExpression(callee) &&
+        t.isIdentifier(callee.property) &&
+        ARRAY_MUTATORS.includes(callee.property.name)
+      ) {
+        writes = true;
+      }
+    },
+    BinaryExpression(path) {
+      const { left, right, operator } = path.node;
+      if (!COMPARISON_OPERATORS.includes(operator)) return;
+      const other = isElement(left) ? right : isElement(right) ? left : null;
+      if (!t.isIdentifier(other)) return;
+      const fn = path.getFunctionParent();
+      if (
+        TARGET_NAME.test(other.name) ||
+        (fn && SEARCH_FUNCTION.test(getFunctionName(fn)))
+      ) {
+        probes = true;
+      }
+    },
+    Identifier(path) {
+      const { name } = path.node;
+      if (!path.isBindingIdentifier()) return;
+      if (!low && LOW_BOUND_PARAM.test(name)) low = name;
+      if (!high && HIGH_BOUND_PARAM.test(name)) high = name;
+    },
+  });
+  return probes && !writes ? { low, high } : null;
+}
+
+/**
+ * Whether the code declares a queue, stack or other frontier for a graph
+ * traversal
+ */
+function declaresFrontier(ast) {
+  let found = false;
+  traverse(ast, {
+    VariableDeclarator(path) {
+      if (t.isIdentifier(path.node.id) && FRONTIER_NAME.test(path.node.id.name)) {
+        found = true;
+        path.stop();
+      }
+    },
+  });
+  return found;
+}
+
+/**
+ * Whether an expression is a computed member access the runtime can take
+ * over, as in arr[i]. Those through super can't be passed to it
+ */
+function isElementAccess(node) {
+  return (
+    t.isMemberExpression(node) && node.computed && !t.isSuper(node.object)
+  );
+}
+
+/**
+ * Whether a member expression is the length of something, as in arr.length
+ */
+function isLengthOf(node) {
+  return (
+    t.isMemberExpression(node) &&
+    !node.computed &&
+    t.isIdentifier(node.property, { name: "length" }) &&
+    !t.isSuper(node.object)
+  );
+}
+
+/**
+ * Whether an expression awaits or yields, so it can't be moved into a
+ * function of its own
+ */
+function suspends(node) {
+  let found = false;
+  t.traverseFast(node, (child) => {
+    if (t.isAwaitExpression(child) || t.isYieldExpression(child)) found = true;
+  });
+  return found;
+}
+
+function isRuntimeCall(node, method) {
+  return (
+    t.isCallExpression(node) &&
+    t.isMemberExpression(node.callee) &&
+    t.isIdentifier(node.callee.object, { name: RUNTIME }) &&
+    t.isIdentifier(node.callee.property, { name: method })
+  );
+}
+
+/**
+ * Whether a member expression is being assigned to or otherwise must keep its
+ * reference semantics, so it can't be rewritten into a read
+ */
+function isReferencePosition(path) {
+  const { parentPath, key } = path;
+  if (parentPath.isAssignmentExpression() && key === "left") return true;
+  if (parentPath.isUpdateExpression()) return true;
+  if (parentPath.isUnaryExpression({ operator: "delete" })) return true;
+  if (parentPath.isCallExpression() && key === "callee") return true;
+  if (parentPath.isArrayPattern() || parentPath.isAssignmentPattern()) {
+    return true;
+  }
+  if (parentPath.isObjectProperty() && parentPath.parentPath.isObjectPattern()) {
+    return true;
+  }
+  if (
+    (parentPath.isForOfStatement() || parentPath.isForInStatement()) &&
+    key === "left"
+  ) {
+    return true;
+  }
+  return false;
+}
+
+class CodeTracer {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.timeout] - Max execution time in milliseconds
+   * @param {number} [options.maxOperations] - Max number of operations to record
+   */
+  constructor(options = {}) {
+    this.timeout = options.timeout || 1000;
+    this.maxOperations = options.maxOperations || 10000;
+    this.operations = [];
+    this.stats = null;
+    this.file = null;
+    this.locations = [];
+    this.pointers = [];
+    this.usesFrontier = false;
+    this.structures = new Map();
+    this.sortKey = null;
+    this.search = null;
+  }
+
+  /**
+   * Instrument and run JavaScript code, recording what it does to an array
+   * @param {string} code - The JavaScript code to trace
+   * @param {{name: string, start: number}|null} array - The array literal to
+   *   track, as found by CodeParser.findArrayInitialization, or null for code
+   *   that only builds linked lists, trees, graphs or 2D arrays
+   * @param {object} [options]
+   * @param {string} [options.file] - File the code came from, recorded in
+   *   each operation's `loc`
+   * @param {{name: string, start: number}} [options.graph] - An adjacency
+   *   list or matrix literal to track, as found by
+   *   CodeParser.findGraphInitialization
+   * @returns {Array} - Array of visualization operations
+   */
+  trace(code, array, options = {}) {
+    this.file = options.file || null;
+    this.locations = [];
+    const graph = options.graph || null;
+    const instrumented = this.instrument(code, array, graph);
+    const runtime = new TraceRuntime(this.maxOperations, this.locations, {
+      pointers: this.pointers,
+      usesFrontier: this.usesFrontier,
+      structures: this.structures,
+      sortKey: this.sortKey,
+      search: this.search,
+    });
+
+    if (!array) {
+      runtime.emit({ type: "init", array: [] });
+    }
+
+    this.run(instrumented, runtime);
+
+    if (array && !runtime.array) {
+      throw new Error(
+        `Array "${array.name}" was never created while running the code`
+      );
+    }
+    if (graph && runtime.graphs.size === 0) {
+      throw new Error(
+        `Graph "${graph.name}" was never created while running the code`
+      );
+    }
+    if (
+      !array &&
+      !graph &&
+      runtime.nodes.size === 0 &&
+      runtime.grids.size === 0 &&
+      runtime.structures.size === 0
+    ) {
+      throw new Error(
+        "No linked list, tree, 2D array, stack, queue or hash table was built while running the code"
+      );
+    }
+    if (graph) runtime.markPath();
+    const searched = runtime.finishSearch();
+
+    this.operations =
+      runtime.array && !searched
+        ? this.markSettledIndices(runtime)
+        : runtime.operations;
+    this.operations.push({ type: "complete" });
+    this.stats = runtime.stats;
+
+    console.log(`Traced ${this.operations.length} operations`);
+    return this.operations;
+  }
+
+  /**
+   * Rewrite array accesses in the code into calls to the trace runtime
+   * @param {string} code - The JavaScript code to instrument
+   * @param {{name: string, start: number}|null} array - The array literal to
+   *   track
+   * @param {{name: string, start: number}|null} [graph] - The adjacency list
+   *   or matrix literal to track
+   * @returns {string} - Instrumented code
+   */
+  instrument(code, array, graph = null) {
+    const ast = parser.parse(code, {
+      sourceType: "module",
+      plugins: ["jsx"],
+    });
+    this.pointers = findPointers(ast);
+    this.usesFrontier = Boolean(graph) && declaresFrontier(ast);
+    this.structures = findStructures(ast);
+    this.sortKey = findSortKey(ast, array && array.name);
+    this.search = findSearch(ast);
+
+    const wrapGraph = (path) => {
+      if (
+        graph &&
+        path.node.start === graph.start &&
+        !isRuntimeCall(path.parent, "graph")
+      ) {
+        path.replaceWith(
+          runtimeCall("graph", [
+            path.node,
+            t.stringLiteral(graph.name),
+            this.locationOf(path.node),
+            scopeOf(path),
+          ])
+        );
+        return true;
+      }
+      return false;
+    };
+
+    traverse(ast, {
+      ArrayExpression: (path) => {
+        if (wrapGraph(path)) return;
+        if (
+          array &&
+          path.node.start === array.start &&
+          !isRuntimeCall(path.parent, "track")
+        ) {
+          path.replaceWith(
+            runtimeCall("track", [
+              path.node,
+              t.stringLiteral(array.name),
+              t.booleanLiteral(true),
+              this.locationOf(path.node),
+              scopeOf(path),
+            ])
+          );
+        }
+      },
+
+      ObjectExpression: {
+        exit: (path) => {
+          if (wrapGraph(path)) return;
+          const linked = path.node.properties.some(
+            (prop) =>
+              t.isObjectProperty(prop) &&
+              !prop.computed &&
+              LINK_FIELDS.includes(propertyName(prop.key))
+          );
+          // Objects without a location are scopeOf() snapshots
+          if (linked && path.node.loc && !isRuntimeCall(path.parent, "node")) {
+            path.replaceWith(
+              runtimeCall("node", [
+                path.node,
+                this.locationOf(path.node),
+                scopeOf(path),
+              ])
+            );
+          }
+        },
+      },
+
+      NewExpression: {
+        exit: (path) => {
+          if (isRuntimeCall(path.parent, "node")) return;
+          path.replaceWith(
+            runtimeCall("node", [
+              path.node,
+              this.locationOf(path.node),
+              scopeOf(path),
+            ])
+          );
+        },
+      },
+
+      VariableDeclarator: {
+        exit: (path) => {
+          const { id, init } = path.node;
+          // Objects are tracked too, as they may hold a graph's distances
+          if (
+            t.isIdentifier(id) &&
+            (isArrayFactory(init) || t.isObjectExpression(init))
+          ) {
+            path
+              .get("init")
+              .replaceWith(
+                trackAs(
+                  init,
+                  id.name,
+                  this.locationOf(path.node),
+                  scopeOf(path)
+                )
+              );
+          }
+        },
+      },
+
+      CallExpression: {
+        exit: (path) => {
+          const { callee } = path.node;
+          // Map and Set methods only matter on hash tables
+          const routed = (name) =>
+            ARRAY_MUTATORS.includes(name) ||
+            (HASH_METHODS.includes(name) &&
+              t.isIdentifier(callee.object) &&
+              this.structures.get(callee.object.name) === "hash");
+          if (
+            t.isMemberExpression(callee) &&
+            !callee.computed &&
+            !t.isSuper(callee.object) &&
+            t.isIdentifier(callee.property) &&
+            routed(callee.property.name) &&
+            path.node.arguments.every((arg) => !t.isSpreadElement(arg))
+          ) {
+            path.replaceWith(
+              runtimeCall("invoke", [
+                callee.object,
+                t.stringLiteral(callee.property.name),
+                t.arrayExpression(path.node.arguments.map(toRef)),
+                this.locationOf(path.node),
+                scopeOf(path),
+              ])
+            );
+          }
+        },
+      },
+
+      MemberExpression: {
+        exit: (path) => {
+          const { object, property, computed } = path.node;
+          if (isReferencePosition(path)) return;
+
+          if (
+            !computed &&
+            VALUE_FIELDS.includes(property.name) &&
+            !t.isSuper(object)
+          ) {
+            path.replaceWith(
+              runtimeCall("visit", [
+                object,
+                t.stringLiteral(property.name),
+                this.locationOf(path.node),
+                scopeOf(path),
+              ])
+            );
+            return;
+          }
+
+          if (!computed || t.isSuper(object)) return;
+
+          // Reads of a graph's neighbors, of 2D array cells and of stacks,
+          // queues and hash tables carry where they happen
+          const located =
+            isRuntimeCall(object, "read") ||
+            (t.isIdentifier(object) &&
+              (GRAPH_NAME.test(object.name) ||
+                (graph && object.name === graph.name) ||
+                this.structures.has(object.name)));
+          path.replaceWith(
+            runtimeCall(
+              "read",
+              located
+                ? [object, property, this.locationOf(path.node), scopeOf(path)]
+                : [object, property]
+            )
+          );
+        },
+      },
+
+      BinaryExpression: {
+        exit: (path) => {
+          const { operator, left, right } = path.node;
+          if (!COMPARISON_OPERATORS.includes(operator)) return;
+          if (!isElementOperand(left) && !isElementOperand(right)) {
+            return;
+          }
+
+          path.replaceWith(
+            runtimeCall("compare", [
+              t.stringLiteral(operator),
+              toRef(left),
+              toRef(right),
+              this.locationOf(path.node),
+              scopeOf(path),
+            ])
+          );
+        },
+      },
+
+      AssignmentExpression: {
+        exit: (path) => {
+          const { operator, left, right } = path.node;
+
+          if (isElementAccess(left)) {
+            if (operator === "=") {
+              path.replaceWith(
+                runtimeCall("write", [
+                  left.object,
+                  left.property,
+                  toRef(right),
+                  this.locationOf(path.node),
+                  scopeOf(path),
+                ])
+              );
+            } else if (COMPOUND_OPERATORS[operator]) {
+              path.replaceWith(
+                runtimeCall("assign", [
+                  left.object,
+                  left.property,
+                  t.stringLiteral(operator),
+                  right,
+                  this.locationOf(path.node),
+                  scopeOf(path),
+                ])
+              );
+            } else if (LOGICAL_OPERATORS[operator] && !suspends(right)) {
+              // The right-hand side is passed as a function, as it's only
+              // evaluated when the assignment happens
+              path.replaceWith(
+                runtimeCall("logicalAssign", [
+                  left.object,
+                  left.property,
+                  t.stringLiteral(operator),
+                  t.arrowFunctionExpression([], right),
+                  this.locationOf(path.node),
+                  scopeOf(path),
+                ])
+              );
+            }
+            return;
+          }
+
+          if (
+            isLengthOf(left) &&
+            (operator === "=" || COMPOUND_OPERATORS[operator])
+          ) {
+            path.replaceWith(
+              runtimeCall("resize", [
+                left.object,
+                t.stringLiteral(operator),
+                right,
+                this.locationOf(path.node),
+                scopeOf(path),
+              ])
+            );
+            return;
+          }
+
+          if (
+            operator === "=" &&
+            t.isMemberExpression(left) &&
+            LINK_FIELDS.includes(left.property.name) &&
+            !t.isSuper(left.object)
+          ) {
+            path.replaceWith(
+              runtimeCall("link", [
+                left.object,
+                t.stringLiteral(left.property.name),
+                right,
+                this.locationOf(path.node),
+                scopeOf(path),
+              ])
+            );
+            return;
+          }
+
+          if (
+            operator === "=" &&
+            t.isIdentifier(left) &&
+            isArrayFactory(right)
+          ) {
+            path
+              .get("right")
+              .replaceWith(
+                trackAs(
+                  right,
+                  left.name,
+                  this.locationOf(path.node),
+                  scopeOf(path)
+                )
+              );
+            return;
+          }
+
+          if (
+            operator === "=" &&
+            t.isArrayPattern(left) &&
+            t.isArrayExpression(right) &&
+            left.elements.length === right.elements.length &&
+            left.elements.every(isElementAccess) &&
+            right.elements.every((el) => el && !t.isSpreadElement(el))
+          ) {
+            path.replaceWith(
+              runtimeCall("destructure", [
+                t.arrayExpression(right.elements.map(toRef)),
+                t.arrayExpression(
+                  left.elements.map((el) =>
+                    t.arrayExpression([el.object, el.property])
+                  )
+                ),
+                this.locationOf(path.node),
+                scopeOf(path),
+              ])
+            );
+          }
+        },
+      },
+
+      // A promise returned by a call whose result is dropped can't be awaited
+      // by anything, so its rejection is reported instead
+      ExpressionStatement: {
+        exit: (path) => {
+          const { expression } = path.node;
+          if (
+            t.isCallExpression(expression) &&
+            !(
+              t.isMemberExpression(expression.callee) &&
+              t.isIdentifier(expression.callee.object, { name: RUNTIME })
+            )
+          ) {
+            path
+              .get("expression")
+              .replaceWith(runtimeCall("settle", [expression]));
+          }
+        },
+      },
+
+      UnaryExpression: {
+        exit: (path) => {
+          const { operator, argument } = path.node;
+          if (operator !== "delete" || !isElementAccess(argument)) return;
+          path.replaceWith(
+            runtimeCall("erase", [
+              argument.object,
+              argument.property,
+              this.locationOf(path.node),
+              scopeOf(path),
+            ])
+          );
+        },
+      },
+
+      ForOfStatement: {
+        exit: (path) => {
+          if (path.node.await || isRuntimeCall(path.node.right, "iterate")) {
+            return;
+          }
+          path.get("right").replaceWith(runtimeCall("iterate", [path.node.right]));
+        },
+      },
+
+      UpdateExpression: {
+        exit: (path) => {
+          const { argument, operator, prefix } = path.node;
+          if (isLengthOf(argument)) {
+            const resize = runtimeCall("resize", [
+              argument.object,
+              t.stringLiteral(operator === "++" ? "+=" : "-="),
+              t.numericLiteral(1),
+              this.locationOf(path.node),
+              scopeOf(path),
+            ]);
+            // arr.length-- evaluates to the length before
+            path.replaceWith(
+              prefix
+                ? resize
+                : t.binaryExpression(
+                    operator === "++" ? "-" : "+",
+                    resize,
+                    t.numericLiteral(1)
+                  )
+            );
+            return;
+          }
+          if (!isElementAccess(argument)) return;
+          path.replaceWith(
+            runtimeCall("update", [
+              argument.object,
+              argument.property,
+              t.stringLiteral(operator),
+              t.booleanLiteral(prefix),
+              this.locationOf(path.node),
+              scopeOf(path),
+            ])
+          );
+        },
+      },
+
+      Function: {
+        exit: (path) => this.instrumentFunction(path),
+      },
+    });
+
+    return generate(ast).code;
+  }
+
+  /**
+   * Wrap a function body so the runtime sees every call and return:
+   *
+   *   const __vdFrame = __vd.enter(name, params, args);
+   *   try { ...body, with `return x` as `return __vd.returning(__vdFrame, x)` }
+   *   finally { __vd.exit(__vdFrame); }
+   */
+  instrumentFunction(path) {
+    const { node } = path;
+    if (node.generator || node.async) return;
+
+    // The closures built by scopeOf() have no source location
+    if (!node.loc) return;
+
+    const name = getFunctionName(path);
+
+    if (!t.isBlockStatement(node.body)) {
+      node.body = t.blockStatement([t.returnStatement(node.body)]);
+    }
+
+    // Nested functions have already been instrumented on their own exit
+    path.get("body").traverse({
+      Function: (inner) => inner.skip(),
+      ReturnStatement: (ret) => {
+        if (ret.node.argument) {
+          ret.node.argument = runtimeCall("returning", [
+            t.identifier(FRAME),
+            ret.node.argument,
+            this.locationOf(ret.node),
+          ]);
+        }
+      },
+    });
+
+    const paramNames = node.params.map(getParamName);
+    const enter = runtimeCall("enter", [
+      t.stringLiteral(name),
+      t.arrayExpression(
+        paramNames.map((param) => (param ? t.stringLiteral(param) : t.nullLiteral()))
+      ),
+      t.arrayExpression(
+        paramNames.map((param) =>
+          param ? t.identifier(param) : t.identifier("undefined")
+        )
+      ),
+      this.locationOf(node),
+      scopeOf(path),
+    ]);
+    const exit = runtimeCall("exit", [
+      t.identifier(FRAME),
+      this.locationOf(node, true),
+      scopeOf(path),
+    ]);
+
+    node.body = t.blockStatement(
+      [
+        t.variableDeclaration("const", [
+          t.variableDeclarator(t.identifier(FRAME), enter),
+        ]),
+        t.tryStatement(
+          t.blockStatement(node.body.body),
+          null,
+          t.blockStatement([
+            t.expressionStatement(exit),
+          ])
+        ),
+      ],
+      node.body.directives
+    );
+  }
+
+  /**
+   * Add where a node starts (or ends) to the locations table
+   * @returns {object} - Literal holding the table index, or null when the
+   *   node was generated by the instrumentation
+   */
+  locationOf(node, end = false) {
+    if (!node || !node.loc) return t.nullLiteral();
+
+    const position = end ? node.loc.end : node.loc.start;
+    this.locations.push({
+      file: this.file,
+      line: position.line,
+      column: end ? Math.max(position.column - 1, 0) : position.column,
+    });
+    return t.numericLiteral(this.locations.length - 1);
+  }
+
+  run(code, runtime) {
+    // Promise jobs run before runInContext returns, under the same timeout
+    const context = vm.createContext({}, { microtaskMode: "afterEvaluate" });
+    exposeRuntime(runtime, context);
+
+    try {
+      vm.runInContext(code, context, {
+        filename: "visual-debug-trace.js",
+        timeout: this.timeout,
+      });
+      if (runtime.rejection) throw runtime.rejection.error;
+    } catch (error) {
+      if (runtime.limitExceeded) {
+        throw new Error(
+          `Trace exceeded ${this.maxOperations} operations. Try a smaller array.`
+        );
+      }
+      if (error && error.code === "ERR_SCRIPT_EXECUTION_TIMEOUT") {
+        throw new Error(
+          `Code did not finish within ${this.timeout}ms. Check for infinite loops.`
+        );
+      }
+      throw new Error(`Error while running code: ${error.message}`);
+    }
+  }
+
+  /**
+   * If the code sorted the array, mark each index as sorted right after the
+   * last operation that touched it
+   */
+  markSettledIndices(runtime) {
+    const operations = runtime.operations;
+    const finalArray = runtime.array;
+    const keys = Array.from(finalArray, (value) =>
+      keyOf(value, runtime.recordKeys)
+    );
+
+    const ascending = keys.every((v, i) => i === 0 || keys[i - 1] <= v);
+    const descending = keys.every((v, i) => i === 0 || keys[i - 1] >= v);
+    if (!ascending && !descending) {
+      return operations;
+    }
+
+    const settledAfter = new Map();
+    finalArray.forEach((_, index) => {
+      const position = runtime.lastTouched.has(index)
+        ? runtime.lastTouched.get(index)
+        : operations.length;
+      if (!settledAfter.has(position)) settledAfter.set(position, []);
+      settledAfter.get(position).push(index);
+    });
+
+    const result = [];
+    for (let position = 0; position <= operations.length; position++) {
+      if (position > 0) result.push(operations[position - 1]);
+      (settledAfter.get(position) || []).forEach((index) => {
+        result.push({
+          type: "sorted",
+          arrayId: runtime.mainId,
+          indices: [index],
+        });
+      });
+    }
+    return result;
+  }
+}
+
+module.exports = CodeTracer;
+module.exports.LOW_BOUND_PARAM = LOW_BOUND_PARAM;
+module.exports.HIGH_BOUND_PARAM = HIGH_BOUND_PARAM;
+module.exports.ARRAY_MUTATORS = ARRAY_MUTATORS;
+module.exports.LINK_FIELDS = LINK_FIELDS;
+module.exports.findStructures = findStructures;
+module.exports.findSortKey = findSortKey;
+module.exports.findSearch = findSearch;
+module.exports.recordKeys = recordKeys;
+module.exports.keyOf = keyOf;
+module.exports.referenceSort = referenceSort;
@@ -0,0 +1,75 @@
+/**
+ * Operation counters: comparisons, swaps, writes and array accesses, tallied
+ * from an operation stream. Loaded as a script by the 3D view and the
+ * webview, which count as playback goes, and required by the extension for
+ * complexity runs
+ */
+(function (factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    globalThis.VisualDebugCounters = factory();
+  }
+})(function () {
+  const COUNTERS = [
+    { id: "comparisons", label: "Comparisons" },
+    { id: "swaps", label: "Swaps" },
+    { id: "writes", label: "Writes" },
+    { id: "accesses", label: "Array accesses" },
+  ];
+
+  function emptyCounts() {
+    return { comparisons: 0, swaps: 0, writes: 0, accesses: 0 };
+  }
+
+  /**
+   * Add what an operation does to the counts. A swap counts as two writes,
+   * and every element read or written as an access
+   * @param {object} counts - As returned by emptyCounts
+   * @param {object} op
+   * @returns {object} - The counts
+   */
+  function countOperation(counts, op) {
+    switch (op.type) {
+      case "compare":
+        counts.comparisons++;
+        counts.accesses += op.indices.length;
+        break;
+      case "probe":
+        counts.comparisons++;
+        counts.accesses++;
+        break;
+      case "swap":
+        counts.swaps++;
+        counts.writes += 2;
+        counts.accesses += 4;
+        break;
+      case "set":
+        counts.writes++;
+        // Copied from another element rather than computed
+        counts.accesses += op.from === undefined ? 1 : 2;
+        break;
+      case "insert":
+      case "remove":
+      case "writeCell":
+        counts.writes++;
+        counts.accesses++;
+        break;
+      case "readCell":
+      case "toBucket":
+        counts.accesses++;
+        break;
+    }
+    return counts;
+  }
+
+  /**
+   * @param {Array} operations
+   * @returns {object} - Counts for the whole stream
+   */
+  function countOperations(operations) {
+    return operations.reduce(countOperation, emptyCounts());
+  }
+
+  return { COUNTERS, emptyCounts, countOperation, countOperations };
+});
@@ -0,0 +1,114 @@
+/**
+ * Input arrays for the built-in algorithms, in a choice of shapes. The same
+ * shape, size and seed always give the same array, so a run can be
+ * reproduced in class or in a bug report. Loaded as a script by the 3D view
+ * and the webview, and required by the extension
+ */
+(function (factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    globalThis.VisualDebugInputs = factory();
+  }
+})(function () {
+  const MAX_INPUT_SIZE = 200;
+
+  // Values run from 1 to MAX_VALUE, so they read well as bar heights
+  const MAX_VALUE = 99;
+
+  const INPUT_SHAPES = [
+    { id: "random", label: "Random" },
+    { id: "sorted", label: "Sorted" },
+    { id: "reversed", label: "Reversed" },
+    { id: "nearlySorted", label: "Nearly sorted" },
+    { id: "fewUnique", label: "Few unique values" },
+    { id: "sawtooth", label: "Sawtooth" },
+    { id: "organPipe", label: "Organ pipe" },
+  ];
+
+  /**
+   * mulberry32: a small, fast generator that is plenty for shuffling
+   * @param {number} seed - 32-bit unsigned integer
+   * @returns {() => number} - Returns numbers in [0, 1)
+   */
+  function seededRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+  }
+
+  /**
+   * Generate an input array
+   * @param {string} shape - One of the INPUT_SHAPES ids
+   * @param {number} size - Number of elements, 1 to MAX_INPUT_SIZE
+   * @param {number} seed - 32-bit unsigned integer
+   * @returns {number[]}
+   */
+  function generateInput(shape, size, seed) {
+    if (!Number.isInteger(size) || size < 1 || size > MAX_INPUT_SIZE) {
+      throw new Error(
+        `Size must be a whole number from 1 to ${MAX_INPUT_SIZE}`
+      );
+    }
+    if (!Number.isInteger(seed) || seed < 0 || seed > 4294967295) {
+      throw new Error("Seed must be a whole number from 0 to 4294967295");
+    }
+
+    const random = seededRandom(seed);
+    const pick = (max) => 1 + Math.floor(random() * max);
+    const values = Array.from({ length: size }, () => pick(MAX_VALUE));
+    const ascending = [...values].sort((a, b) => a - b);
+
+    switch (shape) {
+      case "random":
+        return values;
+      case "sorted":
+        return ascending;
+      case "reversed":
+        return ascending.reverse();
+      case "nearlySorted": {
+        // A few swaps of elements at most 3 apart
+        const swaps = Math.floor(size / 10) + 1;
+        for (let k = 0; k < swaps && size > 1; k++) {
+          const i = Math.floor(random() * size);
+          const j = Math.min(size - 1, i + pick(3));
+          [ascending[i], ascending[j]] = [ascending[j], ascending[i]];
+        }
+        return ascending;
+      }
+      case "fewUnique": {
+        const distinct = Array.from({ length: 4 }, () => pick(MAX_VALUE));
+        return values.map(() => distinct[Math.floor(random() * 4)]);
+      }
+      case "sawtooth": {
+        // Ascending runs about √n long
+        const tooth = Math.max(2, Math.round(Math.sqrt(size)));
+        const result = [];
+        for (let start = 0; start < size; start += tooth) {
+          result.push(
+            ...values.slice(start, start + tooth).sort((a, b) => a - b)
+          );
+        }
+        return result;
+      }
+      case "organPipe": {
+        // Rising to the middle and falling again
+        const rising = ascending.filter((_, i) => i % 2 === 0);
+        const falling = ascending.filter((_, i) => i % 2 === 1).reverse();
+        return [...rising, ...falling];
+      }
+    }
+    throw new Error(`Unknown input shape "${shape}"`);
+  }
+
+  return { INPUT_SHAPES, MAX_INPUT_SIZE, generateInput, randomSeed };
+});
@@ -0,0 +1,139 @@
+/**
+ * Races: several traces of algorithms run on the same input, played side by
+ * side in lanes. Each lane keeps the operations on its one array, and the
+ * lanes are merged into ticks either a step at a time or by cost, the array
+ * accesses each operation makes. Loaded as a script by the 3D view, and
+ * required by the extension to build the lanes
+ */
+(function (factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./counters"));
+  } else {
+    globalThis.VisualDebugRace = factory(globalThis.VisualDebugCounters);
+  }
+})(function (counters) {
+  const SYNC_MODES = [
+    { id: "step", label: "By step" },
+    { id: "cost", label: "By cost" },
+  ];
+
+  // Operations a lane plays. Calls, ranges and helper arrays belong to views
+  // of a single algorithm
+  const LANE_OPERATIONS = [
+    "compare",
+    "swap",
+    "set",
+    "insert",
+    "remove",
+    "sorted",
+    "partition",
+    "highlight",
+    "probe",
+  ];
+
+  /**
+   * Turn a trace into a lane: the operations on its main array, moved to
+   * the lane's array id. Work done in helper arrays, such as merge sort's
+   * compares in its aux array, is kept as offstage operations, which count
+   * but aren't drawn
+   * @param {Array} operations - A trace starting with an init operation
+   * @param {string} laneId
+   * @returns {Array}
+   */
+  function laneOperations(operations, laneId) {
+    const init = operations[0];
+    if (!init || init.type !== "init" || !init.array) {
+      throw new Error("A race lane needs a trace of an array");
+    }
+    const mainId = init.arrayId || "array";
+
+    const lane = [];
+    operations.forEach((op) => {
+      const onMain = (op.arrayId || mainId) === mainId && !op.arrayIds;
+      if (onMain && LANE_OPERATIONS.includes(op.type)) {
+        const laneOp = { ...op, arrayId: laneId };
+        ["vars", "refs", "loc"].forEach((field) => delete laneOp[field]);
+        lane.push(laneOp);
+      } else if (!onMain && operationCost(op) > 0) {
+        lane.push({
+          type: op.type,
+          arrayId: laneId,
+          offstage: true,
+          indices: op.indices,
+          from: op.from,
+        });
+      }
+    });
+    return lane;
+  }
+
+  function operationCost(op) {
+    return counters.countOperation(counters.emptyCounts(), op).accesses;
+  }
+
+  /**
+   * Merge the lanes into one operation list played a tick at a time. By
+   * step, every lane plays one operation per tick; by cost, the clock moves
+   * to the next time a lane has paid for its next operation, and operations
+   * that touch no elements come for free. A finish operation with the
+   * lane's place is added in the tick it runs out; lanes finishing in the
+   * same tick share a place
+   * @param {Array<{id: string, operations: Array}>} lanes
+   * @param {"step"|"cost"} sync
+   * @returns {{operations: Array, tickEnds: number[]}} - tickEnds holds the
+   *   number of operations played after each tick
+   */
+  function scheduleRace(lanes, sync) {
+    const positions = lanes.map(() => 0);
+    const spent = lanes.map(() => 0);
+    const finished = lanes.map(() => false);
+    const operations = [];
+    const tickEnds = [];
+    let finishedCount = 0;
+    let clock = 0;
+
+    while (finishedCount < lanes.length) {
+      if (sync === "cost") {
+        const due = lanes
+          .map((lane, k) => {
+            const next = lane.operations[positions[k]];
+            return next ? spent[k] + operationCost(next) : Infinity;
+          })
+          .filter((time) => time !== Infinity);
+        if (due.length > 0) clock = Math.max(clock, Math.min(...due));
+      }
+
+      const finishing = [];
+      lanes.forEach((lane, k) => {
+        if (finished[k]) return;
+        const ops = lane.operations;
+        if (sync === "cost") {
+          while (
+            positions[k] < ops.length &&
+            spent[k] + operationCost(ops[positions[k]]) <= clock
+          ) {
+            spent[k] += operationCost(ops[positions[k]]);
+            operations.push(ops[positions[k]++]);
+          }
+        } else if (positions[k] < ops.length) {
+          operations.push(ops[positions[k]++]);
+        }
+        if (positions[k] === ops.length) finishing.push(k);
+      });
+
+      finishing.forEach((k) => {
+        finished[k] = true;
+        operations.push({
+          type: "finish",
+          arrayId: lanes[k].id,
+          place: finishedCount + 1,
+        });
+      });
+      finishedCount += finishing.length;
+      tickEnds.push(operations.length);
+    }
+    return { operations, tickEnds };
+  }
+
+  return { SYNC_MODES, laneOperations, operationCost, scheduleRace };
+});
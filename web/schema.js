@@ -0,0 +1,305 @@
+/**
+ * The operation schema: what each type of operation carries, for the
+ * generators and tracers that produce operations and the views that play
+ * them. Traces are checked against it where they enter a view: in
+ * VisualizationServer, before the extension posts them to the webview, and
+ * when a trace file is read. Loaded as a script by both views for the
+ * color helpers, and required by the extension
+ *
+ * Every operation is an object with a `type` from OPERATION_TYPES and the
+ * fields listed for it. Any operation may also carry
+ *
+ *   arrayId   the array it works on, the trace's main array if left out
+ *   graphId   the graph it works on
+ *   loc       { file, line, column } of the code that produced it
+ *   vars      the watched variables at that point, by name
+ *   refs      the nodes those variables point at
+ *   offstage  true for work a race lane counts but doesn't draw; such
+ *             operations need only their type
+ *
+ * Fields marked optional may be left out or null, and fields not listed are
+ * allowed, so that views can ignore what they don't know. SCHEMA_VERSION
+ * goes up when a type is removed or a field changes meaning
+ */
+(function (factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    globalThis.VisualDebugSchema = factory();
+  }
+})(function () {
+  const SCHEMA_VERSION = 1;
+
+  const isIndex = (value) => Number.isInteger(value) && value >= 0;
+  const isPlainObject = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
+
+  // What a field may hold, and how an error names it
+  const FIELD_KINDS = {
+    any: { test: () => true, description: "a value" },
+    index: { test: isIndex, description: "an index" },
+    indices: {
+      test: (value) => Array.isArray(value) && value.every(isIndex),
+      description: "a list of indices",
+    },
+    integer: { test: Number.isInteger, description: "an integer" },
+    number: {
+      test: (value) => typeof value === "number",
+      description: "a number",
+    },
+    string: {
+      test: (value) => typeof value === "string",
+      description: "a string",
+    },
+    strings: {
+      test: (value) =>
+        Array.isArray(value) &&
+        value.every((entry) => typeof entry === "string"),
+      description: "a list of strings",
+    },
+    boolean: {
+      test: (value) => typeof value === "boolean",
+      description: "true or false",
+    },
+    node: {
+      test: (value) => typeof value === "string" || typeof value === "number",
+      description: "a node name",
+    },
+    array: { test: Array.isArray, description: "a list" },
+    object: { test: isPlainObject, description: "an object" },
+    range: {
+      test: (value) =>
+        Array.isArray(value) &&
+        value.length === 2 &&
+        value.every(Number.isInteger),
+      description: "a [first, last] range",
+    },
+    cell: {
+      test: (value) =>
+        Array.isArray(value) && value.length === 2 && value.every(isIndex),
+      description: "a [row, column] cell",
+    },
+    color: {
+      test: (value) =>
+        (Number.isInteger(value) && value >= 0 && value <= 0xffffff) ||
+        (typeof value === "string" && value.length > 0),
+      description: "a 0xRRGGBB number or a CSS color",
+    },
+  };
+
+  const COMMON_FIELDS = {
+    arrayId: "string?",
+    graphId: "string?",
+    loc: "object?",
+    vars: "object?",
+    refs: "object?",
+    offstage: "boolean?",
+  };
+
+  // The fields of each type, as kinds from FIELD_KINDS; a trailing ? marks
+  // an optional field
+  const OPERATION_TYPES = {
+    // Arrays
+    init: {
+      array: "array?",
+      pointers: "strings?",
+      sortKey: "string?",
+      labelKey: "string?",
+    },
+    createArray: { arrayId: "string", label: "string?", array: "array" },
+    compare: {
+      indices: "indices",
+      values: "array?",
+      arrayIds: "strings?",
+      result: "number?",
+    },
+    swap: { indices: "indices", values: "array?" },
+    set: {
+      index: "index",
+      value: "any?",
+      oldValue: "any?",
+      from: "index?",
+      fromArrayId: "string?",
+    },
+    insert: {
+      index: "index",
+      value: "any?",
+      from: "index?",
+      fromArrayId: "string?",
+    },
+    remove: { index: "index", value: "any?" },
+    sorted: { indices: "indices" },
+    highlight: { indices: "indices", color: "color?" },
+    complete: {},
+
+    // Recursion and ranges
+    call: {
+      name: "string",
+      depth: "integer?",
+      args: "object?",
+      range: "range?",
+    },
+    return: { name: "string", depth: "integer?", value: "any?" },
+    range: { range: "range" },
+    partition: { pivot: "index", range: "range", depth: "integer?" },
+    heapify: { index: "index", size: "integer" },
+    gap: { gap: "integer" },
+    radixPass: { place: "integer" },
+
+    // Searches
+    probe: { index: "index", value: "any?", target: "any?" },
+    found: { index: "index", value: "any?" },
+    notFound: { target: "any?" },
+
+    // Races
+    finish: { arrayId: "string", place: "integer" },
+
+    // Linked nodes and trees
+    createNode: { nodeId: "string", value: "any?" },
+    link: { from: "string", to: "string", field: "string" },
+    unlink: { from: "string", to: "string", field: "string" },
+    visit: { nodeId: "string", value: "any?" },
+    rotate: { nodeId: "string", direction: "string?" },
+
+    // Graphs
+    createGraph: { nodes: "array", edges: "array", directed: "boolean?" },
+    enqueue: { node: "node" },
+    dequeue: { node: "node" },
+    visitNode: { node: "node" },
+    relaxEdge: {
+      from: "node",
+      to: "node",
+      weight: "number?",
+      improved: "boolean?",
+    },
+    setDistance: { node: "node", distance: "number?" },
+    markPath: { nodes: "array" },
+
+    // Grids
+    createGrid: { gridId: "string", label: "string?", grid: "array" },
+    readCell: { gridId: "string", cell: "cell", value: "any?" },
+    writeCell: {
+      gridId: "string",
+      cell: "cell",
+      value: "any?",
+      oldValue: "any?",
+      deps: "array?",
+    },
+
+    // Stacks, queues, hash tables and buckets
+    createStructure: {
+      structureId: "string",
+      kind: "string",
+      label: "string?",
+      buckets: "integer?",
+      entries: "array?",
+      items: "array?",
+    },
+    pushItem: { structureId: "string", value: "any?", end: "string?" },
+    popItem: { structureId: "string", value: "any?", end: "string?" },
+    peekItem: { structureId: "string", value: "any?", end: "string?" },
+    hashPut: {
+      structureId: "string",
+      key: "any",
+      bucket: "integer",
+      value: "any?",
+      isNew: "boolean?",
+    },
+    hashGet: {
+      structureId: "string",
+      key: "any",
+      bucket: "integer",
+      value: "any?",
+      found: "boolean?",
+    },
+    hashDelete: {
+      structureId: "string",
+      key: "any",
+      bucket: "integer",
+      found: "boolean?",
+    },
+    toBucket: {
+      structureId: "string",
+      bucket: "integer",
+      index: "index",
+      value: "any?",
+    },
+    fromBucket: {
+      structureId: "string",
+      bucket: "integer",
+      index: "index",
+      value: "any?",
+    },
+  };
+
+  /**
+   * Check one operation against the schema
+   * @param {object} op
+   * @param {number} index - Where it is in its trace, for the error
+   * @throws {Error} - Naming the operation's index and what is wrong
+   */
+  function validateOperation(op, index) {
+    if (!isPlainObject(op)) {
+      throw new Error(`Operation ${index} is not an object`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(OPERATION_TYPES, op.type)) {
+      throw new Error(
+        typeof op.type === "string"
+          ? `Operation ${index} has an unknown type "${op.type}"`
+          : `Operation ${index} has no type`
+      );
+    }
+    if (op.offstage === true) return;
+
+    const fields = { ...COMMON_FIELDS, ...OPERATION_TYPES[op.type] };
+    Object.entries(fields).forEach(([field, spec]) => {
+      const optional = spec.endsWith("?");
+      const kind = FIELD_KINDS[optional ? spec.slice(0, -1) : spec];
+      const value = op[field];
+      if (value === undefined || (optional && value === null)) {
+        if (optional) return;
+        throw new Error(`Operation ${index} (${op.type}) has no ${field}`);
+      }
+      if (!kind.test(value)) {
+        throw new Error(
+          `Operation ${index} (${op.type}): ${field} must be ${kind.description}`
+        );
+      }
+    });
+  }
+
+  /**
+   * Check a list of operations against the schema
+   * @param {Array} operations
+   * @param {number} [start] - Index of the first of them in their trace,
+   *   when they continue one
+   * @returns {Array} - The operations
+   */
+  function validateOperations(operations, start = 0) {
+    if (!Array.isArray(operations)) {
+      throw new Error("Operations must be a list");
+    }
+    operations.forEach((op, k) => validateOperation(op, start + k));
+    return operations;
+  }
+
+  /**
+   * A color as canvas and CSS take it; generators may give numbers
+   * @param {number|string} [color] - As allowed by the color kind
+   * @returns {string|undefined} - Nothing when no color is given
+   */
+  function cssColor(color) {
+    if (color === undefined || color === null) return undefined;
+    return typeof color === "number"
+      ? "#" + color.toString(16).padStart(6, "0")
+      : color;
+  }
+
+  return {
+    SCHEMA_VERSION,
+    OPERATION_TYPES,
+    validateOperation,
+    validateOperations,
+    cssColor,
+  };
+});